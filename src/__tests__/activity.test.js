@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeActivity, activityModifier, DEFAULT_DORMANT_PENALTY } from '../activity.js';
+import { applyScoreModifiers } from '../analytics.js';
+
+// ─── Fixtures ────────────────────────────────────────────────────────────────
+
+const DAY = 86_400_000;
+const START = Date.UTC(2025, 0, 1);
+
+/** Uploads on the given day offsets from START */
+function uploads(...days) {
+    return days.map((d, i) => ({ videoId: `vid_${i}`, publishedAt: new Date(START + d * DAY) }));
+}
+
+/** Weekly for `weeks` weeks, starting on day `from` */
+function weekly(weeks, from = 0) {
+    return Array.from({ length: weeks }, (_, i) => from + i * 7);
+}
+
+// ─── analyzeActivity ─────────────────────────────────────────────────────────
+
+describe('analyzeActivity', () => {
+    it('should call a channel that uploaded this week active', () => {
+        const activity = analyzeActivity(uploads(...weekly(10)), START + 65 * DAY);
+        assert.equal(activity.status, 'active');
+        assert.equal(activity.daysSinceLastUpload, 2);
+        assert.equal(activity.typicalGapDays, 7);
+        assert.equal(activity.lastUploadDate, '2025-03-05');
+    });
+
+    it('should go at-risk after 30 days, then dormant after 90, for a weekly channel', () => {
+        const videos = uploads(...weekly(10));
+        assert.equal(analyzeActivity(videos, START + (63 + 30) * DAY).status, 'at-risk');
+        assert.equal(analyzeActivity(videos, START + (63 + 90) * DAY).status, 'dormant');
+    });
+
+    it('should scale the thresholds to a slow channel\'s own rhythm', () => {
+        // Monthly: at risk after 3 missed months, dormant after 6
+        const videos = uploads(0, 30, 60, 90, 120);
+        const activity = analyzeActivity(videos, START + (120 + 100) * DAY);
+        assert.equal(activity.status, 'at-risk');
+        assert.deepEqual(activity.thresholds, { atRiskDays: 90, dormantDays: 180 });
+    });
+
+    it('should list the longest gaps, longest first', () => {
+        const activity = analyzeActivity(uploads(0, 7, 47, 54, 61, 81), START + 82 * DAY);
+        assert.deepEqual(activity.longestGaps, [
+            { days: 40, from: '2025-01-08', to: '2025-02-17' },
+            { days: 20, from: '2025-03-03', to: '2025-03-23' },
+            { days: 7, from: '2025-02-24', to: '2025-03-03' },
+        ]);
+    });
+
+    it('should detect a hiatus followed by a return', () => {
+        const videos = uploads(...weekly(8), ...weekly(4, 49 + 120));
+        const { hiatus, status } = analyzeActivity(videos, START + 200 * DAY);
+
+        assert.equal(status, 'active');
+        assert.equal(hiatus.detected, true);
+        assert.equal(hiatus.days, 120);
+        assert.equal(hiatus.returnedOn, '2025-06-19');
+        assert.equal(hiatus.videosSinceReturn, 4);
+        assert.match(hiatus.label, /^120-day hiatus from 2025-02-19, back since 2025-06-19$/);
+    });
+
+    it('should not report a hiatus for a steady channel', () => {
+        const { hiatus } = analyzeActivity(uploads(...weekly(10)), START + 65 * DAY);
+        assert.equal(hiatus.detected, false);
+    });
+
+    it('should handle a single video', () => {
+        const activity = analyzeActivity(uploads(0), START + 10 * DAY);
+        assert.equal(activity.typicalGapDays, null);
+        assert.deepEqual(activity.longestGaps, []);
+        assert.equal(activity.status, 'active');
+    });
+
+    it('should return null without videos', () => {
+        assert.equal(analyzeActivity([]), null);
+    });
+});
+
+// ─── activityModifier ────────────────────────────────────────────────────────
+
+describe('activityModifier', () => {
+    const dormant = analyzeActivity(uploads(...weekly(10)), START + 300 * DAY);
+
+    it('should penalize a dormant channel by the configured points', () => {
+        assert.equal(activityModifier(dormant).points, -DEFAULT_DORMANT_PENALTY);
+        assert.equal(activityModifier(dormant, 25).points, -25);
+
+        const score = applyScoreModifiers({ score: 70, grade: 'B' }, [activityModifier(dormant, 25)]);
+        assert.equal(score.score, 45);
+        assert.equal(score.baseScore, 70);
+        assert.match(score.modifiers[0].detail, /^dormant — no uploads in 237 days$/);
+    });
+
+    it('should leave active channels and a zero penalty alone', () => {
+        const active = analyzeActivity(uploads(...weekly(10)), START + 65 * DAY);
+        assert.equal(activityModifier(active), null);
+        assert.equal(activityModifier(dormant, 0), null);
+    });
+});
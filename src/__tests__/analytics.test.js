@@ -1,6 +1,13 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { parseVideos, calculateCreatorFusionScore, analyzeVideos } from '../analytics.js';
+import {
+    parseVideos,
+    calculateCreatorFusionScore,
+    analyzeVideos,
+    generatePartnershipInsights,
+    valuationViews,
+} from '../analytics.js';
+import { accrualFraction } from '../maturity.js';
 
 // ─── Fixtures ────────────────────────────────────────────────────────────────
 
@@ -104,6 +111,19 @@ describe('parseVideos', () => {
         assert.equal(parsed[0].isShort, false);
     });
 
+    it('should read age restriction and made-for-kids status', () => {
+        const raw = makeRawVideo();
+        raw.contentDetails.contentRating = { ytRating: 'ytAgeRestricted' };
+        raw.status = { madeForKids: true };
+        const [v] = parseVideos([raw]);
+        assert.equal(v.ageRestricted, true);
+        assert.equal(v.madeForKids, true);
+
+        const [plain] = parseVideos([makeRawVideo()]);
+        assert.equal(plain.ageRestricted, false);
+        assert.equal(plain.madeForKids, false);
+    });
+
     it('should sort videos by publishedAt descending', () => {
         const raw = [
             makeRawVideo({ id: 'old', publishedAt: '2025-01-01T00:00:00Z' }),
@@ -186,3 +206,223 @@ describe('calculateCreatorFusionScore', () => {
         assert.equal(result.tier, 'Mega');
     });
 });
+
+// ─── Per-format analytics ────────────────────────────────────────────────────
+
+describe('analyzeVideos (per format)', () => {
+    /** 6 long-form videos on even days, 4 high-reach Shorts on odd days, over one month */
+    function mixedChannel() {
+        const long = Array.from({ length: 6 }, (_, i) => makeRawVideo({
+            id: `long_${i}`,
+            publishedAt: `2025-01-${String(i * 5 + 2).padStart(2, '0')}T12:00:00Z`,
+            views: 20000, likes: 1000, comments: 200, duration: 'PT12M',
+        }));
+        const shorts = Array.from({ length: 4 }, (_, i) => makeRawVideo({
+            id: `short_${i}`,
+            publishedAt: `2025-01-${String(i * 7 + 1).padStart(2, '0')}T12:00:00Z`,
+            views: 200000, likes: 4000, comments: 0, duration: 'PT45S',
+        }));
+        return parseVideos([...long, ...shorts]);
+    }
+
+    it('should split metrics into longForm and shorts blocks', () => {
+        const analytics = analyzeVideos(mixedChannel(), 100000);
+
+        assert.deepEqual(analytics.formatMix, { longForm: 6, shorts: 4, shortsShare: 40 });
+        assert.equal(analytics.longForm.videoCount, 6);
+        assert.equal(analytics.longForm.avgViews, 20000);
+        assert.equal(analytics.longForm.engagementRate, 6);
+        assert.equal(analytics.shorts.videoCount, 4);
+        assert.equal(analytics.shorts.avgViews, 200000);
+        assert.equal(analytics.shorts.engagementRate, 2);
+        // The blended average sits between the two and describes neither
+        assert.equal(analytics.avgViews, 92000);
+    });
+
+    it('should measure each format\'s cadence over the whole sampled window', () => {
+        const analytics = analyzeVideos(mixedChannel(), 100000);
+        const windowWeeks = analytics.dateRange.spanDays / 7;
+        assert.equal(analytics.shorts.postsPerWeek, Math.round((4 / windowWeeks) * 100) / 100);
+    });
+
+    it('should leave a missing format null', () => {
+        const analytics = analyzeVideos(parseVideos(makeRawVideos(5)), 50000);
+        assert.equal(analytics.shorts, null);
+        assert.equal(analytics.longForm.videoCount, 5);
+    });
+
+    it('should score each format separately and skip formats with too few videos', () => {
+        const analytics = analyzeVideos(mixedChannel(), 100000);
+        const result = calculateCreatorFusionScore(analytics, { subscriberCount: '100000' });
+
+        assert.ok(result.byFormat.longForm.score > result.byFormat.shorts.score);
+        assert.equal(result.byFormat.shorts.videoCount, 4);
+
+        const fewShorts = parseVideos([
+            ...makeRawVideos(5),
+            makeRawVideo({ id: 'short_only', duration: 'PT30S', publishedAt: '2025-01-10T18:00:00Z' }),
+        ]);
+        const sparse = calculateCreatorFusionScore(analyzeVideos(fewShorts, 50000), { subscriberCount: '50000' });
+        assert.equal(sparse.byFormat.shorts, null);
+        assert.ok(sparse.byFormat.longForm);
+    });
+});
+
+// ─── View maturity ───────────────────────────────────────────────────────────
+
+describe('analyzeVideos (view maturity)', () => {
+    const NOW = Date.UTC(2025, 1, 1);
+
+    /**
+     * A daily uploader whose every video is on track for 10K views in 30 days:
+     * 20 older videos plus this week's 3 still-accruing uploads.
+     */
+    function dailyUploader() {
+        const video = (id, ageDays) => makeRawVideo({
+            id,
+            publishedAt: new Date(NOW - ageDays * 86_400_000).toISOString(),
+            views: Math.round(10000 * accrualFraction(ageDays)),
+        });
+        return parseVideos([
+            ...Array.from({ length: 20 }, (_, i) => video(`mature_${i}`, 8 + i)),
+            ...[1, 2, 3].map((d) => video(`fresh_${d}`, d)),
+        ]);
+    }
+
+    it('should report raw and 30-day normalized figures side by side', () => {
+        const analytics = analyzeVideos(dailyUploader(), 50000, { now: NOW });
+        const { viewMaturity } = analytics;
+
+        assert.equal(viewMaturity.immatureVideos, 3);
+        assert.equal(viewMaturity.avgViews.raw, analytics.avgViews);
+        assert.equal(viewMaturity.avgViews.normalized, 10000);
+        assert.ok(viewMaturity.avgViews.raw < 10000);
+        assert.ok(viewMaturity.viewToSubRatio.normalized > viewMaturity.viewToSubRatio.raw);
+    });
+
+    it('should leave a fully mature channel\'s averages unchanged', () => {
+        const parsed = parseVideos(Array.from({ length: 10 }, (_, i) => makeRawVideo({
+            id: `old_${i}`,
+            publishedAt: new Date(NOW - (40 + i * 30) * 86_400_000).toISOString(),
+            views: 5000 + i * 1000,
+        })));
+        const { viewMaturity, valuationAverages } = analyzeVideos(parsed, 50000, { now: NOW });
+
+        assert.equal(viewMaturity.immatureVideos, 0);
+        assert.equal(viewMaturity.avgViews.normalized, viewMaturity.avgViews.raw);
+        assert.equal(viewMaturity.medianViews.normalized, viewMaturity.medianViews.raw);
+        assert.equal(valuationAverages.mean, viewMaturity.avgViews.raw);
+    });
+
+    it('should exclude immature videos from normalized figures on request', () => {
+        const analytics = analyzeVideos(dailyUploader(), 50000, { now: NOW, handling: 'exclude' });
+        assert.equal(analytics.viewMaturity.videosUsed, 20);
+        assert.equal(analytics.viewMaturity.method, 'exclude');
+    });
+
+    it('should not pick a still-accruing video as the worst performer', () => {
+        const analytics = analyzeVideos(dailyUploader(), 50000, { now: NOW });
+        assert.match(analytics.worstPerformingVideo.videoId, /^mature_/);
+    });
+
+    it('should value sponsored posts on normalized views', () => {
+        const stats = { subscriberCount: '50000' };
+        const analytics = analyzeVideos(dailyUploader(), 50000, { now: NOW });
+        const score = calculateCreatorFusionScore(analytics, stats);
+        const insights = generatePartnershipInsights(analytics, { statistics: stats }, score);
+
+        const raw = Math.round((analytics.avgViews / 1000) * 12);
+        assert.ok(insights.estimatedSponsoredPostValue.low > raw);
+    });
+});
+
+// ─── Outliers & robust averages ──────────────────────────────────────────────
+
+describe('analyzeVideos (outliers)', () => {
+    /** 11 ordinary videos around 10K views and one that went viral */
+    function viralChannel() {
+        return parseVideos([
+            ...Array.from({ length: 11 }, (_, i) => makeRawVideo({
+                id: `vid_${i}`,
+                publishedAt: `2024-0${1 + (i % 9)}-${10 + i}T12:00:00Z`,
+                views: 9500 + i * 100,
+            })),
+            makeRawVideo({ id: 'viral', publishedAt: '2024-06-01T12:00:00Z', views: 400000, likes: 8000 }),
+        ]);
+    }
+
+    it('should list the viral video as a high outlier', () => {
+        const { outliers } = analyzeVideos(viralChannel(), 50000);
+        assert.equal(outliers.method, 'iqr');
+        assert.equal(outliers.count, 1);
+        assert.equal(outliers.high, 1);
+        assert.equal(outliers.videos[0].videoId, 'viral');
+        assert.equal(outliers.videos[0].direction, 'high');
+    });
+
+    it('should detect with MAD on request', () => {
+        const { outliers } = analyzeVideos(viralChannel(), 50000, {}, { outlierMethod: 'mad' });
+        assert.equal(outliers.method, 'mad');
+        assert.deepEqual(outliers.videos.map((v) => v.videoId), ['viral']);
+    });
+
+    it('should report percentiles and trimmed means', () => {
+        const analytics = analyzeVideos(viralChannel(), 50000);
+        const { viewDistribution, engagementDistribution } = analytics;
+
+        assert.ok(viewDistribution.p10 <= viewDistribution.p25);
+        assert.ok(viewDistribution.p75 <= viewDistribution.p90);
+        assert.ok(viewDistribution.trimmedMean < viewDistribution.mean);
+        assert.ok(engagementDistribution.p10 <= engagementDistribution.median);
+        assert.ok(engagementDistribution.trimmedMean > 0);
+    });
+
+    it('should discount the viral hit in every robust average', () => {
+        const { valuationAverages: avg } = analyzeVideos(viralChannel(), 50000);
+        for (const robust of [avg.median, avg.trimmedMean, avg.meanExcludingOutliers]) {
+            assert.ok(robust < avg.mean / 2);
+        }
+    });
+
+    it('should value sponsored posts on the chosen average', () => {
+        const stats = { subscriberCount: '50000' };
+        const analytics = analyzeVideos(viralChannel(), 50000);
+        const score = calculateCreatorFusionScore(analytics, stats);
+
+        const byMean   = generatePartnershipInsights(analytics, { statistics: stats }, score);
+        const byMedian = generatePartnershipInsights(analytics, { statistics: stats }, score, { valuationAverage: 'median' });
+
+        assert.ok(byMedian.estimatedSponsoredPostValue.high < byMean.estimatedSponsoredPostValue.high);
+        assert.equal(byMedian.estimatedSponsoredPostValue.viewsAverage, 'median');
+        assert.match(byMedian.estimatedSponsoredPostValue.note, /median/);
+        assert.equal(valuationViews(analytics, 'median'), analytics.valuationAverages.median);
+    });
+
+    it('should not flag outliers in a small sample', () => {
+        const { outliers } = analyzeVideos(parseVideos(makeRawVideos(4)), 50000);
+        assert.equal(outliers.count, 0);
+        assert.equal(outliers.upperBound, null);
+    });
+});
+
+// ─── Activity ────────────────────────────────────────────────────────────────
+
+describe('analyzeVideos (activity)', () => {
+    const stats = { subscriberCount: '50000' };
+
+    it('should report activity measured against today', () => {
+        const analytics = analyzeVideos(parseVideos(makeRawVideos(20)), 50000, { now: Date.UTC(2025, 1, 1) });
+        assert.equal(analytics.activity.status, 'active');
+        assert.equal(analytics.activity.lastUploadDate, '2025-01-20');
+    });
+
+    it('should flag a dormant channel and never recommend it', () => {
+        const analytics = analyzeVideos(parseVideos(makeRawVideos(20)), 50000, { now: Date.UTC(2025, 8, 1) });
+        const score = calculateCreatorFusionScore(analytics, stats);
+        const insights = generatePartnershipInsights(analytics, { statistics: stats }, score);
+
+        assert.equal(analytics.activity.status, 'dormant');
+        assert.ok(insights.flags.includes('Dormant channel — no uploads in 223 days'));
+        assert.equal(insights.recommendedForBrands, false);
+    });
+});
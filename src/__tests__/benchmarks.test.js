@@ -0,0 +1,116 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { benchmarkRecord, computeBenchmarks, BENCHMARK_METRICS } from '../benchmarks.js';
+
+// ─── Fixtures ────────────────────────────────────────────────────────────────
+
+/** The slice of a processChannel() result the benchmarks read */
+function result(id, { score, engagement = 3, views = 10_000, tier = 'Micro', niche = 'Technology', authenticity, rate } = {}) {
+    return {
+        status: 'success',
+        channelId: id,
+        channelName: `Channel ${id}`,
+        creatorFusionScore: { score, tier },
+        analytics: {
+            engagementRate: engagement,
+            valuationAverages: { mean: views, median: views / 2, trimmedMean: views, meanExcludingOutliers: views },
+        },
+        partnership: { contentCategories: niche ? [niche] : [] },
+        ...(authenticity !== undefined ? { authenticity: { score: authenticity } } : {}),
+        ...(rate !== undefined ? { rateCard: { estimatedIntegrationRate: { mid: rate } } } : {}),
+    };
+}
+
+function batch() {
+    return [
+        result('a', { score: 90, tier: 'Macro', views: 500_000, rate: 20_000, authenticity: 95 }),
+        result('b', { score: 70, tier: 'Macro', views: 300_000, rate: 12_000, authenticity: 90 }),
+        result('c', { score: 50, tier: 'Macro', views: 200_000, rate: 9_000 }),
+        result('d', { score: 80, views: 20_000, niche: 'Gaming', rate: 900 }),
+        result('e', { score: 60, views: 10_000, niche: 'Gaming', rate: 500, authenticity: 70 }),
+    ];
+}
+
+/** Rank full results the way the run does, through their compact records */
+function rank(results, options) {
+    return computeBenchmarks(results.map((r) => benchmarkRecord(r, options)));
+}
+
+// ─── computeBenchmarks ───────────────────────────────────────────────────────
+
+describe('computeBenchmarks', () => {
+    it('should rank each channel within the whole batch', () => {
+        const { ranks } = rank(batch());
+        assert.deepEqual(ranks.map((r) => r.percentiles.score.batch), [100, 50, 0, 75, 25]);
+        assert.equal(ranks[0].peers.batch, 5);
+    });
+
+    it('should rank within tier and niche', () => {
+        const { ranks } = rank(batch());
+        const [a, , , d] = ranks;
+
+        assert.equal(a.tier, 'Macro');
+        assert.equal(a.percentiles.score.tier, 100);
+        assert.equal(a.percentiles.score.niche, 100);
+        // Only two Micro and two Gaming channels — too few to rank
+        assert.equal(d.percentiles.score.tier, null);
+        assert.equal(d.percentiles.score.niche, null);
+        assert.deepEqual(d.peers, { batch: 5, tier: 2, niche: 2 });
+    });
+
+    it('should count ties as half', () => {
+        const { ranks } = rank([
+            result('a', { score: 50 }), result('b', { score: 50 }), result('c', { score: 10 }),
+        ]);
+        assert.deepEqual(ranks.map((r) => r.percentiles.score.batch), [75, 75, 0]);
+    });
+
+    it('should leave a metric unranked for channels without it', () => {
+        const { ranks } = rank(batch());
+        assert.equal(ranks[2].percentiles.authenticity.batch, null);
+        // Ranked only among the three channels that have a score
+        assert.equal(ranks[0].percentiles.authenticity.batch, 100);
+        assert.equal(ranks[4].percentiles.authenticity.batch, 0);
+    });
+
+    it('should rank views on the chosen valuation average', () => {
+        const results = [
+            result('a', { score: 1, views: 100 }),
+            result('b', { score: 1, views: 200 }),
+            result('c', { score: 1, views: 300 }),
+        ];
+        results[2].analytics.valuationAverages.median = 1;
+        const byMedian = rank(results, { valuationAverage: 'median' });
+        assert.equal(byMedian.ranks[2].percentiles.views.batch, 0);
+    });
+
+    it('should summarize every peer group', () => {
+        const { groups, metrics } = rank(batch());
+        assert.deepEqual(metrics, BENCHMARK_METRICS);
+        assert.equal(groups.batch.channels, 5);
+        assert.deepEqual(groups.batch.metrics.score, { channels: 5, min: 50, p25: 60, median: 70, p75: 80, max: 90 });
+        assert.deepEqual(Object.keys(groups.byTier).sort(), ['Macro', 'Micro']);
+        assert.equal(groups.byNiche.Gaming.channels, 2);
+        assert.equal(groups.byTier.Micro.metrics.authenticity.channels, 1);
+    });
+
+    it('should not rank a batch of one', () => {
+        const { ranks } = rank([result('a', { score: 80 })]);
+        assert.equal(ranks[0].percentiles.score.batch, null);
+    });
+});
+
+// ─── benchmarkRecord ─────────────────────────────────────────────────────────
+
+describe('benchmarkRecord', () => {
+    it('should keep only the fields ranks need', () => {
+        const record = benchmarkRecord(result('a', { score: 90, tier: 'Macro', views: 500_000, rate: 20_000 }));
+        assert.deepEqual(record, {
+            channelId: 'a',
+            channelName: 'Channel a',
+            tier: 'Macro',
+            niche: 'Technology',
+            values: { score: 90, engagementRate: 3, views: 500_000, authenticity: null, integrationRate: 20_000 },
+        });
+    });
+});
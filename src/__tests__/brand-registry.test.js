@@ -0,0 +1,86 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadBrandRegistry, findBrand, DEFAULT_REGISTRY } from '../brand-registry.js';
+import { ERROR_CODES } from '../errors.js';
+
+// ─── loadBrandRegistry ───────────────────────────────────────────────────────
+
+describe('loadBrandRegistry', () => {
+    it('should keep affiliate networks and sponsors apart', () => {
+        const networks = DEFAULT_REGISTRY.networks.map((n) => n.name);
+        const brands   = DEFAULT_REGISTRY.brands.map((b) => b.name);
+        assert.ok(networks.includes('ShareASale'));
+        assert.ok(!networks.includes('NordVPN'));
+        assert.ok(brands.includes('NordVPN'));
+        assert.ok(!brands.includes('ShareASale'));
+    });
+
+    it('should give every built-in brand a category and parent company', () => {
+        for (const brand of DEFAULT_REGISTRY.brands) {
+            assert.ok(brand.category, `${brand.name} has no category`);
+            assert.ok(brand.parent, `${brand.name} has no parent`);
+            assert.ok(brand.domainMatchers.length, `${brand.name} has no domains`);
+        }
+    });
+
+    it('should replace a built-in entry of the same name and add new ones', () => {
+        const registry = loadBrandRegistry({
+            brands: [
+                { name: 'nordvpn', domains: ['nordvpn.com'], category: 'Security', parent: 'Nord Security' },
+                { name: 'Acme Rockets', domains: ['acmerockets.io'] },
+            ],
+        });
+        const nord = registry.brands.filter((b) => b.name.toLowerCase() === 'nordvpn');
+        assert.equal(nord.length, 1);
+        assert.equal(nord[0].category, 'Security');
+        assert.equal(registry.brands.length, DEFAULT_REGISTRY.brands.length + 1);
+        assert.deepEqual(registry.custom, { brands: 2, networks: 0 });
+    });
+
+    it('should match a domain or its subdomains as a whole host', () => {
+        const [ridge] = DEFAULT_REGISTRY.brands.filter((b) => b.name === 'Ridge Wallet');
+        const matches = (text) => ridge.domainMatchers.some((rx) => rx.test(text));
+        assert.ok(matches('https://ridge.com/techguy'));
+        assert.ok(matches('https://www.ridge.com'));
+        assert.ok(!matches('https://partridge.com'));
+        assert.ok(!matches('https://ridge.community'));
+    });
+
+    it('should anchor vanity patterns to the start of a host', () => {
+        const [ridge] = DEFAULT_REGISTRY.brands.filter((b) => b.name === 'Ridge Wallet');
+        const matches = (text) => ridge.vanityMatchers.some((rx) => rx.test(text));
+        assert.ok(matches('https://ridge.com/techguy'));
+        assert.ok(matches('https://www.ridge.com/techguy'));
+        assert.ok(!matches('https://partridge.com/gallery'));
+        assert.ok(!matches('https://my-ridge.com/gallery'));
+    });
+
+    it('should match CJ Affiliate on cj.com but not on hosts ending in it', () => {
+        const cj = DEFAULT_REGISTRY.networks.find((n) => n.name === 'CJ Affiliate');
+        const matches = (text) => cj.matchers.some((rx) => rx.test(text));
+        assert.ok(matches('https://www.cj.com/click?pid=1'));
+        assert.ok(!matches('https://www.nbcj.com'));
+    });
+
+    it('should reject malformed entries', () => {
+        for (const bad of [
+            [],
+            { brands: {} },
+            { brands: [{ domains: ['x.com'] }] },
+            { brands: [{ name: 'X', domains: 'x.com' }] },
+            { networks: [{ name: 'X', patterns: ['('] }] },
+        ]) {
+            assert.throws(() => loadBrandRegistry(bad), (err) => err.errorCode === ERROR_CODES.INVALID_INPUT);
+        }
+    });
+});
+
+// ─── findBrand ───────────────────────────────────────────────────────────────
+
+describe('findBrand', () => {
+    it('should find a brand by name or alias, ignoring case and spacing', () => {
+        assert.equal(findBrand(DEFAULT_REGISTRY, 'Nord VPN').name, 'NordVPN');
+        assert.equal(findBrand(DEFAULT_REGISTRY, 'athletic greens').name, 'AG1');
+        assert.equal(findBrand(DEFAULT_REGISTRY, 'Acme Rockets'), null);
+    });
+});
@@ -0,0 +1,157 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeBrandSafety, resolveLexicon } from '../brand-safety.js';
+import { ERROR_CODES } from '../errors.js';
+
+// ─── Fixtures ────────────────────────────────────────────────────────────────
+
+let nextId = 0;
+function video(overrides = {}) {
+    const i = nextId++;
+    return {
+        videoId: `vid_${i}`,
+        title: `Desk setup tour ${i}`,
+        description: 'Everything on my desk, linked below.',
+        tags: ['setup'],
+        publishedAt: new Date(Date.UTC(2025, 0, 1 + i)),
+        ageRestricted: false,
+        madeForKids: false,
+        ...overrides,
+    };
+}
+
+function clean(n) {
+    return Array.from({ length: n }, () => video());
+}
+
+// ─── analyzeBrandSafety ──────────────────────────────────────────────────────
+
+describe('analyzeBrandSafety', () => {
+    it('should rate a clean channel safe', () => {
+        const result = analyzeBrandSafety(clean(10));
+        assert.equal(result.rating, 'safe');
+        assert.equal(result.flaggedVideos, 0);
+        assert.deepEqual(result.videos, []);
+    });
+
+    it('should list the offending video with the matched term and field', () => {
+        const beer = video({ title: 'Trying every craft beer in Portland' });
+        const result = analyzeBrandSafety([...clean(9), beer]);
+
+        assert.equal(result.rating, 'low-risk');
+        assert.equal(result.videos.length, 1);
+        assert.equal(result.videos[0].videoId, beer.videoId);
+        assert.deepEqual(result.videos[0].matches, [{ category: 'alcohol', term: 'beer*', field: 'title' }]);
+        assert.equal(result.categories.alcohol.videos, 1);
+    });
+
+    it('should match whole words only', () => {
+        // "sextant", "classic", "therapist", "Scunthorpe"
+        const result = analyzeBrandSafety([
+            video({ title: 'Navigating with a sextant' }),
+            video({ description: 'A classic therapist recommendation from Scunthorpe' }),
+        ]);
+        assert.equal(result.flaggedVideos, 0);
+    });
+
+    it('should not flag everyday idioms', () => {
+        const result = analyzeBrandSafety([
+            video({ title: 'Killing it at leg day', description: 'This routine is killing the game.' }),
+            video({ title: 'Basketball trick shots', tags: ['headshots', 'shots'] }),
+            video({ title: 'iPhone torture test', description: 'We hit the jackpot with this deal.' }),
+            video({ title: 'Gore-Tex jacket review', description: 'Rum raisin cookies and a wine-colored case' }),
+            video({ title: 'Playing my trump card in ranked', tags: ['betting everything on red'] }),
+            video({ title: 'Sex cells explained', description: 'Part of our sex education series.' }),
+            video({ title: 'Live at the Congress Theater', description: 'The World Congress of Cardiology recap' }),
+        ]);
+        assert.equal(result.flaggedVideos, 0);
+        assert.equal(result.rating, 'safe');
+    });
+
+    it('should still flag the unambiguous phrases', () => {
+        const result = analyzeBrandSafety([
+            video({ title: 'The killing spree that shocked Ohio' }),
+            video({ description: 'Doing tequila shots with the crew' }),
+            video({ title: 'What the Donald Trump verdict means' }),
+            video({ title: 'Reacting to the sex scenes in that show' }),
+        ]);
+        assert.deepEqual(result.videos.map((v) => v.categories[0]).sort(), ['adult', 'alcohol', 'politics', 'violence']);
+    });
+
+    it('should scan tags and descriptions too', () => {
+        const result = analyzeBrandSafety([
+            video({ tags: ['poker'] }),
+            video({ description: 'Sponsored by an online casino.' }),
+        ]);
+        assert.deepEqual(result.videos.map((v) => v.matches[0].field).sort(), ['description', 'tags']);
+    });
+
+    it('should rate moderate-risk for a single age-restricted video', () => {
+        const result = analyzeBrandSafety([...clean(9), video({ ageRestricted: true })]);
+        assert.equal(result.rating, 'moderate-risk');
+        assert.equal(result.videos[0].severity, 'high');
+        assert.match(result.considerations[0], /^1 age-restricted video/);
+    });
+
+    it('should rate high-risk when age-restricted videos are a regular share', () => {
+        const result = analyzeBrandSafety([...clean(8), video({ ageRestricted: true }), video({ ageRestricted: true })]);
+        assert.equal(result.rating, 'high-risk');
+    });
+
+    it('should rate high-risk only on repeated high-severity matches', () => {
+        const murder = () => video({ title: 'True crime: the murder that shook a town' });
+        assert.equal(analyzeBrandSafety([...clean(9), murder()]).rating, 'moderate-risk');
+        assert.equal(analyzeBrandSafety([...clean(3), murder()]).rating, 'moderate-risk');
+        assert.equal(analyzeBrandSafety([...clean(18), murder(), murder()]).rating, 'high-risk');
+        assert.equal(analyzeBrandSafety([...clean(28), murder(), murder()]).rating, 'moderate-risk');
+    });
+
+    it('should rate moderate-risk for a single high-severity match', () => {
+        const result = analyzeBrandSafety([...clean(19), video({ title: 'True crime: the murder that shook a town' })]);
+        assert.equal(result.rating, 'moderate-risk');
+    });
+
+    it('should report made-for-kids videos without counting them unsafe', () => {
+        const result = analyzeBrandSafety([video({ madeForKids: true }), ...clean(3)]);
+        assert.equal(result.rating, 'safe');
+        assert.deepEqual(result.madeForKids, { videos: 1, share: 25 });
+        assert.match(result.considerations[0], /made for kids/);
+    });
+
+    it('should list the worst videos first', () => {
+        const result = analyzeBrandSafety([
+            video({ title: 'Wine tasting' }),
+            video({ title: 'NSFW blooper reel' }),
+        ]);
+        assert.deepEqual(result.videos.map((v) => v.severity), ['high', 'low']);
+    });
+
+    it('should use a custom lexicon', () => {
+        const lexicon = resolveLexicon({ crypto: ['memecoin*'], alcohol: null });
+        const result = analyzeBrandSafety([
+            video({ title: 'Wine tasting' }),
+            video({ title: 'I bought 10 memecoins' }),
+        ], lexicon);
+
+        assert.equal(result.flaggedVideos, 1);
+        assert.equal(result.videos[0].categories[0], 'crypto');
+        assert.equal(result.categories.crypto.severity, 'medium');
+        assert.equal('alcohol' in result.categories, false);
+    });
+});
+
+// ─── resolveLexicon ──────────────────────────────────────────────────────────
+
+describe('resolveLexicon', () => {
+    it('should extend a built-in category', () => {
+        const lexicon = resolveLexicon({ gambling: ['Sweepstakes Casino'] });
+        assert.ok(lexicon.gambling.includes('sweepstakes casino'));
+        assert.ok(lexicon.gambling.includes('poker'));
+    });
+
+    it('should reject malformed overrides', () => {
+        for (const bad of [[], 'casino', { gambling: 'casino' }, { gambling: [''] }]) {
+            assert.throws(() => resolveLexicon(bad), (err) => err.errorCode === ERROR_CODES.INVALID_INPUT);
+        }
+    });
+});
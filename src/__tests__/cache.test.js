@@ -0,0 +1,158 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ResponseCache, MemoryStore, DEFAULT_TTLS } from '../cache.js';
+import { YouTubeClient, OWNER_FIELDS } from '../youtube-api.js';
+
+// ─── Fixtures ────────────────────────────────────────────────────────────────
+
+const HOUR = 3_600_000;
+const CHANNEL_ID = 'UCabcdefghijklmnopqrstuv';
+
+/** Controllable clock so TTL expiry doesn't depend on wall time. */
+function makeClock(start = Date.UTC(2025, 0, 1)) {
+    const clock = { t: start, now: () => clock.t };
+    return clock;
+}
+
+/**
+ * Transport that serves a channel body with an ETag, answers 304 when the
+ * client sends a matching If-None-Match, and records every request.
+ */
+function etagTransport(etag = '"v1"') {
+    const requests = [];
+    return {
+        requests,
+        send: async ({ url, headers = {} }) => {
+            requests.push({ url, headers });
+            if (headers['if-none-match'] === etag) return { statusCode: 304, headers: { etag }, body: '' };
+            return { statusCode: 200, headers: { etag }, body: { items: [{ id: CHANNEL_ID }] } };
+        },
+    };
+}
+
+function makeClient(transport, clock) {
+    const cache = new ResponseCache(new MemoryStore(), { now: clock.now });
+    return new YouTubeClient('test-key-1234', { transport, cache, retryDelays: [0, 0] });
+}
+
+// ─── ResponseCache ───────────────────────────────────────────────────────────
+
+describe('ResponseCache', () => {
+    it('should serve fresh entries and count hits and misses', async () => {
+        const clock = makeClock();
+        const cache = new ResponseCache(new MemoryStore(), { now: clock.now });
+
+        assert.equal(await cache.get('videos', { id: 'a' }), null);
+        await cache.set('videos', { id: 'a' }, { items: [1] });
+        const entry = await cache.get('videos', { id: 'a' });
+
+        assert.equal(entry.fresh, true);
+        assert.deepEqual(entry.body, { items: [1] });
+        assert.deepEqual(
+            [cache.getStats().hits, cache.getStats().misses, cache.getStats().hitRate],
+            [1, 1, 50],
+        );
+    });
+
+    it('should give handle lookups a longer TTL than channel details', async () => {
+        const clock = makeClock();
+        const cache = new ResponseCache(new MemoryStore(), { now: clock.now });
+
+        await cache.set('channels', { part: 'id', forHandle: 'someone' }, { items: [{ id: CHANNEL_ID }] });
+        await cache.set('channels', { part: 'statistics', id: CHANNEL_ID }, { items: [] });
+        clock.t += DEFAULT_TTLS.channels + HOUR;
+
+        assert.equal((await cache.get('channels', { part: 'id', forHandle: 'someone' })).fresh, true);
+        assert.equal((await cache.get('channels', { part: 'statistics', id: CHANNEL_ID })).fresh, false);
+    });
+
+    it('should keep video owner lookups as long as handles', async () => {
+        const clock = makeClock();
+        const cache = new ResponseCache(new MemoryStore(), { now: clock.now });
+        const ownerLookup = { part: 'snippet', id: 'dQw4w9WgXcQ', fields: OWNER_FIELDS };
+
+        await cache.set('videos', ownerLookup, { items: [{ id: 'dQw4w9WgXcQ' }] });
+        await cache.set('videos', { part: 'snippet,statistics', id: 'dQw4w9WgXcQ' }, { items: [] });
+        clock.t += DEFAULT_TTLS.videos + HOUR;
+
+        assert.equal((await cache.get('videos', ownerLookup)).fresh, true);
+        assert.equal((await cache.get('videos', { part: 'snippet,statistics', id: 'dQw4w9WgXcQ' })).fresh, false);
+    });
+
+    it('should not cache a handle or owner lookup that found nothing', async () => {
+        const cache = new ResponseCache(new MemoryStore());
+        const handleLookup = { part: 'id', forHandle: 'brandnewcreator' };
+        const ownerLookup  = { part: 'snippet', id: 'privatevid1', fields: OWNER_FIELDS };
+
+        await cache.set('channels', handleLookup, { items: [] });
+        await cache.set('videos', ownerLookup, {});
+
+        assert.equal(await cache.get('channels', handleLookup), null);
+        assert.equal(await cache.get('videos', ownerLookup), null);
+    });
+
+    it('should apply TTL overrides', async () => {
+        const clock = makeClock();
+        const cache = new ResponseCache(new MemoryStore(), { now: clock.now, ttls: { videos: 0 } });
+        await cache.set('videos', { id: 'a' }, { items: [] });
+        assert.equal((await cache.get('videos', { id: 'a' })).fresh, false);
+    });
+
+    it('should ignore param order and undefined params in keys', async () => {
+        const cache = new ResponseCache(new MemoryStore());
+        await cache.set('playlistItems', { part: 'contentDetails', playlistId: 'UU1', pageToken: undefined }, { items: [1] });
+        const entry = await cache.get('playlistItems', { playlistId: 'UU1', part: 'contentDetails' });
+        assert.deepEqual(entry.body, { items: [1] });
+    });
+
+    it('should treat a failing store as a miss instead of throwing', async () => {
+        const broken = { getValue: async () => { throw new Error('disk full'); }, setValue: async () => { throw new Error('disk full'); } };
+        const cache = new ResponseCache(broken);
+        assert.equal(await cache.get('videos', { id: 'a' }), null);
+        await cache.set('videos', { id: 'a' }, { items: [] });
+        assert.equal(cache.getStats().storeErrors, 2);
+    });
+});
+
+// ─── YouTubeClient + cache ───────────────────────────────────────────────────
+
+describe('YouTubeClient with response cache', () => {
+    it('should not spend quota on a fresh cache hit', async () => {
+        const clock = makeClock();
+        const transport = etagTransport();
+        const client = makeClient(transport, clock);
+
+        await client.getChannel(CHANNEL_ID);
+        const second = await client.getChannel(CHANNEL_ID);
+
+        assert.equal(second.id, CHANNEL_ID);
+        assert.equal(transport.requests.length, 1);
+        const stats = client.getQuotaStats();
+        assert.equal(stats.quotaUsed, 1);
+        assert.equal(stats.cache.hits, 1);
+        assert.equal(stats.cache.quotaSaved, 1);
+    });
+
+    it('should revalidate stale entries with If-None-Match and reuse the body on 304', async () => {
+        const clock = makeClock();
+        const transport = etagTransport('"v1"');
+        const client = makeClient(transport, clock);
+
+        await client.getChannel(CHANNEL_ID);
+        clock.t += DEFAULT_TTLS.channels + HOUR;
+        const revalidated = await client.getChannel(CHANNEL_ID);
+
+        assert.equal(revalidated.id, CHANNEL_ID);
+        assert.equal(transport.requests[1].headers['if-none-match'], '"v1"');
+        assert.equal(client.getQuotaStats().cache.revalidated, 1);
+
+        // Revalidation restarts the TTL
+        await client.getChannel(CHANNEL_ID);
+        assert.equal(transport.requests.length, 2);
+    });
+
+    it('should report no cache stats when caching is disabled', () => {
+        const client = new YouTubeClient('test-key-1234', { transport: etagTransport() });
+        assert.equal(client.getQuotaStats().cache, null);
+    });
+});
@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { RunCheckpoint, CHECKPOINT_KEY } from '../checkpoint.js';
+import { MemoryStore } from '../cache.js';
+
+// ─── Fixtures ────────────────────────────────────────────────────────────────
+
+const CHANNELS = ['@alpha', '@bravo', '@charlie', '@delta'];
+
+async function interruptedRun(store) {
+    const first = new RunCheckpoint(store, CHANNELS);
+    await first.load();
+    first.complete(0, 'processed', 'UCalpha', null, { channelId: 'UCalpha', values: { score: 70 } });
+    first.complete(1, 'failed', null, 'CHANNEL_NOT_FOUND');
+    first.complete(2, 'skipped');
+    await first.save({ quotaUsed: 12 });
+    return first;
+}
+
+// ─── RunCheckpoint ───────────────────────────────────────────────────────────
+
+describe('RunCheckpoint', () => {
+    it('should start fresh when nothing was saved', async () => {
+        const checkpoint = new RunCheckpoint(new MemoryStore(), CHANNELS);
+        assert.equal(await checkpoint.load(), false);
+        assert.equal(checkpoint.isDone(0), false);
+        assert.deepEqual(checkpoint.counts, { processed: 0, skipped: 0, failed: 0 });
+    });
+
+    it('should resume completed channels, counters and quota after a restart', async () => {
+        const store = new MemoryStore();
+        await interruptedRun(store);
+
+        const resumed = new RunCheckpoint(store, CHANNELS);
+        assert.equal(await resumed.load(), true);
+        assert.deepEqual([0, 1, 2, 3].map((i) => resumed.isDone(i)), [true, true, true, false]);
+        assert.deepEqual(resumed.counts, { processed: 1, skipped: 1, failed: 1 });
+        assert.equal(resumed.priorQuotaUsed, 12);
+    });
+
+    it('should aggregate error codes including those from before a restart', async () => {
+        const store = new MemoryStore();
+        await interruptedRun(store);
+
+        const resumed = new RunCheckpoint(store, CHANNELS);
+        await resumed.load();
+        resumed.complete(3, 'failed', null, 'QUOTA_EXCEEDED');
+        assert.deepEqual(resumed.errorCounts(), { CHANNEL_NOT_FOUND: 1, QUOTA_EXCEEDED: 1 });
+    });
+
+    it('should accumulate quota across several restarts', async () => {
+        const store = new MemoryStore();
+        await interruptedRun(store);
+
+        const second = new RunCheckpoint(store, CHANNELS);
+        await second.load();
+        await second.save({ quotaUsed: 5 });
+
+        const third = new RunCheckpoint(store, CHANNELS);
+        await third.load();
+        assert.equal(third.priorQuotaUsed, 17);
+    });
+
+    it('should keep benchmark records of processed channels across a restart', async () => {
+        const store = new MemoryStore();
+        await interruptedRun(store);
+
+        const resumed = new RunCheckpoint(store, CHANNELS);
+        await resumed.load();
+        resumed.complete(3, 'processed', 'UCdelta', null, { channelId: 'UCdelta', values: { score: 40 } });
+        assert.deepEqual(resumed.benchmarkRecords().map((r) => r.channelId), ['UCalpha', 'UCdelta']);
+    });
+
+    it('should ignore a checkpoint saved for a different channel list', async () => {
+        const store = new MemoryStore();
+        await interruptedRun(store);
+
+        const other = new RunCheckpoint(store, ['@someone-else']);
+        assert.equal(await other.load(), false);
+    });
+
+    it('should not resume a run that already finished', async () => {
+        const store = new MemoryStore();
+        const checkpoint = await interruptedRun(store);
+        await checkpoint.save({ quotaUsed: 12, finished: true });
+
+        assert.equal(await new RunCheckpoint(store, CHANNELS).load(), false);
+    });
+
+    it('should count each channel once even if completed twice', () => {
+        const checkpoint = new RunCheckpoint(new MemoryStore(), CHANNELS);
+        checkpoint.complete(0, 'processed');
+        checkpoint.complete(0, 'processed');
+        assert.equal(checkpoint.counts.processed, 1);
+    });
+
+    it('should save under the CHECKPOINT key by default', async () => {
+        const store = new MemoryStore();
+        await interruptedRun(store);
+        const saved = await store.getValue(CHECKPOINT_KEY);
+        assert.deepEqual(saved.completed[1], { index: 1, outcome: 'failed', channelId: null, errorCode: 'CHANNEL_NOT_FOUND' });
+        assert.deepEqual(saved.completed[0].benchmark, { channelId: 'UCalpha', values: { score: 70 } });
+    });
+});
@@ -0,0 +1,99 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { assessConfidence, assessReliability } from '../confidence.js';
+import { parseVideos, analyzeVideos, applyScoreModifiers } from '../analytics.js';
+
+// ─── Fixtures ────────────────────────────────────────────────────────────────
+
+const STATS = { subscriberCount: '50000' };
+
+/**
+ * `count` videos, one every `gapDays`, whose views and engagement swing
+ * between a good and a bad video in turn.
+ */
+function channel(count, { gapDays = 3, likes = true } = {}) {
+    return parseVideos(Array.from({ length: count }, (_, i) => ({
+        id: `vid_${i}`,
+        snippet: { title: `Video ${i}`, publishedAt: new Date(Date.UTC(2024, 0, 1) + i * gapDays * 86_400_000).toISOString() },
+        statistics: {
+            viewCount: String(i % 2 ? 4000 : 16000),
+            ...(likes ? { likeCount: String(i % 2 ? 120 : 1400) } : {}),
+            commentCount: '20',
+        },
+        contentDetails: { duration: 'PT10M' },
+    })));
+}
+
+function assess(parsed, stats = STATS) {
+    return assessConfidence(parsed, analyzeVideos(parsed, 50000), stats);
+}
+
+// ─── Confidence intervals ────────────────────────────────────────────────────
+
+describe('assessConfidence', () => {
+    it('should give a wider interval for a small sample', () => {
+        const small = assess(channel(6)).confidence;
+        const large = assess(channel(120)).confidence;
+
+        const width = (ci) => ci.high - ci.low;
+        assert.ok(width(small.engagementRate) > width(large.engagementRate));
+        assert.ok(width(small.score) >= width(large.score));
+        assert.equal(small.level, 95);
+    });
+
+    it('should contain the measured engagement rate', () => {
+        const parsed = channel(40);
+        const { engagementRate } = analyzeVideos(parsed, 50000);
+        const { confidence } = assessConfidence(parsed, analyzeVideos(parsed, 50000), STATS);
+
+        assert.ok(confidence.engagementRate.low <= engagementRate);
+        assert.ok(confidence.engagementRate.high >= engagementRate);
+    });
+
+    it('should be reproducible for the same videos', () => {
+        assert.deepEqual(assess(channel(20)), assess(channel(20)));
+    });
+
+    it('should skip the interval for a single video', () => {
+        assert.equal(assess(channel(1)).confidence, null);
+    });
+
+    it('should move the interval with score modifiers', () => {
+        const score = { score: 70, grade: 'B+', confidence: { score: { low: 62, high: 78 } } };
+        const modified = applyScoreModifiers(score, [{ name: 'momentum', points: -3, detail: '' }]);
+        assert.deepEqual(modified.confidence.score, { low: 59, high: 75 });
+    });
+});
+
+// ─── Reliability ─────────────────────────────────────────────────────────────
+
+describe('assessReliability', () => {
+    const reliability = (parsed, stats = STATS) => assessReliability(parsed, analyzeVideos(parsed, 50000), stats);
+
+    it('should rate a long, deep sample high', () => {
+        const result = reliability(channel(40));
+        assert.equal(result.label, 'high');
+        assert.deepEqual(result.reasons, []);
+    });
+
+    it('should rate a handful of videos low', () => {
+        const result = reliability(channel(5, { gapDays: 20 }));
+        assert.equal(result.label, 'low');
+        assert.match(result.reasons[0], /Only 5 videos/);
+    });
+
+    it('should take the weaker of video count and date span', () => {
+        // 40 videos, but all within a week
+        assert.equal(reliability(channel(40, { gapDays: 0.2 })).label, 'low');
+        assert.equal(reliability(channel(15, { gapDays: 7 })).label, 'medium');
+    });
+
+    it('should downgrade for hidden subscribers and hidden likes', () => {
+        assert.equal(reliability(channel(40), { ...STATS, hiddenSubscriberCount: true }).label, 'medium');
+
+        const result = reliability(channel(40, { likes: false }), { ...STATS, hiddenSubscriberCount: true });
+        assert.equal(result.label, 'low');
+        assert.equal(result.hiddenMetrics.likesDisabledVideos, 40);
+        assert.equal(result.reasons.length, 2);
+    });
+});
@@ -0,0 +1,160 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkConflicts, resolveConflictCheck } from '../conflicts.js';
+import { detectSponsorships } from '../sponsorship.js';
+import { DEFAULT_REGISTRY, loadBrandRegistry } from '../brand-registry.js';
+import { ERROR_CODES } from '../errors.js';
+
+// ─── Fixtures ────────────────────────────────────────────────────────────────
+
+const NOW = Date.parse('2025-06-30T12:00:00Z');
+
+function video(publishedAt, description, videoId = `vid_${publishedAt}`) {
+    return { videoId, title: `Video ${publishedAt}`, description, tags: [], publishedAt: new Date(`${publishedAt}T15:00:00Z`) };
+}
+
+/** Scanned videos and their sponsorship report, checked against `input` */
+function run(videos, input, registry = DEFAULT_REGISTRY) {
+    const check = resolveConflictCheck(input, registry);
+    return checkConflicts(detectSponsorships(videos, registry), videos, check, NOW);
+}
+
+function channel() {
+    return [
+        video('2025-01-05', 'Thanks to ExpressVPN for sponsoring this video.'),
+        video('2025-03-10', 'Sponsored by Surfshark. Get 80% off at surfshark.deals/techguy'),
+        video('2025-05-20', 'Sponsored by Athletic Greens.'),
+        video('2025-06-15', 'No sponsor this week.'),
+    ];
+}
+
+const isInvalidInput = (err) => err.errorCode === ERROR_CODES.INVALID_INPUT;
+
+// ─── resolveConflictCheck ────────────────────────────────────────────────────
+
+describe('resolveConflictCheck', () => {
+    it('should be off without a target brand or competitors', () => {
+        assert.equal(resolveConflictCheck({}, DEFAULT_REGISTRY), null);
+        assert.equal(resolveConflictCheck({ targetBrand: '  ', competitors: [] }, DEFAULT_REGISTRY), null);
+    });
+
+    it('should default to the target brand\'s category, skipping sister brands', () => {
+        const check = resolveConflictCheck({ targetBrand: 'nord vpn' }, DEFAULT_REGISTRY);
+        assert.equal(check.targetBrand, 'NordVPN');
+        assert.equal(check.competitorCategory, 'VPN & Privacy');
+        assert.deepEqual(check.competitors.map((c) => c.name), ['ExpressVPN', 'Private Internet Access']);
+        assert.deepEqual(check.sisterBrands, ['Surfshark', 'Incogni']);
+    });
+
+    it('should resolve listed competitors to registry brands and networks', () => {
+        const check = resolveConflictCheck({
+            targetBrand: 'Acme Greens',
+            competitors: ['Athletic Greens', 'shareasale', 'Huel', 'Acme Greens'],
+        }, DEFAULT_REGISTRY);
+        assert.equal(check.targetInRegistry, false);
+        assert.deepEqual(check.competitors, [
+            { name: 'AG1', kind: 'brand', source: 'list' },
+            { name: 'ShareASale', kind: 'network', source: 'list' },
+            { name: 'Huel', kind: 'brand', source: 'list' },
+        ]);
+    });
+
+    it('should reject incomplete or malformed input', () => {
+        const bad = [
+            { competitors: ['Surfshark'] },
+            { targetBrand: 'NordVPN', competitors: 'Surfshark' },
+            { targetBrand: 'NordVPN', competitorCategory: 'Spaceships' },
+            { targetBrand: 'Acme Greens' },
+        ];
+        for (const input of bad) {
+            assert.throws(() => resolveConflictCheck(input, DEFAULT_REGISTRY), isInvalidInput);
+        }
+    });
+});
+
+// ─── checkConflicts ──────────────────────────────────────────────────────────
+
+describe('checkConflicts', () => {
+    it('should fail on a competitor sponsorship inside the window', () => {
+        const report = run(channel(), { targetBrand: 'ExpressVPN', windowDays: 180 });
+
+        assert.equal(report.result, 'fail');
+        assert.deepEqual(report.conflictsInWindow, ['Surfshark']);
+        assert.deepEqual(report.mostRecent, { brand: 'Surfshark', date: '2025-03-10', daysAgo: 112, insideWindow: true });
+        assert.equal(report.label, 'Fail — Surfshark sponsored a video 112 days ago, inside the 180-day exclusivity window');
+        assert.deepEqual(report.targetBrandHistory, { videos: 1, lastSeen: '2025-01-05' });
+    });
+
+    it('should pass when the last competitor deal is outside the window', () => {
+        const report = run(channel(), { targetBrand: 'ExpressVPN', windowDays: 90 });
+
+        assert.equal(report.result, 'pass');
+        assert.equal(report.passed, true);
+        assert.equal(report.matches[0].brand, 'Surfshark');
+        assert.equal(report.matches[0].insideWindow, false);
+        assert.equal(report.label, 'Pass — no competitor sponsorships in the last 90 days');
+        assert.equal(report.coverage.complete, true);
+    });
+
+    it('should not count the target brand\'s sister brands', () => {
+        const report = run(channel(), { targetBrand: 'NordVPN', windowDays: 365 });
+        assert.deepEqual(report.conflictsInWindow, ['ExpressVPN']);
+    });
+
+    it('should match competitors named by alias', () => {
+        const report = run(channel(), { targetBrand: 'Huel', competitors: ['AG1'], windowDays: 60 });
+        assert.equal(report.result, 'fail');
+        assert.equal(report.matches[0].brand, 'AG1');
+        assert.equal(report.matches[0].videos[0].publishedAt, '2025-05-20');
+    });
+
+    it('should match an affiliate network competitor on its links', () => {
+        const videos = [video('2025-06-01', 'Everything I use: https://www.shareasale.com/r.cfm?b=1&u=2')];
+        const report = run(videos, { targetBrand: 'Impact Radius', competitors: ['ShareASale'] });
+        assert.equal(report.result, 'fail');
+        assert.equal(report.matches[0].kind, 'network');
+    });
+
+    it('should match custom registry brands in the competitor category', () => {
+        const registry = loadBrandRegistry({
+            brands: [{ name: 'Acme Rockets', domains: ['acmerockets.io'], category: 'Aerospace' }],
+        });
+        const report = run(
+            [video('2025-06-01', '#ad Fly with acmerockets.io')],
+            { targetBrand: 'Orbit Co', competitorCategory: 'aerospace' },
+            registry,
+        );
+        assert.equal(report.competitorCategory, 'Aerospace');
+        assert.deepEqual(report.conflictsInWindow, ['Acme Rockets']);
+    });
+
+    it('should list undisclosed competitor links as possible conflicts without failing', () => {
+        const videos = [
+            video('2025-02-01', 'My router setup, see https://nordvpn.com', 'old'),
+            video('2025-06-10', 'Gear list: https://nordvpn.com', 'new'),
+            video('2025-06-20', 'No sponsor this week.'),
+        ];
+        const report = run(videos, { targetBrand: 'ExpressVPN', windowDays: 90 });
+
+        assert.equal(report.result, 'pass');
+        assert.deepEqual(report.conflictsInWindow, []);
+        assert.deepEqual(report.possibleConflictsInWindow, ['NordVPN']);
+        assert.deepEqual(report.possibleConflicts, [{
+            brand: 'NordVPN',
+            source: 'category',
+            links: 2,
+            lastSeen: '2025-06-10',
+            daysAgo: 20,
+            insideWindow: true,
+            videoIds: ['old', 'new'],
+        }]);
+        assert.match(report.label, /review a link to NordVPN without a disclosure 20 days ago$/);
+    });
+
+    it('should say when the scanned videos don\'t cover the whole window', () => {
+        const report = run(channel(), { targetBrand: 'Squarespace', windowDays: 365 });
+        assert.equal(report.result, 'pass');
+        assert.equal(report.coverage.complete, false);
+        assert.match(report.label, /only videos since 2025-01-05 were scanned/);
+    });
+});
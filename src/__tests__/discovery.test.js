@@ -0,0 +1,133 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { YouTubeClient } from '../youtube-api.js';
+import { ResponseCache, MemoryStore } from '../cache.js';
+import { discoverChannels } from '../discovery.js';
+
+// ─── Fixtures ────────────────────────────────────────────────────────────────
+
+const id = (n) => `UC${String(n).padStart(22, '0')}`;
+
+/**
+ * Fake search index: keyword → pages of channel numbers. Records every
+ * search request's query params.
+ */
+function searchTransport(index, { failOn = null } = {}) {
+    const requests = [];
+    return {
+        requests,
+        send: async ({ url }) => {
+            const params = Object.fromEntries(new URL(url).searchParams);
+            requests.push(params);
+            if (params.q === failOn) {
+                return { statusCode: 403, headers: {}, body: { error: { errors: [{ reason: 'quotaExceeded' }] } } };
+            }
+            const pages = index[params.q] ?? [[]];
+            const page  = Number(params.pageToken ?? 0);
+            return {
+                statusCode: 200,
+                headers: {},
+                body: {
+                    items: pages[page].map((n) => ({ id: { channelId: id(n) }, snippet: { channelTitle: `Channel ${n}` } })),
+                    nextPageToken: page + 1 < pages.length ? String(page + 1) : undefined,
+                },
+            };
+        },
+    };
+}
+
+function makeClient(transport, options = {}) {
+    return new YouTubeClient('test-key', { transport, retryDelays: [0, 0], ...options });
+}
+
+const DEFAULTS = { maxSearchUnits: 10_000, maxChannels: 100 };
+
+// ─── discoverChannels ────────────────────────────────────────────────────────
+
+describe('discoverChannels', () => {
+    it('should search for channels with region and language filters', async () => {
+        const transport = searchTransport({ espresso: [[1, 2]] });
+        const result = await discoverChannels(makeClient(transport), {
+            ...DEFAULTS,
+            keywords: ['espresso'],
+            regionCode: 'US',
+            relevanceLanguage: 'en',
+        });
+
+        assert.deepEqual(result.channels, [
+            { channelId: id(1), title: 'Channel 1', keywords: ['espresso'] },
+            { channelId: id(2), title: 'Channel 2', keywords: ['espresso'] },
+        ]);
+        const [request] = transport.requests;
+        assert.equal(request.type, 'channel');
+        assert.equal(request.regionCode, 'US');
+        assert.equal(request.relevanceLanguage, 'en');
+        assert.equal(result.quotaUsed, 100);
+        assert.equal(result.stoppedBy, 'exhausted');
+    });
+
+    it('should de-duplicate across keywords and skip channels already in the run', async () => {
+        const transport = searchTransport({ espresso: [[1, 2, 3]], 'latte art': [[2, 3, 4]] });
+        const result = await discoverChannels(makeClient(transport), {
+            ...DEFAULTS,
+            keywords: ['espresso', 'latte art'],
+            exclude: [id(1)],
+        });
+
+        assert.deepEqual(result.channels.map((c) => [c.channelId, c.keywords]), [
+            [id(2), ['espresso', 'latte art']],
+            [id(3), ['espresso', 'latte art']],
+            [id(4), ['latte art']],
+        ]);
+        assert.deepEqual(result.searches.map((s) => s.newChannels), [2, 1]);
+    });
+
+    it('should search keywords round-robin and stop at the unit budget', async () => {
+        const transport = searchTransport({ a: [[1], [2], [3]], b: [[4], [5], [6]] });
+        const result = await discoverChannels(makeClient(transport), {
+            ...DEFAULTS,
+            keywords: ['a', 'b'],
+            maxSearchUnits: 350,
+        });
+
+        assert.deepEqual(transport.requests.map((r) => `${r.q}${r.pageToken ?? 0}`), ['a0', 'b0', 'a1']);
+        assert.equal(result.quotaUsed, 300);
+        assert.equal(result.stoppedBy, 'budget');
+    });
+
+    it('should stop once enough channels were found', async () => {
+        const transport = searchTransport({ a: [[1, 2, 3], [4, 5]] });
+        const result = await discoverChannels(makeClient(transport), {
+            ...DEFAULTS,
+            keywords: ['a'],
+            maxChannels: 2,
+        });
+
+        assert.equal(result.channels.length, 2);
+        assert.equal(transport.requests.length, 1);
+        assert.equal(result.stoppedBy, 'maxChannels');
+    });
+
+    it('should not charge cached searches to the budget', async () => {
+        const cache = new ResponseCache(new MemoryStore());
+        const transport = searchTransport({ a: [[1]] });
+        const options = { ...DEFAULTS, keywords: ['a'], maxSearchUnits: 100 };
+
+        await discoverChannels(makeClient(transport, { cache }), options);
+        const again = await discoverChannels(makeClient(transport, { cache }), options);
+
+        assert.equal(transport.requests.length, 1);
+        assert.equal(again.quotaUsed, 0);
+        assert.equal(again.channels.length, 1);
+    });
+
+    it('should keep earlier results and report a typed error when a search fails', async () => {
+        const transport = searchTransport({ a: [[1, 2]] }, { failOn: 'b' });
+        const result = await discoverChannels(makeClient(transport), { ...DEFAULTS, keywords: ['a', 'b'] });
+
+        assert.equal(result.channels.length, 2);
+        assert.equal(result.stoppedBy, 'error');
+        assert.equal(result.error.errorCode, 'QUOTA_EXCEEDED');
+        assert.equal(result.error.stage, 'discover');
+    });
+});
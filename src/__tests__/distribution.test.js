@@ -0,0 +1,76 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { median, percentile, trimmedMean, outlierBounds } from '../distribution.js';
+
+// ─── Fixtures ────────────────────────────────────────────────────────────────
+
+/** Ten ordinary videos and one viral hit */
+const VIEWS = [9000, 9500, 10000, 10200, 10500, 11000, 11200, 11800, 12000, 12500, 250000];
+
+// ─── percentile ──────────────────────────────────────────────────────────────
+
+describe('percentile', () => {
+    it('should interpolate between closest ranks', () => {
+        assert.equal(percentile([10, 20, 30, 40], 50), 25);
+        assert.equal(percentile([10, 20, 30, 40], 0), 10);
+        assert.equal(percentile([10, 20, 30, 40], 100), 40);
+    });
+
+    it('should not depend on input order', () => {
+        assert.equal(percentile([40, 10, 30, 20], 25), 17.5);
+    });
+
+    it('should return 0 for no values', () => {
+        assert.equal(percentile([], 90), 0);
+    });
+});
+
+// ─── median ──────────────────────────────────────────────────────────────────
+
+describe('median', () => {
+    it('should take the middle value, or the rounded mean of the middle two', () => {
+        assert.equal(median([30, 10, 20]), 20);
+        assert.equal(median([40, 10, 30, 21]), 26);
+    });
+
+    it('should return 0 for no values', () => {
+        assert.equal(median([]), 0);
+    });
+});
+
+// ─── trimmedMean ─────────────────────────────────────────────────────────────
+
+describe('trimmedMean', () => {
+    it('should drop the viral hit that inflates the plain mean', () => {
+        const mean = VIEWS.reduce((s, v) => s + v, 0) / VIEWS.length;
+        const trimmed = trimmedMean(VIEWS);
+        assert.ok(mean > 30000);
+        assert.ok(trimmed > 10000 && trimmed < 12000);
+    });
+
+    it('should fall back to the plain mean when nothing would be trimmed', () => {
+        assert.equal(trimmedMean([1, 2, 9]), 4);
+    });
+});
+
+// ─── outlierBounds ───────────────────────────────────────────────────────────
+
+describe('outlierBounds', () => {
+    for (const method of ['iqr', 'mad']) {
+        it(`should put a viral hit above the upper bound (${method})`, () => {
+            const bounds = outlierBounds(VIEWS, method);
+            assert.ok(bounds.upper < 250000);
+            assert.ok(bounds.upper > 12500);
+            assert.ok(bounds.lower < 9000);
+        });
+    }
+
+    it('should need a minimum sample', () => {
+        assert.equal(outlierBounds([1, 2, 3, 400]), null);
+    });
+
+    it('should return null when there is no spread to measure against', () => {
+        assert.equal(outlierBounds([500, 500, 500, 500, 500, 900]), null);
+        assert.equal(outlierBounds([500, 500, 500, 500, 500, 900], 'mad'), null);
+    });
+});
@@ -0,0 +1,102 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeDurations } from '../duration.js';
+
+// ─── Fixtures ────────────────────────────────────────────────────────────────
+
+const DAY = 86_400_000;
+const MATURITY = { now: Date.UTC(2026, 0, 1) };
+
+let nextId = 0;
+function video(durationSeconds, views) {
+    const i = nextId++;
+    return {
+        videoId: `vid_${i}`,
+        publishedAt: new Date(Date.UTC(2025, 0, 1) + i * DAY),
+        durationSeconds,
+        isShort: durationSeconds > 0 && durationSeconds <= 60,
+        views,
+        likes: views / 20,
+        comments: 0,
+    };
+}
+
+function times(n, make) {
+    return Array.from({ length: n }, make);
+}
+
+// ─── analyzeDurations ────────────────────────────────────────────────────────
+
+describe('analyzeDurations', () => {
+    it('should group videos into the six length buckets', () => {
+        const result = analyzeDurations([
+            video(30, 1000), video(120, 1000), video(420, 1000),
+            video(900, 1000), video(1800, 1000), video(3600, 1000),
+        ], MATURITY);
+
+        assert.deepEqual(result.buckets.map((b) => b.bucket), ['under1', '1to5', '5to10', '10to20', '20to40', 'over40']);
+        assert.ok(result.buckets.every((b) => b.videos === 1));
+        assert.equal(result.buckets[5].maxSeconds, null);
+    });
+
+    it('should put a video on a boundary in the longer bucket', () => {
+        const result = analyzeDurations([video(600, 1000)], MATURITY);
+        assert.equal(result.buckets.find((b) => b.bucket === '10to20').videos, 1);
+    });
+
+    it('should count a 60-second video as a Short and a 61-second one as long-form', () => {
+        const result = analyzeDurations([video(60, 1000), video(61, 1000)], MATURITY);
+        const [under1, oneToFive] = result.buckets;
+        assert.equal(under1.videos, 1);
+        assert.equal(oneToFive.videos, 1);
+    });
+
+    it('should not recommend a long-form length on the strength of Shorts', () => {
+        const result = analyzeDurations([
+            ...times(3, () => video(60, 90_000)),
+            ...times(3, () => video(61, 5_000)),
+            ...times(3, () => video(900, 20_000)),
+        ], MATURITY);
+        assert.equal(result.bestLengthRange.bucket, 'under1');
+        assert.equal(result.bestLongFormRange.bucket, '10to20');
+        assert.equal(result.buckets.find((b) => b.bucket === '1to5').medianViews, 5_000);
+    });
+
+    it('should name the best-performing length range', () => {
+        const result = analyzeDurations([
+            ...times(3, () => video(240, 10_000)),
+            ...times(3, () => video(900, 40_000)),
+            ...times(2, () => video(3000, 90_000)),
+        ], MATURITY);
+
+        // 40+ min does best but has too few videos to count
+        assert.equal(result.bestLengthRange.bucket, '10to20');
+        assert.equal(result.bestLongFormRange.bucket, '10to20');
+        assert.match(result.insights[0], /^10–20 min videos get 4× the median views of 1–5 min videos$/);
+    });
+
+    it('should recommend a long-form length when Shorts do best', () => {
+        const result = analyzeDurations([
+            ...times(4, () => video(45, 50_000)),
+            ...times(3, () => video(480, 20_000)),
+        ], MATURITY);
+        assert.equal(result.bestLengthRange.bucket, 'under1');
+        assert.equal(result.bestLongFormRange.bucket, '5to10');
+    });
+
+    it('should estimate watch time from a typical retention per bucket', () => {
+        const result = analyzeDurations(times(3, () => video(1800, 10_000)), MATURITY);
+        const bucket = result.buckets.find((b) => b.bucket === '20to40');
+        assert.equal(bucket.estimatedAvgViewDurationSeconds, 540);
+        // 30-day equivalent views, watched for 30% of 30 minutes each
+        assert.equal(bucket.estimatedWatchHours, Math.round((3 * bucket.medianViews * 540) / 3600));
+        assert.equal(bucket.watchTimeShare, 100);
+    });
+
+    it('should skip videos with no duration', () => {
+        const result = analyzeDurations([video(0, 1000), video(300, 1000)], MATURITY);
+        assert.equal(result.videosAnalyzed, 1);
+        assert.equal(result.bestLengthRange, null);
+        assert.match(result.note, /3\+ videos/);
+    });
+});
@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { YouTubeClient } from '../youtube-api.js';
+import {
+    AnalyzerError,
+    ChannelNotFoundError,
+    ERROR_CODES,
+    QuotaExceededError,
+    toAnalyzerError,
+} from '../errors.js';
+
+// ─── Fixtures ────────────────────────────────────────────────────────────────
+
+/** Client whose transport always answers with the given status and body */
+function clientAnswering(statusCode, body = {}) {
+    return new YouTubeClient('test-key', {
+        transport: { send: async () => ({ statusCode, headers: {}, body }) },
+        retryDelays: [0, 0],
+    });
+}
+
+const apiError = (reason, message = 'boom') => ({ error: { message, errors: [{ reason }] } });
+
+// ─── AnalyzerError ───────────────────────────────────────────────────────────
+
+describe('AnalyzerError', () => {
+    it('should serialise the machine-readable fields for dataset items', () => {
+        const error = new ChannelNotFoundError('Channel UCx not found or is private.');
+        assert.ok(error instanceof AnalyzerError);
+        assert.equal(error.name, 'ChannelNotFoundError');
+        assert.deepEqual(error.toJSON(), {
+            error: 'Channel UCx not found or is private.',
+            errorCode: 'CHANNEL_NOT_FOUND',
+            retryable: false,
+            stage: 'fetch_channel',
+        });
+    });
+
+    it('should mark quota exhaustion as retryable', () => {
+        assert.equal(new QuotaExceededError('out').retryable, true);
+    });
+});
+
+describe('toAnalyzerError', () => {
+    it('should stamp the stage on typed errors that lack one', () => {
+        const error = toAnalyzerError(new QuotaExceededError('out'), 'fetch_videos');
+        assert.equal(error.stage, 'fetch_videos');
+    });
+
+    it('should keep a stage the thrower already set', () => {
+        const error = toAnalyzerError(new ChannelNotFoundError('gone', 'resolve'), 'analyze');
+        assert.equal(error.stage, 'resolve');
+    });
+
+    it('should wrap plain errors as UNEXPECTED_ERROR, keeping the cause', () => {
+        const cause = new TypeError('x is undefined');
+        const error = toAnalyzerError(cause, 'analyze');
+        assert.equal(error.errorCode, ERROR_CODES.UNEXPECTED_ERROR);
+        assert.equal(error.retryable, false);
+        assert.equal(error.stage, 'analyze');
+        assert.equal(error.cause, cause);
+    });
+});
+
+// ─── API status mapping ──────────────────────────────────────────────────────
+
+describe('YouTubeClient error codes', () => {
+    const cases = [
+        [403, apiError('quotaExceeded'), 'QUOTA_EXCEEDED', true],
+        [403, apiError('forbidden'), 'KEY_FORBIDDEN', false],
+        [400, apiError('keyInvalid', 'API key not valid.'), 'KEY_FORBIDDEN', false],
+        [403, apiError('channelClosed'), 'API_ACCESS_DENIED', false],
+        [400, apiError('invalidParameter'), 'API_BAD_REQUEST', false],
+        [404, {}, 'API_NOT_FOUND', false],
+        [503, apiError('backendError'), 'NETWORK_EXHAUSTED', true],
+    ];
+
+    for (const [status, body, errorCode, retryable] of cases) {
+        it(`should map HTTP ${status} ${body.error?.errors[0].reason ?? ''} to ${errorCode}`, async () => {
+            await assert.rejects(
+                clientAnswering(status, body).getChannel('UCabcdefghijklmnopqrstuv'),
+                { errorCode, retryable },
+            );
+        });
+    }
+
+    it('should keep the last HTTP status on exhausted retries', async () => {
+        await assert.rejects(
+            clientAnswering(503, apiError('backendError')).getChannel('UCabcdefghijklmnopqrstuv'),
+            (error) => error.statusCode === 503,
+        );
+    });
+});
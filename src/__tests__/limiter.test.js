@@ -0,0 +1,119 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { RateLimiter, runWithConcurrency } from '../limiter.js';
+import { YouTubeClient } from '../youtube-api.js';
+
+// ─── Fixtures ────────────────────────────────────────────────────────────────
+
+/** Virtual clock: sleep() advances time instantly and logs the wait. */
+function makeVirtualTime() {
+    const time = { t: 0, waits: [] };
+    time.now = () => time.t;
+    time.sleep = async (ms) => {
+        time.waits.push(ms);
+        time.t += ms;
+    };
+    return time;
+}
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+// ─── RateLimiter ─────────────────────────────────────────────────────────────
+
+describe('RateLimiter', () => {
+    it('should space sequential requests by 1 / maxPerSecond', async () => {
+        const time = makeVirtualTime();
+        const limiter = new RateLimiter({ maxPerSecond: 4, now: time.now, sleep: time.sleep });
+
+        const startTimes = [];
+        for (let i = 0; i < 4; i++) {
+            await limiter.acquire();
+            startTimes.push(time.t);
+        }
+        assert.deepEqual(startTimes, [0, 250, 500, 750]);
+    });
+
+    it('should hold every caller during a backoff', async () => {
+        const time = makeVirtualTime();
+        const limiter = new RateLimiter({ maxPerSecond: 100, now: time.now, sleep: time.sleep });
+
+        await limiter.acquire();
+        limiter.backoff(2_000);
+        await limiter.acquire();
+
+        assert.ok(time.t >= 2_000, `acquired at ${time.t}ms, before the backoff ended`);
+        assert.equal(limiter.backoffCount, 1);
+    });
+
+    it('should reject a non-positive rate', () => {
+        assert.throws(() => new RateLimiter({ maxPerSecond: 0 }), /positive number/);
+    });
+});
+
+// ─── runWithConcurrency ──────────────────────────────────────────────────────
+
+describe('runWithConcurrency', () => {
+    it('should never exceed the concurrency limit', async () => {
+        let inFlight = 0;
+        let peak = 0;
+
+        await runWithConcurrency(Array.from({ length: 10 }, (_, i) => i), 3, async () => {
+            inFlight++;
+            peak = Math.max(peak, inFlight);
+            await tick();
+            inFlight--;
+        });
+
+        assert.equal(peak, 3);
+    });
+
+    it('should return results in input order regardless of completion order', async () => {
+        const results = await runWithConcurrency([30, 10, 20], 3, async (delay) => {
+            await new Promise((resolve) => setTimeout(resolve, delay));
+            return delay;
+        });
+        assert.deepEqual(results, [30, 10, 20]);
+    });
+
+    it('should handle an empty list', async () => {
+        assert.deepEqual(await runWithConcurrency([], 5, async () => 1), []);
+    });
+});
+
+// ─── YouTubeClient + limiter ─────────────────────────────────────────────────
+
+describe('YouTubeClient with rate limiter', () => {
+    it('should trigger a global backoff on 429, honouring Retry-After', async () => {
+        const time = makeVirtualTime();
+        const limiter = new RateLimiter({ maxPerSecond: 50, now: time.now, sleep: time.sleep });
+        let calls = 0;
+        const transport = {
+            send: async () => (++calls === 1
+                ? { statusCode: 429, headers: { 'retry-after': '3' }, body: {} }
+                : { statusCode: 200, headers: {}, body: { items: [{ id: 'UCabcdefghijklmnopqrstuv' }] } }),
+        };
+        const client = new YouTubeClient('test-key-1234', { transport, limiter, retryDelays: [0, 0] });
+
+        const channel = await client.getChannel('UCabcdefghijklmnopqrstuv');
+        assert.equal(channel.id, 'UCabcdefghijklmnopqrstuv');
+        assert.equal(limiter.backoffCount, 1);
+        assert.ok(time.t >= 3_000);
+    });
+
+    it('should fail over concurrent quotaExceeded requests without exhausting the next key', async () => {
+        const transport = {
+            send: async ({ url }) => {
+                await tick();
+                return new URL(url).searchParams.get('key') === 'key-aaaa'
+                    ? { statusCode: 403, headers: {}, body: { error: { errors: [{ reason: 'quotaExceeded' }] } } }
+                    : { statusCode: 200, headers: {}, body: { items: [] } };
+            },
+        };
+        const client = new YouTubeClient(['key-aaaa', 'key-bbbb'], { transport, retryDelays: [0, 0] });
+
+        await Promise.all([client.getChannel('UC1'), client.getChannel('UC2'), client.getChannel('UC3')]);
+        const keys = client.getQuotaStats().keys;
+        assert.deepEqual(keys.map((k) => k.exhausted), [true, false]);
+        assert.equal(keys[1].quotaUsed, 3);
+    });
+});
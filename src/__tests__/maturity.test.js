@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { accrualFraction, normalizeViews, STANDARD_AGE_DAYS } from '../maturity.js';
+
+// ─── Fixtures ────────────────────────────────────────────────────────────────
+
+const NOW = Date.UTC(2025, 5, 30);
+const DAY = 86_400_000;
+
+function video(ageDays, views, videoId = `age_${ageDays}`) {
+    return { videoId, views, publishedAt: new Date(NOW - ageDays * DAY) };
+}
+
+// ─── accrualFraction ─────────────────────────────────────────────────────────
+
+describe('accrualFraction', () => {
+    it('should reach exactly 1 at the standard age', () => {
+        assert.equal(accrualFraction(STANDARD_AGE_DAYS), 1);
+    });
+
+    it('should rise monotonically to 1', () => {
+        const ages = [0, 0.5, 1, 3, 7, 14, 30, 60, 180, 365, 1000];
+        const fractions = ages.map(accrualFraction);
+        for (let i = 1; i < fractions.length; i++) {
+            assert.ok(fractions[i] >= fractions[i - 1], `fraction dropped at ${ages[i]} days`);
+        }
+        assert.equal(accrualFraction(0), 0);
+        assert.equal(accrualFraction(365), 1);
+    });
+
+    it('should interpolate between breakpoints', () => {
+        assert.equal(accrualFraction(22), 0.95);
+    });
+});
+
+// ─── normalizeViews ──────────────────────────────────────────────────────────
+
+describe('normalizeViews', () => {
+    it('should project young videos up to 30-day equivalents', () => {
+        const [young, standard] = normalizeViews([video(14, 9_000), video(30, 10_000)], { now: NOW });
+        assert.equal(young.normalizedViews, 10_000);
+        assert.equal(standard.normalizedViews, 10_000);
+    });
+
+    it('should leave videos 30 days or older unchanged', () => {
+        const [old, older] = normalizeViews([video(90, 13_000), video(365, 2_500)], { now: NOW });
+        assert.equal(old.normalizedViews, 13_000);
+        assert.equal(older.normalizedViews, 2_500);
+    });
+
+    it('should flag videos younger than the minimum age as immature', () => {
+        const result = normalizeViews([video(2, 500), video(10, 5_000)], { now: NOW, minAgeDays: 7 });
+        assert.deepEqual(result.map((r) => r.immature), [true, false]);
+    });
+
+    it('should leave immature videos out when handling is "exclude"', () => {
+        const [fresh, mature] = normalizeViews(
+            [video(1, 500), video(30, 5_000)],
+            { now: NOW, handling: 'exclude' },
+        );
+        assert.equal(fresh.normalizedViews, null);
+        assert.equal(mature.normalizedViews, 5_000);
+    });
+
+    it('should cap the projection of brand-new videos', () => {
+        const [fresh] = normalizeViews([video(0.01, 1_000)], { now: NOW });
+        assert.equal(fresh.normalizedViews, 5_000);
+    });
+});
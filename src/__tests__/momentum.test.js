@@ -0,0 +1,118 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeMomentum, momentumModifier } from '../momentum.js';
+import { applyScoreModifiers } from '../analytics.js';
+
+// ─── Fixtures ────────────────────────────────────────────────────────────────
+
+const NOW = Date.UTC(2025, 6, 1);
+const DAY = 86_400_000;
+
+/**
+ * One video every 4 days, oldest first, all old enough that the accrual
+ * curve barely moves them. `viewsAt(i)` gives the i-th oldest video's views.
+ */
+function channel(count, viewsAt, { engagement = 0.05 } = {}) {
+    return Array.from({ length: count }, (_, i) => {
+        const views = viewsAt(i);
+        return {
+            videoId: `v${i}`,
+            publishedAt: new Date(NOW - (60 + (count - 1 - i) * 4) * DAY),
+            views,
+            likes: Math.round(views * engagement),
+            comments: 0,
+        };
+    });
+}
+
+// ─── analyzeMomentum ─────────────────────────────────────────────────────────
+
+describe('analyzeMomentum', () => {
+    it('should label a channel whose views keep rising as growing', () => {
+        const momentum = analyzeMomentum(channel(12, (i) => 10_000 * 1.1 ** i), { now: NOW });
+
+        assert.equal(momentum.label, 'growing');
+        assert.ok(momentum.slope.viewsChangePer30DaysPct > 10);
+        assert.ok(momentum.byCount.change.medianViewsPct > 0);
+        assert.ok(momentum.byDate.change.medianViewsPct > 0);
+        assert.ok(momentum.slope.rSquared > 0.9);
+    });
+
+    it('should label a channel whose views keep falling as declining', () => {
+        const momentum = analyzeMomentum(channel(12, (i) => 50_000 * 0.9 ** i), { now: NOW });
+        assert.equal(momentum.label, 'declining');
+        assert.ok(momentum.slope.viewsChangePer30DaysPct < -10);
+    });
+
+    it('should label flat views as stable', () => {
+        const momentum = analyzeMomentum(channel(12, (i) => (i % 2 ? 9_000 : 11_000)), { now: NOW });
+        assert.equal(momentum.label, 'stable');
+    });
+
+    it('should split into equal halves by count', () => {
+        const { byCount } = analyzeMomentum(channel(11, () => 10_000), { now: NOW });
+        assert.equal(byCount.recent.videos, 5);
+        assert.equal(byCount.earlier.videos, 6);
+        assert.ok(byCount.recent.from > byCount.earlier.to);
+    });
+
+    it('should compare engagement and cadence between windows', () => {
+        const videos = channel(12, () => 10_000);
+        // Recent half: double the engagement
+        for (const v of videos.slice(6)) v.likes *= 2;
+        const { byCount } = analyzeMomentum(videos, { now: NOW });
+
+        assert.equal(byCount.change.engagementRatePct, 100);
+        assert.equal(byCount.change.postsPerWeekPct, 0);
+    });
+
+    it('should normalize views so fresh uploads don\'t read as a decline', () => {
+        // Every video heads for 10K views, but the newest ones are days old
+        const videos = Array.from({ length: 10 }, (_, i) => ({
+            videoId: `v${i}`,
+            publishedAt: new Date(NOW - (i + 1) * 3 * DAY),
+            views: 10_000,
+            likes: 500,
+            comments: 0,
+        }));
+        videos[0].views = 5_000;   // 3 days old — half its 30-day views, on track
+        const momentum = analyzeMomentum(videos, { now: NOW });
+        assert.notEqual(momentum.label, 'declining');
+    });
+
+    it('should return no label with too few videos', () => {
+        const momentum = analyzeMomentum(channel(4, () => 10_000), { now: NOW });
+        assert.equal(momentum.label, null);
+        assert.equal(momentum.byCount, null);
+    });
+});
+
+// ─── Score modifier ──────────────────────────────────────────────────────────
+
+describe('momentumModifier', () => {
+    it('should add points for growth, capped at 5', () => {
+        const momentum = analyzeMomentum(channel(12, (i) => 10_000 * 1.3 ** i), { now: NOW });
+        assert.equal(momentumModifier(momentum).points, 5);
+    });
+
+    it('should subtract points for decline', () => {
+        const momentum = analyzeMomentum(channel(12, (i) => 50_000 * 0.9 ** i), { now: NOW });
+        assert.ok(momentumModifier(momentum).points < 0);
+    });
+
+    it('should not modify stable or unlabelled channels', () => {
+        assert.equal(momentumModifier(analyzeMomentum(channel(12, () => 10_000), { now: NOW })), null);
+        assert.equal(momentumModifier(analyzeMomentum(channel(3, () => 10_000), { now: NOW })), null);
+    });
+
+    it('should keep the weighted score as baseScore and regrade', () => {
+        const base = { score: 78, grade: 'B+', breakdown: {} };
+        const result = applyScoreModifiers(base, [{ name: 'momentum', points: 4, detail: 'growing' }]);
+
+        assert.equal(result.score, 82);
+        assert.equal(result.grade, 'A');
+        assert.equal(result.baseScore, 78);
+        assert.equal(result.modifiers.length, 1);
+        assert.equal(applyScoreModifiers(base, [null]), base);
+    });
+});
@@ -0,0 +1,108 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { log } from 'apify';
+import { YouTubeClient } from '../youtube-api.js';
+import { ReplayTransport } from '../transport.js';
+import { processChannel } from '../pipeline.js';
+
+// ─── Fixtures ────────────────────────────────────────────────────────────────
+
+// Keep test output clean — the pipeline logs every channel it resolves
+log.setLevel(log.LEVELS.OFF);
+
+const FIXTURES_DIR = fileURLToPath(new URL('./fixtures/replay', import.meta.url));
+
+const DEFAULT_OPTIONS = {
+    videosPerChannel: 5,
+    enableSponsorshipDetection: true,
+    enableAuthenticityCheck: true,
+    enableRateCard: true,
+    minSubscribers: 0,
+    minEngagementRate: 0,
+};
+
+function makeClient() {
+    return new YouTubeClient('test-key', {
+        transport: new ReplayTransport(FIXTURES_DIR),
+        retryDelays: [0, 0],
+    });
+}
+
+// ─── processChannel (replay) ─────────────────────────────────────────────────
+
+describe('processChannel (replay)', () => {
+    it('should run the full pipeline offline from recorded fixtures', async () => {
+        const client = makeClient();
+        const result = await processChannel(client, '@fixturecreator', DEFAULT_OPTIONS);
+
+        assert.equal(result.status, 'success');
+        assert.equal(result.channelId, 'UCfixture000000000000001');
+        assert.equal(result.channelName, 'Fixture Creator');
+        assert.equal(result.subscriberCount, 120000);
+        assert.equal(result.analytics.videoCount, 5);
+        assert.equal(result.creatorFusionScore.tier, 'Mid-Tier');
+        assert.ok(result.sponsorship.promoCodes.includes('FIXTURE20'));
+        assert.ok(result.rateCard.estimatedIntegrationRate.mid > 0);
+        // Five videos is too few to trust the score much
+        assert.equal(result.creatorFusionScore.reliability.label, 'low');
+        assert.ok(result.creatorFusionScore.confidence.score.low <= result.creatorFusionScore.confidence.score.high);
+    });
+
+    it('should charge 1 unit per request: handle, channel, playlist, videos', async () => {
+        const client = makeClient();
+        await processChannel(client, '@fixturecreator', DEFAULT_OPTIONS);
+        assert.equal(client.getQuotaStats().quotaUsed, 4);
+        assert.equal(client.getQuotaStats().requestCount, 4);
+    });
+
+    it('should resolve a video link through its owner and report the input form', async () => {
+        const client = makeClient();
+        const result = await processChannel(client, 'https://youtu.be/fixvid00001', DEFAULT_OPTIONS);
+
+        assert.equal(result.channelId, 'UCfixture000000000000001');
+        assert.equal(result.channelInput, 'https://youtu.be/fixvid00001');
+        assert.equal(result.inputForm, 'shortLink');
+    });
+
+    it('should retry a simulated 429 and then succeed', async () => {
+        const client = makeClient();
+        const result = await processChannel(client, '@flakycreator', DEFAULT_OPTIONS);
+        assert.equal(result.status, 'success');
+        assert.equal(result.channelId, 'UCfixture000000000000001');
+    });
+
+    it('should fail immediately on a simulated 403 quotaExceeded', async () => {
+        const client = makeClient();
+        await assert.rejects(
+            processChannel(client, '@quotacreator', DEFAULT_OPTIONS),
+            { message: /daily quota exceeded/, errorCode: 'QUOTA_EXCEEDED', retryable: true, stage: 'resolve' },
+        );
+        assert.equal(client.getQuotaStats().quotaUsed, 0);
+    });
+
+    it('should give up after retries on a persistent simulated 503', async () => {
+        const client = makeClient();
+        await assert.rejects(
+            processChannel(client, '@downcreator', DEFAULT_OPTIONS),
+            { message: /failed after 3 attempts: 503/, errorCode: 'NETWORK_EXHAUSTED', retryable: true, stage: 'resolve' },
+        );
+    });
+
+    it('should not retry when no fixture was recorded for the request', async () => {
+        const client = makeClient();
+        await assert.rejects(
+            processChannel(client, '@unrecordedcreator', DEFAULT_OPTIONS),
+            { message: /No recorded fixture for channels/, errorCode: 'UNEXPECTED_ERROR', retryable: false },
+        );
+    });
+
+    it('should report unparseable input as INVALID_INPUT without calling the API', async () => {
+        const client = makeClient();
+        await assert.rejects(
+            processChannel(client, 'not a channel', DEFAULT_OPTIONS),
+            { errorCode: 'INVALID_INPUT', retryable: false, stage: 'resolve' },
+        );
+        assert.equal(client.getQuotaStats().requestCount, 0);
+    });
+});
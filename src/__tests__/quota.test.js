@@ -0,0 +1,248 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { QuotaBudget, QuotaLedger, quotaDay } from '../quota.js';
+import { MemoryStore } from '../cache.js';
+import { YouTubeClient, estimateChannelCost, estimateQuotaCost, parseChannelInput } from '../youtube-api.js';
+
+// ─── parseChannelInput ───────────────────────────────────────────────────────
+
+describe('parseChannelInput', () => {
+    it('should classify channel IDs and /channel/ URLs without a lookup', () => {
+        const id = 'UCX6OQ3DkcsbYNE6H8uQQuVA';
+        assert.deepEqual(parseChannelInput(id), { kind: 'channelId', value: id, form: 'channelId' });
+        assert.deepEqual(parseChannelInput(`https://youtube.com/channel/${id}`), { kind: 'channelId', value: id, form: 'channelUrl' });
+    });
+
+    it('should classify handles, /@ URLs and /c/ URLs as handles', () => {
+        assert.deepEqual(parseChannelInput('@mkbhd'), { kind: 'handle', value: 'mkbhd', form: 'handle' });
+        assert.deepEqual(parseChannelInput('https://www.youtube.com/@MrBeast'), { kind: 'handle', value: 'MrBeast', form: 'handleUrl' });
+        assert.deepEqual(parseChannelInput('https://youtube.com/c/MrBeast'), { kind: 'handle', value: 'MrBeast', form: 'customUrl' });
+        assert.deepEqual(parseChannelInput('mr.beast'), { kind: 'handle', value: 'mr.beast', form: 'handle' });
+    });
+
+    it('should classify watch, youtu.be, /shorts/, /live/ and /embed/ links as videos', () => {
+        const video = (form) => ({ kind: 'video', value: 'dQw4w9WgXcQ', form });
+        assert.deepEqual(parseChannelInput('https://www.youtube.com/watch?v=dQw4w9WgXcQ'), video('videoUrl'));
+        assert.deepEqual(parseChannelInput('youtube.com/watch?feature=share&v=dQw4w9WgXcQ&t=42'), video('videoUrl'));
+        assert.deepEqual(parseChannelInput('https://m.youtube.com/live/dQw4w9WgXcQ'), video('videoUrl'));
+        assert.deepEqual(parseChannelInput('https://www.youtube.com/embed/dQw4w9WgXcQ'), video('videoUrl'));
+        assert.deepEqual(parseChannelInput('https://youtube.com/shorts/dQw4w9WgXcQ?si=abc'), video('shortsUrl'));
+        assert.deepEqual(parseChannelInput('https://youtu.be/dQw4w9WgXcQ'), video('shortLink'));
+    });
+
+    it('should prefer the video over the playlist in a watch URL', () => {
+        const parsed = parseChannelInput('https://www.youtube.com/watch?v=dQw4w9WgXcQ&list=PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf');
+        assert.equal(parsed.kind, 'video');
+    });
+
+    it('should classify playlist links, mapping uploads playlists straight to the channel', () => {
+        assert.deepEqual(
+            parseChannelInput('https://www.youtube.com/playlist?list=PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf'),
+            { kind: 'playlist', value: 'PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf', form: 'playlistUrl' },
+        );
+        assert.deepEqual(
+            parseChannelInput('https://www.youtube.com/playlist?list=UUX6OQ3DkcsbYNE6H8uQQuVA'),
+            { kind: 'channelId', value: 'UCX6OQ3DkcsbYNE6H8uQQuVA', form: 'playlistUrl' },
+        );
+    });
+
+    it('should classify legacy /user/ URLs as usernames', () => {
+        assert.deepEqual(parseChannelInput('https://www.youtube.com/user/pewdiepie'), { kind: 'username', value: 'pewdiepie', form: 'userUrl' });
+    });
+
+    it('should reject empty, oversized and unsafe inputs', () => {
+        assert.equal(parseChannelInput(''), null);
+        assert.equal(parseChannelInput(null), null);
+        assert.equal(parseChannelInput('x'.repeat(301)), null);
+        assert.equal(parseChannelInput('<script>'), null);
+        assert.equal(parseChannelInput('https://example.com/foo'), null);
+        assert.equal(parseChannelInput('https://youtu.be/tooshort'), null);
+    });
+});
+
+// ─── Cost estimation ─────────────────────────────────────────────────────────
+
+describe('estimateChannelCost', () => {
+    it('should cost 3 units for a channel ID with ≤ 50 videos', () => {
+        assert.deepEqual(estimateChannelCost('UCX6OQ3DkcsbYNE6H8uQQuVA', 30), { expected: 3, max: 3 });
+    });
+
+    it('should add 1–2 resolution units for handles', () => {
+        assert.deepEqual(estimateChannelCost('@mkbhd', 30), { expected: 4, max: 5 });
+    });
+
+    it('should add 1 resolution unit for video, playlist and /user/ links', () => {
+        assert.deepEqual(estimateChannelCost('https://youtu.be/dQw4w9WgXcQ', 30), { expected: 4, max: 4 });
+        assert.deepEqual(estimateChannelCost('https://www.youtube.com/user/pewdiepie', 30), { expected: 4, max: 4 });
+        assert.deepEqual(estimateChannelCost('https://www.youtube.com/playlist?list=UUX6OQ3DkcsbYNE6H8uQQuVA', 30), { expected: 3, max: 3 });
+    });
+
+    it('should add 2 units per extra page of 50 videos', () => {
+        assert.deepEqual(estimateChannelCost('UCX6OQ3DkcsbYNE6H8uQQuVA', 120), { expected: 7, max: 7 });
+    });
+
+    it('should cost nothing for inputs that fail before any request', () => {
+        assert.deepEqual(estimateChannelCost('not a channel/at all', 30), { expected: 0, max: 0 });
+    });
+});
+
+describe('estimateQuotaCost', () => {
+    it('should sum a mixed batch and report the average per channel', () => {
+        const est = estimateQuotaCost(['UCX6OQ3DkcsbYNE6H8uQQuVA', '@mkbhd'], 30);
+        assert.deepEqual(est, { expectedUnits: 7, maxUnits: 8, avgUnitsPerChannel: 3.5 });
+    });
+
+    it('should handle an empty batch', () => {
+        assert.deepEqual(estimateQuotaCost([], 30), { expectedUnits: 0, maxUnits: 0, avgUnitsPerChannel: 0 });
+    });
+});
+
+// ─── QuotaBudget ─────────────────────────────────────────────────────────────
+
+describe('QuotaBudget', () => {
+    it('should always allow when unlimited', () => {
+        const budget = new QuotaBudget(null, () => 1_000_000);
+        assert.equal(budget.tryReserve(500), true);
+        assert.equal(budget.getStats().remaining, null);
+    });
+
+    it('should count in-flight reservations against the budget', () => {
+        const budget = new QuotaBudget(10, () => 0);
+        assert.equal(budget.tryReserve(5), true);
+        assert.equal(budget.tryReserve(5), true);
+        assert.equal(budget.tryReserve(1), false);
+    });
+
+    it('should stay closed after the first deferral so the run stops in order', () => {
+        let used = 0;
+        const budget = new QuotaBudget(10, () => used);
+
+        assert.equal(budget.tryReserve(8), true);
+        used = 8;
+        budget.release(8);
+        assert.equal(budget.tryReserve(5), false);
+        // A smaller channel would fit, but the run has already stopped
+        assert.equal(budget.tryReserve(1), false);
+        assert.deepEqual(budget.getStats(), { maxUnits: 10, used: 8, remaining: 2, exhausted: true });
+    });
+});
+
+// ─── quotaDay ────────────────────────────────────────────────────────────────
+
+describe('quotaDay', () => {
+    it('should roll over at midnight Pacific, not UTC', () => {
+        // January: PST = UTC−8
+        assert.equal(quotaDay(Date.parse('2025-01-15T07:59:00Z')), '2025-01-14');
+        assert.equal(quotaDay(Date.parse('2025-01-15T08:00:00Z')), '2025-01-15');
+    });
+
+    it('should follow daylight saving time', () => {
+        // July: PDT = UTC−7
+        assert.equal(quotaDay(Date.parse('2025-07-15T06:59:00Z')), '2025-07-14');
+        assert.equal(quotaDay(Date.parse('2025-07-15T07:00:00Z')), '2025-07-15');
+    });
+});
+
+// ─── QuotaLedger ─────────────────────────────────────────────────────────────
+
+describe('QuotaLedger', () => {
+    const NOON_PT = Date.parse('2025-03-10T19:00:00Z');
+
+    it('should carry usage over to a later run on the same quota day', async () => {
+        const store = new MemoryStore();
+        const first = new QuotaLedger(store, { now: () => NOON_PT });
+        await first.load(['key-aaaa']);
+        first.record('key-aaaa', 3);
+        first.record('key-aaaa', 2);
+        await first.flush();
+
+        const second = new QuotaLedger(store, { now: () => NOON_PT + 3_600_000 });
+        await second.load(['key-aaaa']);
+        assert.equal(second.usedToday('key-aaaa'), 5);
+    });
+
+    it('should start from zero on the next quota day', async () => {
+        const store = new MemoryStore();
+        const today = new QuotaLedger(store, { now: () => NOON_PT });
+        today.record('key-aaaa', 40);
+        await today.flush();
+
+        const tomorrow = new QuotaLedger(store, { now: () => NOON_PT + 24 * 3_600_000 });
+        await tomorrow.load(['key-aaaa']);
+        assert.equal(tomorrow.usedToday('key-aaaa'), 0);
+    });
+
+    it('should never store the raw API key', async () => {
+        const store = new MemoryStore();
+        const ledger = new QuotaLedger(store, { now: () => NOON_PT });
+        ledger.record('super-secret-key', 1);
+        await ledger.flush();
+        const storedKeys = [...store._values.keys()];
+        assert.equal(storedKeys.length, 1);
+        assert.match(storedKeys[0], /^quota-[0-9a-f]{16}-2025-03-10$/);
+    });
+
+    it('should merge usage written by a concurrent run', async () => {
+        const store = new MemoryStore();
+        const runA = new QuotaLedger(store, { now: () => NOON_PT });
+        const runB = new QuotaLedger(store, { now: () => NOON_PT });
+        await runA.load(['key-aaaa']);
+        await runB.load(['key-aaaa']);
+
+        runB.record('key-aaaa', 10);
+        await runB.flush();
+        runA.record('key-aaaa', 1);
+        await runA.flush();
+
+        assert.equal(runA.usedToday('key-aaaa'), 11);
+    });
+
+    it('should batch usage in memory instead of touching the store per request', async () => {
+        const store = new MemoryStore();
+        const calls = { getValue: 0, setValue: 0 };
+        const counting = {
+            getValue: (key) => { calls.getValue++; return store.getValue(key); },
+            setValue: (key, value) => { calls.setValue++; return store.setValue(key, value); },
+        };
+        const ledger = new QuotaLedger(counting, { now: () => NOON_PT });
+        await ledger.load(['key-aaaa']);
+        for (let i = 0; i < 50; i++) ledger.record('key-aaaa', 1);
+
+        assert.equal(ledger.usedToday('key-aaaa'), 50);
+        assert.deepEqual(calls, { getValue: 1, setValue: 0 });
+
+        await ledger.flush();
+        assert.deepEqual(calls, { getValue: 2, setValue: 1 });
+        assert.equal((await store.getValue([...store._values.keys()][0])).used, 50);
+    });
+
+    it('should write batched usage on its own after the delay', async () => {
+        const store = new MemoryStore();
+        const ledger = new QuotaLedger(store, { now: () => NOON_PT, writeDelayMs: 5 });
+        ledger.record('key-aaaa', 7);
+        await new Promise((resolve) => setTimeout(resolve, 30));
+
+        const reader = new QuotaLedger(store, { now: () => NOON_PT });
+        await reader.load(['key-aaaa']);
+        assert.equal(reader.usedToday('key-aaaa'), 7);
+    });
+});
+
+describe('YouTubeClient with quota ledger', () => {
+    it('should base remaining quota on usage from earlier runs today', async () => {
+        const store = new MemoryStore();
+        const earlier = new QuotaLedger(store);
+        earlier.record('key-aaaa', 9_000);
+        await earlier.flush();
+
+        const transport = { send: async () => ({ statusCode: 200, headers: {}, body: { items: [] } }) };
+        const client = new YouTubeClient('key-aaaa', { transport, ledger: new QuotaLedger(store) });
+        await client.init();
+        await client.getChannel('UCX6OQ3DkcsbYNE6H8uQQuVA');
+
+        const stats = client.getQuotaStats();
+        assert.equal(stats.quotaUsed, 1);
+        assert.equal(stats.quotaUsedToday, 9_001);
+        assert.equal(stats.estimatedRemaining, 999);
+    });
+});
@@ -72,6 +72,19 @@ describe('generateRateCard', () => {
         assert.ok(card.brandDealExperience.includes('Very experienced'));
     });
 
+    it('should count repeat sponsors in brand deal experience', () => {
+        const card = generateRateCard({
+            avgViews: 50000,
+            subscribers: 100000,
+            tier: 'Mid-Tier',
+            engagementRate: 4.5,
+            creatorFusionScore: 72,
+            contentCategories: [],
+            sponsorship: { totalDetected: 6, renewals: { repeatSponsors: 2 } },
+        });
+        assert.equal(card.brandDealExperience, 'Experienced — regular brand deals (2 repeat sponsors)');
+    });
+
     it('should default to Unknown brand experience without sponsorship data', () => {
         const card = generateRateCard({
             avgViews: 50000,
@@ -83,4 +96,17 @@ describe('generateRateCard', () => {
         });
         assert.equal(card.brandDealExperience, 'Unknown');
     });
+
+    it('should report which average the views are based on', () => {
+        const card = generateRateCard({
+            avgViews: 42000,
+            viewsAverage: 'trimmedMean',
+            subscribers: 100000,
+            tier: 'Mid-Tier',
+            engagementRate: 4.5,
+            creatorFusionScore: 72,
+            contentCategories: [],
+        });
+        assert.deepEqual(card.viewsBasis, { avgViews: 42000, average: 'trimmedMean' });
+    });
 });
@@ -0,0 +1,102 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeSchedule, validateTimeZone } from '../schedule.js';
+import { ERROR_CODES } from '../errors.js';
+
+// ─── Fixtures ────────────────────────────────────────────────────────────────
+
+const DAY = 86_400_000;
+
+/** Tuesday 2025-01-07 17:00 in New York (22:00 UTC) */
+const FIRST_TUESDAY = Date.UTC(2025, 0, 7, 22);
+
+function video(i, publishedAt, views = 10_000) {
+    return {
+        videoId: `vid_${i}`,
+        publishedAt: new Date(publishedAt),
+        views,
+        likes: views / 20,
+        comments: 0,
+    };
+}
+
+/** Every Tuesday 17:00 New York time, for `weeks` weeks */
+function weeklyTuesday(weeks) {
+    return Array.from({ length: weeks }, (_, i) => video(i, FIRST_TUESDAY + i * 7 * DAY));
+}
+
+const OPTIONS = { timeZone: 'America/New_York', maturity: { now: Date.UTC(2026, 0, 1) } };
+
+// ─── analyzeSchedule ─────────────────────────────────────────────────────────
+
+describe('analyzeSchedule', () => {
+    it('should count uploads by weekday and hour in the chosen timezone', () => {
+        const schedule = analyzeSchedule(weeklyTuesday(8), OPTIONS);
+        assert.equal(schedule.heatmap.Tuesday[17], 8);
+        assert.equal(schedule.dominantSlots[0].label, 'Tuesday 17:00');
+        assert.equal(schedule.dominantSlots[0].share, 100);
+    });
+
+    it('should default to the channel country\'s timezone, then UTC', () => {
+        const inJapan = analyzeSchedule(weeklyTuesday(8), { country: 'jp' });
+        assert.equal(inJapan.timeZone, 'Asia/Tokyo');
+        assert.equal(inJapan.timeZoneSource, 'country');
+        // 22:00 UTC Tuesday is 07:00 Wednesday in Tokyo
+        assert.equal(inJapan.heatmap.Wednesday[7], 8);
+
+        const unknown = analyzeSchedule(weeklyTuesday(8), { country: null });
+        assert.equal(unknown.timeZone, 'UTC');
+        assert.equal(unknown.heatmap.Tuesday[22], 8);
+    });
+
+    it('should detect a fixed weekly schedule', () => {
+        const { fixedSchedule } = analyzeSchedule(weeklyTuesday(10), OPTIONS);
+        assert.equal(fixedSchedule.detected, true);
+        assert.deepEqual(fixedSchedule.weekdays, ['Tuesday']);
+        assert.equal(fixedSchedule.hour, 17);
+        assert.equal(fixedSchedule.label, 'Every Tuesday around 17:00');
+    });
+
+    it('should not claim a schedule for uploads spread across the week', () => {
+        const daily = Array.from({ length: 21 }, (_, i) => video(i, FIRST_TUESDAY + i * DAY + (i % 5) * 3_600_000 * 3));
+        assert.equal(analyzeSchedule(daily, OPTIONS).fixedSchedule.detected, false);
+    });
+
+    it('should flag a creator drifting off their usual slot', () => {
+        const videos = weeklyTuesday(12);
+        // The last three moved to Friday
+        for (const v of videos.slice(-3)) v.publishedAt = new Date(v.publishedAt.getTime() + 3 * DAY);
+
+        const { drift } = analyzeSchedule(videos, OPTIONS);
+        assert.equal(drift.detected, true);
+        assert.equal(drift.usualSlot, 'Every Tuesday around 17:00');
+        assert.equal(drift.offSlot, 3);
+    });
+
+    it('should not flag drift for a creator on schedule', () => {
+        assert.equal(analyzeSchedule(weeklyTuesday(12), OPTIONS).drift.detected, false);
+    });
+
+    it('should compare performance by weekday', () => {
+        const videos = [
+            ...weeklyTuesday(4),
+            ...Array.from({ length: 4 }, (_, i) => video(`sat_${i}`, FIRST_TUESDAY + (4 + i * 7) * DAY, 30_000)),
+        ];
+        const schedule = analyzeSchedule(videos, OPTIONS);
+        const saturday = schedule.byWeekday.find((d) => d.weekday === 'Saturday');
+
+        assert.equal(saturday.videos, 4);
+        assert.ok(saturday.medianViews > schedule.byWeekday.find((d) => d.weekday === 'Tuesday').medianViews);
+        assert.equal(schedule.bestWeekday.byViews, 'Saturday');
+        assert.equal(schedule.byWeekday.find((d) => d.weekday === 'Monday').medianViews, null);
+    });
+});
+
+// ─── validateTimeZone ────────────────────────────────────────────────────────
+
+describe('validateTimeZone', () => {
+    it('should accept IANA names and reject anything else', () => {
+        assert.equal(validateTimeZone('Europe/Berlin'), 'Europe/Berlin');
+        assert.throws(() => validateTimeZone('Mars/Olympus'), (err) => err.errorCode === ERROR_CODES.INVALID_INPUT);
+    });
+});
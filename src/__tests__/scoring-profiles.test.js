@@ -0,0 +1,119 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveScoringProfile, validateProfile, DEFAULT_PROFILE } from '../scoring-profiles.js';
+import { calculateCreatorFusionScore } from '../analytics.js';
+import { ERROR_CODES } from '../errors.js';
+
+// ─── Fixtures ────────────────────────────────────────────────────────────────
+
+/** A weekly uploader: on schedule for a podcast, slow for almost anything else */
+const WEEKLY = {
+    engagementRate: 4.0,
+    postingConsistency: 90,
+    postsPerWeek: 1,
+    viewToSubRatio: 20,
+};
+const STATS = { subscriberCount: '80000' };
+
+const CADENCE_FIRST = {
+    name: 'cadence-first',
+    version: '2.1',
+    weights: { engagement: 20, consistency: 30, frequency: 30 },
+};
+
+// ─── resolveScoringProfile ───────────────────────────────────────────────────
+
+describe('resolveScoringProfile', () => {
+    it('should resolve the default profile', () => {
+        const profile = resolveScoringProfile();
+        assert.equal(profile.name, 'default');
+        assert.deepEqual(profile.weights, DEFAULT_PROFILE.weights);
+    });
+
+    it('should resolve built-in vertical profiles', () => {
+        const podcast = resolveScoringProfile('podcast');
+        assert.equal(podcast.name, 'podcast');
+        assert.deepEqual(podcast.frequency.sweetSpot, [1, 3]);
+        // Untouched sections come from the default
+        assert.deepEqual(podcast.engagementBenchmarks, DEFAULT_PROFILE.engagementBenchmarks);
+    });
+
+    it('should layer a custom profile over the one it extends', () => {
+        const profile = resolveScoringProfile('gaming-strict', [{
+            name: 'gaming-strict',
+            extends: 'gaming',
+            engagementBenchmarks: { Micro: { good: 6, great: 9 } },
+        }]);
+        assert.equal(profile.version, '1');
+        assert.deepEqual(profile.frequency, resolveScoringProfile('gaming').frequency);
+        assert.deepEqual(profile.engagementBenchmarks.Micro, { good: 6, great: 9 });
+        assert.deepEqual(profile.engagementBenchmarks.Mega, DEFAULT_PROFILE.engagementBenchmarks.Mega);
+    });
+
+    it('should reject weights that do not sum to 100', () => {
+        assert.throws(
+            () => resolveScoringProfile('cadence-first', [CADENCE_FIRST]),
+            (err) => err.errorCode === ERROR_CODES.INVALID_INPUT && /sum to 100 \(got 110\)/.test(err.message),
+        );
+    });
+
+    it('should reject unknown profiles and bases', () => {
+        assert.throws(() => resolveScoringProfile('nope'), /Unknown scoring profile "nope"/);
+        assert.throws(
+            () => resolveScoringProfile('x', [{ name: 'x', extends: 'nope' }]),
+            /extends unknown built-in profile/,
+        );
+    });
+
+    it('should not resolve inherited object keys as built-in profiles', () => {
+        const isInvalidInput = (err) => err.errorCode === ERROR_CODES.INVALID_INPUT;
+        assert.throws(() => resolveScoringProfile('constructor'), isInvalidInput);
+        assert.throws(() => resolveScoringProfile('x', [{ name: 'x', extends: 'toString' }]), isInvalidInput);
+    });
+
+    it('should not let a custom profile shadow a built-in', () => {
+        assert.throws(() => resolveScoringProfile('default', [{ name: 'podcast' }]), /clashes with a built-in/);
+    });
+});
+
+// ─── validateProfile ─────────────────────────────────────────────────────────
+
+describe('validateProfile', () => {
+    it('should accept the default profile', () => {
+        assert.deepEqual(validateProfile(DEFAULT_PROFILE), []);
+    });
+
+    it('should list every problem', () => {
+        const problems = validateProfile({
+            ...DEFAULT_PROFILE,
+            weights: { ...DEFAULT_PROFILE.weights, reach: 5 },
+            frequency: { sweetSpot: [2, 5], minimum: 3, rare: 0.25 },
+            viewToSubRatio: { good: 30, great: 15 },
+            audienceSize: [[1000, 50], [10_000, 70]],
+        });
+        assert.equal(problems.length, 4);
+    });
+});
+
+// ─── Scoring with a profile ──────────────────────────────────────────────────
+
+describe('calculateCreatorFusionScore (profiles)', () => {
+    it('should record the profile name and version in the breakdown', () => {
+        const profile = resolveScoringProfile('cadence-first', [
+            { ...CADENCE_FIRST, weights: { ...CADENCE_FIRST.weights, viewToSubRatio: 10, audienceSize: 10 } },
+        ]);
+        const result = calculateCreatorFusionScore(WEEKLY, STATS, profile);
+
+        assert.deepEqual(result.breakdown.profile, { name: 'cadence-first', version: '2.1' });
+        assert.equal(result.breakdown.frequency.weight, '30%');
+    });
+
+    it('should score a weekly uploader higher under the podcast profile', () => {
+        const standard = calculateCreatorFusionScore(WEEKLY, STATS);
+        const podcast  = calculateCreatorFusionScore(WEEKLY, STATS, resolveScoringProfile('podcast'));
+
+        assert.equal(standard.breakdown.profile.name, 'default');
+        assert.ok(podcast.breakdown.frequency.score > standard.breakdown.frequency.score);
+        assert.ok(podcast.score > standard.score);
+    });
+});
@@ -0,0 +1,100 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSponsorTimeline } from '../sponsor-timeline.js';
+import { detectSponsorships } from '../sponsorship.js';
+
+// ─── Fixtures ────────────────────────────────────────────────────────────────
+
+/** A sponsoredVideos entry, as detectSponsorships() produces */
+function sponsored(publishedAt, brands, videoId = `vid_${publishedAt}`) {
+    return { videoId, title: `Video ${publishedAt}`, publishedAt, brands, signals: [] };
+}
+
+/** Weekly uploads from `from`, for the scanned video list */
+function uploads(from, weeks) {
+    const start = Date.parse(from);
+    return Array.from({ length: weeks }, (_, i) => ({ publishedAt: new Date(start + i * 7 * 86_400_000) }));
+}
+
+// ─── buildSponsorTimeline ────────────────────────────────────────────────────
+
+describe('buildSponsorTimeline', () => {
+    it('should lay out first and last seen, intervals, and videos per brand', () => {
+        const { brandTimeline } = buildSponsorTimeline([
+            sponsored('2025-01-01', ['NordVPN']),
+            sponsored('2025-01-31', ['NordVPN', 'AG1']),
+            sponsored('2025-03-02', ['NordVPN']),
+        ], uploads('2025-01-01', 10));
+
+        const nord = brandTimeline[0];
+        assert.equal(nord.brand, 'NordVPN');
+        assert.equal(nord.firstSeen, '2025-01-01');
+        assert.equal(nord.lastSeen, '2025-03-02');
+        assert.deepEqual(nord.intervalsDays, [30, 30]);
+        assert.equal(nord.medianIntervalDays, 30);
+        assert.equal(nord.spanDays, 60);
+        assert.deepEqual(nord.videos.map((v) => v.publishedAt), ['2025-01-01', '2025-01-31', '2025-03-02']);
+        assert.equal(brandTimeline[1].brand, 'AG1');
+        assert.deepEqual(brandTimeline[1].intervalsDays, []);
+    });
+
+    it('should classify one-off, recurring, and ambassador sponsors', () => {
+        const { brandTimeline, renewals } = buildSponsorTimeline([
+            sponsored('2024-01-10', ['Dbrand']),
+            sponsored('2024-05-10', ['Dbrand']),
+            sponsored('2024-09-10', ['Dbrand', 'Audible']),
+            sponsored('2024-09-24', ['Audible']),
+            sponsored('2024-10-01', ['Canva']),
+        ], uploads('2024-01-10', 40));
+
+        const relationship = Object.fromEntries(brandTimeline.map((t) => [t.brand, t.relationship]));
+        assert.deepEqual(relationship, { Dbrand: 'ambassador', Audible: 'recurring', Canva: 'one-off' });
+        assert.equal(renewals.repeatSponsors, 2);
+        assert.equal(renewals.renewalRate, 67);
+    });
+
+    it('should flag a repeat sponsor the channel kept uploading without', () => {
+        const { brandTimeline, renewals } = buildSponsorTimeline([
+            sponsored('2024-01-01', ['Surfshark']),
+            sponsored('2024-01-29', ['Surfshark']),
+        ], uploads('2024-01-01', 30));
+
+        const { churn } = brandTimeline[0];
+        assert.equal(churn.possible, true);
+        assert.equal(churn.afterDays, 90);
+        assert.equal(churn.daysSinceLastSeen, 175);
+        assert.equal(churn.uploadsSince, 25);
+        assert.deepEqual(renewals.possiblyChurned, ['Surfshark']);
+    });
+
+    it('should not flag churn when the channel stopped uploading too', () => {
+        // Last sponsored video is the last upload — a hiatus, not a lost sponsor
+        const { brandTimeline } = buildSponsorTimeline([
+            sponsored('2024-01-01', ['Surfshark']),
+            sponsored('2024-02-26', ['Surfshark']),
+        ], uploads('2024-01-01', 9));
+        assert.equal(brandTimeline[0].churn.possible, false);
+        assert.equal(brandTimeline[0].churn.uploadsSince, 0);
+    });
+
+    it('should not flag a one-off sponsor as churned', () => {
+        const { brandTimeline } = buildSponsorTimeline([sponsored('2024-01-01', ['Canva'])], uploads('2024-01-01', 30));
+        assert.equal(brandTimeline[0].churn.possible, false);
+        assert.equal(brandTimeline[0].churn.afterDays, null);
+    });
+
+    it('should be part of the sponsorship report', () => {
+        const report = detectSponsorships([
+            { videoId: 'a', title: 'A', description: 'Sponsored by NordVPN.', tags: [], publishedAt: new Date('2025-01-01T15:00:00Z') },
+            { videoId: 'b', title: 'B', description: 'Sponsored by Nord VPN.', tags: [], publishedAt: new Date('2025-02-01T15:00:00Z') },
+            { videoId: 'c', title: 'C', description: 'No sponsor today.', tags: [], publishedAt: new Date('2025-02-08T15:00:00Z') },
+        ]);
+        assert.equal(report.brandTimeline.length, 1);
+        assert.equal(report.brandTimeline[0].relationship, 'recurring');
+        assert.equal(report.brandTimeline[0].churn.uploadsSince, 1);
+        assert.deepEqual(report.renewals, {
+            brands: 1, oneOff: 0, recurring: 1, ambassadors: 0, repeatSponsors: 1, renewalRate: 100, possiblyChurned: [],
+        });
+        assert.deepEqual(detectSponsorships([]).brandTimeline, []);
+    });
+});
@@ -1,6 +1,7 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
 import { detectSponsorships } from '../sponsorship.js';
+import { loadBrandRegistry } from '../brand-registry.js';
 
 // ─── Fixtures ────────────────────────────────────────────────────────────────
 
@@ -97,7 +98,7 @@ describe('detectSponsorships', () => {
         assert.equal(result.sponsorshipRate, 50);
     });
 
-    it('should detect new affiliate patterns: Fiverr, Canva, Monday.com, Notion', () => {
+    it('should detect sponsor links: Fiverr, Canva, Monday.com, Notion', () => {
         const videos = [
             makeVideo('Check out https://fiverr.com/myprofile for freelance work', { videoId: 'v1' }),
             makeVideo('Design with https://canva.com/templates today', { videoId: 'v2' }),
@@ -105,10 +106,40 @@ describe('detectSponsorships', () => {
             makeVideo('Organize your life with https://notion.so/templates', { videoId: 'v4' }),
         ];
         const result = detectSponsorships(videos);
-        assert.ok(result.affiliateNetworks.includes('Fiverr'), 'Should detect Fiverr');
-        assert.ok(result.affiliateNetworks.includes('Canva'), 'Should detect Canva');
-        assert.ok(result.affiliateNetworks.includes('Monday.com'), 'Should detect Monday.com');
-        assert.ok(result.affiliateNetworks.includes('Notion'), 'Should detect Notion');
+        const brands = result.detectedBrands.map((b) => b.brand);
+        assert.ok(brands.includes('Fiverr'), 'Should detect Fiverr');
+        assert.ok(brands.includes('Canva'), 'Should detect Canva');
+        assert.ok(brands.includes('Monday.com'), 'Should detect Monday.com');
+        assert.ok(brands.includes('Notion'), 'Should detect Notion');
+        // Sponsors, not affiliate networks
+        assert.deepEqual(result.affiliateNetworks, []);
+    });
+
+    it('should not count a plain link to a known brand as a sponsorship', () => {
+        const result = detectSponsorships([
+            makeVideo('I made the thumbnail in https://www.canva.com', { videoId: 'v1' }),
+            makeVideo('My store runs on shopify.com and my notes live at https://notion.so', { videoId: 'v2' }),
+            makeVideo('Patch notes: https://plarium.com/en/news', { videoId: 'v3' }),
+        ]);
+        assert.equal(result.totalDetected, 0);
+        assert.deepEqual(result.detectedBrands, []);
+        assert.equal(result.renewals.brands, 0);
+        assert.deepEqual(result.brandLinks.map((b) => b.brand).sort(), ['Canva', 'Notion', 'Raid Shadow Legends', 'Shopify']);
+        assert.deepEqual(result.brandLinks.find((b) => b.brand === 'Canva'), {
+            brand: 'Canva', videos: 1, lastSeen: '2025-01-15', videoIds: ['v1'],
+        });
+    });
+
+    it('should not report a look-alike host as a sponsor\'s vanity URL', () => {
+        const result = detectSponsorships([makeVideo('Photos from the trip: https://partridge.com/gallery')]);
+        assert.equal(result.totalDetected, 0);
+        assert.deepEqual(result.detectedBrands, []);
+    });
+
+    it('should name the sponsor from a plain link when the video discloses one', () => {
+        const result = detectSponsorships([makeVideo('#ad Start your store at https://www.shopify.com')]);
+        assert.deepEqual(result.sponsoredVideos[0].brands, ['Shopify']);
+        assert.deepEqual(result.brandLinks, []);
     });
 
     it('should not detect sponsorship in clean descriptions', () => {
@@ -128,4 +159,42 @@ describe('detectSponsorships', () => {
         assert.equal(result.detectedBrands[0].brand, 'NordVPN');
         assert.equal(result.detectedBrands[0].mentionCount, 2);
     });
+
+    it('should report the brand\'s category and parent company from the registry', () => {
+        const result = detectSponsorships([makeVideo('Go to https://surfshark.deals/techguy for 80% off')]);
+        assert.deepEqual(result.detectedBrands, [{
+            brand: 'Surfshark', mentionCount: 1, category: 'VPN & Privacy', parent: 'Nord Security', inRegistry: true,
+        }]);
+        assert.deepEqual(result.sponsoredVideos[0].signals, [{ type: 'brand', value: 'Surfshark', url: 'surfshark.deals/techguy' }]);
+        assert.equal(result.registry.version, '2025.1');
+    });
+
+    it('should resolve a sponsor named by alias to the registry brand', () => {
+        const result = detectSponsorships([makeVideo('This video is sponsored by Athletic Greens. Try AG1 today.')]);
+        assert.equal(result.detectedBrands[0].brand, 'AG1');
+        assert.equal(result.detectedBrands[0].category, 'Health & Wellness');
+    });
+
+    it('should count a brand once per video however it was found', () => {
+        const result = detectSponsorships([makeVideo('Sponsored by NordVPN. Get it at https://nordvpn.com/techguy')]);
+        assert.deepEqual(result.detectedBrands.map((b) => [b.brand, b.mentionCount]), [['NordVPN', 1]]);
+        assert.deepEqual(result.sponsoredVideos[0].brands, ['NordVPN']);
+    });
+
+    it('should keep sponsors missing from the registry', () => {
+        const result = detectSponsorships([makeVideo('Sponsored by Acme Rockets.')]);
+        assert.deepEqual(result.detectedBrands, [{
+            brand: 'Acme Rockets', mentionCount: 1, category: null, parent: null, inRegistry: false,
+        }]);
+    });
+
+    it('should use a user-extended registry', () => {
+        const registry = loadBrandRegistry({
+            brands: [{ name: 'Acme Rockets', domains: ['acmerockets.io'], category: 'Aerospace', parent: 'Acme Corp' }],
+        });
+        const result = detectSponsorships([makeVideo('#ad Launch with us: https://acmerockets.io/launch')], registry);
+        assert.equal(result.detectedBrands[0].brand, 'Acme Rockets');
+        assert.equal(result.detectedBrands[0].category, 'Aerospace');
+        assert.deepEqual(result.registry, { version: '2025.1', customBrands: 1, customNetworks: 0 });
+    });
 });
@@ -0,0 +1,76 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeThemes } from '../themes.js';
+
+// ─── Fixtures ────────────────────────────────────────────────────────────────
+
+const DAY = 86_400_000;
+const OPTIONS = { maturity: { now: Date.UTC(2026, 0, 1) } };
+
+function video(i, title, views, tags = []) {
+    return {
+        videoId: `vid_${i}`,
+        title,
+        tags,
+        publishedAt: new Date(Date.UTC(2025, 0, 1) + i * 3 * DAY),
+        views,
+        likes: views / 25,
+        comments: 10,
+    };
+}
+
+/** A tech channel: iPhone reviews do three times the views of Android ones */
+function techChannel() {
+    return [
+        video(1, 'iPhone 15 Pro Review: Worth It?', 300_000, ['iphone', 'apple']),
+        video(2, 'iPhone 15 Review after 6 months', 280_000, ['iphone', 'apple']),
+        video(3, 'iPhone 14 review - still good?', 260_000, ['iphone']),
+        video(4, 'Galaxy S24 Android review', 90_000, ['android', 'samsung']),
+        video(5, 'Pixel 8 Android review', 80_000, ['android', 'google']),
+        video(6, 'Best Android phone 2024', 100_000, ['android']),
+        video(7, 'My desk setup tour', 150_000, ['setup']),
+        video(8, 'Desk setup 2024 tour', 160_000, ['setup']),
+        video(9, 'Random vlog', 50_000),
+    ];
+}
+
+// ─── analyzeThemes ───────────────────────────────────────────────────────────
+
+describe('analyzeThemes', () => {
+    it('should separate topics that share a format word', () => {
+        const { themes } = analyzeThemes(techChannel(), OPTIONS);
+        const byName = Object.fromEntries(themes.map((t) => [t.theme, t]));
+
+        assert.deepEqual(themes.map((t) => t.theme).sort(), ['android review', 'desk setup', 'iphone']);
+        assert.equal(byName.iphone.videos, 3);
+        assert.equal(byName['android review'].videos, 3);
+        assert.ok(byName.iphone.viewsIndex > 1);
+        assert.ok(byName['android review'].viewsIndex < 1);
+    });
+
+    it('should compare the best and worst themes', () => {
+        const { insights } = analyzeThemes(techChannel(), OPTIONS);
+        assert.match(insights[0], /^"iphone" videos outperform "android review" 3(\.\d)?× on median views$/);
+    });
+
+    it('should leave videos with nothing in common unthemed', () => {
+        const result = analyzeThemes(techChannel(), OPTIONS);
+        assert.deepEqual(result.unthemed, { videos: 1, share: 11.11 });
+    });
+
+    it('should ignore terms that describe the whole channel', () => {
+        const videos = techChannel().map((v) => ({ ...v, tags: [...v.tags, 'techreviews'] }));
+        const { themes } = analyzeThemes(videos, OPTIONS);
+        assert.ok(themes.every((t) => t.theme !== 'techreviews' && !t.keywords.includes('techreviews')));
+    });
+
+    it('should return a note below the minimum sample', () => {
+        const result = analyzeThemes(techChannel().slice(0, 5), OPTIONS);
+        assert.deepEqual(result.themes, []);
+        assert.match(result.note, /at least 6 videos/);
+    });
+
+    it('should be deterministic', () => {
+        assert.deepEqual(analyzeThemes(techChannel(), OPTIONS), analyzeThemes(techChannel(), OPTIONS));
+    });
+});
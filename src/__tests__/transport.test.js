@@ -0,0 +1,90 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { RecordTransport, ReplayTransport, createTransport, HttpTransport } from '../transport.js';
+
+// ─── Fixtures ────────────────────────────────────────────────────────────────
+
+const API_KEY = 'AIzaSyTESTKEY1234567890';
+
+function apiUrl(endpoint, params) {
+    const url = new URL(`https://www.googleapis.com/youtube/v3/${endpoint}`);
+    url.searchParams.set('key', API_KEY);
+    for (const [k, v] of Object.entries(params)) url.searchParams.set(k, v);
+    return url.toString();
+}
+
+/** Fake inner transport that replies with a scripted sequence of responses. */
+function scriptedTransport(responses) {
+    let i = 0;
+    return { send: async () => responses[Math.min(i++, responses.length - 1)] };
+}
+
+// ─── RecordTransport / ReplayTransport ───────────────────────────────────────
+
+describe('RecordTransport', () => {
+    let dir;
+    before(async () => { dir = await mkdtemp(path.join(tmpdir(), 'yt-fixtures-')); });
+    after(async () => { await rm(dir, { recursive: true, force: true }); });
+
+    it('should write fixtures with the API key scrubbed', async () => {
+        const inner = scriptedTransport([{
+            statusCode: 400,
+            headers: { 'set-cookie': 'secret', etag: '"abc"' },
+            body: { error: { message: `Bad key ${API_KEY}` } },
+        }]);
+        const recorder = new RecordTransport(dir, inner);
+        await recorder.send({ url: apiUrl('channels', { part: 'id', forHandle: 'scrubme' }) });
+
+        const files = await readdir(dir);
+        assert.equal(files.length, 1);
+        const raw = await readFile(path.join(dir, files[0]), 'utf8');
+        assert.ok(!raw.includes(API_KEY), 'API key leaked into fixture');
+        assert.ok(!raw.includes('set-cookie'), 'Unlisted headers should not be recorded');
+
+        const fixture = JSON.parse(raw);
+        assert.deepEqual(fixture.request, { endpoint: 'channels', params: { part: 'id', forHandle: 'scrubme' } });
+        assert.equal(fixture.responses[0].headers.etag, '"abc"');
+    });
+
+    it('should record repeated exchanges as a sequence that replays in order', async () => {
+        const url = apiUrl('videos', { part: 'statistics', id: 'abc' });
+        const recorder = new RecordTransport(dir, scriptedTransport([
+            { statusCode: 429, headers: {}, body: {} },
+            { statusCode: 200, headers: {}, body: { items: [{ id: 'abc' }] } },
+        ]));
+        await recorder.send({ url });
+        await recorder.send({ url });
+
+        // Replay with a different key — fixtures are key-independent
+        const replay = new ReplayTransport(dir);
+        const otherKeyUrl = url.replace(API_KEY, 'another-key');
+        assert.equal((await replay.send({ url: otherKeyUrl })).statusCode, 429);
+        assert.equal((await replay.send({ url: otherKeyUrl })).statusCode, 200);
+        // Last response repeats once the sequence is exhausted
+        assert.deepEqual((await replay.send({ url: otherKeyUrl })).body, { items: [{ id: 'abc' }] });
+    });
+
+    it('should match replay fixtures regardless of query param order', async () => {
+        const replay = new ReplayTransport(dir);
+        const reordered = `https://www.googleapis.com/youtube/v3/videos?id=abc&part=statistics&key=${API_KEY}`;
+        assert.equal((await replay.send({ url: reordered })).statusCode, 429);
+    });
+});
+
+describe('createTransport', () => {
+    it('should default to a live HTTP transport', () => {
+        assert.ok(createTransport() instanceof HttpTransport);
+    });
+
+    it('should reject unknown modes', () => {
+        assert.throws(() => createTransport({ mode: 'mock' }), /Unknown transport mode/);
+    });
+
+    it('should require a fixtures directory for record and replay', () => {
+        assert.throws(() => createTransport({ mode: 'replay' }), /fixtures directory/);
+        assert.throws(() => createTransport({ mode: 'record' }), /fixtures directory/);
+    });
+});
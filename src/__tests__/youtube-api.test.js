@@ -0,0 +1,150 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { YouTubeClient } from '../youtube-api.js';
+
+// ─── Fixtures ────────────────────────────────────────────────────────────────
+
+const QUOTA_EXCEEDED = {
+    statusCode: 403,
+    headers: {},
+    body: { error: { errors: [{ reason: 'quotaExceeded' }] } },
+};
+
+const OK = { statusCode: 200, headers: {}, body: { items: [{ id: 'UCabcdefghijklmnopqrstuv' }] } };
+
+/**
+ * Transport that answers per API key: keys listed in `exhaustedKeys` always
+ * return quotaExceeded, every other key succeeds. Records the keys it saw.
+ */
+function keyAwareTransport(exhaustedKeys = []) {
+    const seen = [];
+    return {
+        seen,
+        send: async ({ url }) => {
+            const key = new URL(url).searchParams.get('key');
+            seen.push(key);
+            return exhaustedKeys.includes(key) ? QUOTA_EXCEEDED : OK;
+        },
+    };
+}
+
+function makeClient(keys, transport) {
+    return new YouTubeClient(keys, { transport, retryDelays: [0, 0] });
+}
+
+// ─── API key pool ────────────────────────────────────────────────────────────
+
+describe('YouTubeClient key pool', () => {
+    it('should accept a single key string', () => {
+        const client = makeClient('  only-key-1234  ', keyAwareTransport());
+        assert.equal(client.apiKey, 'only-key-1234');
+        assert.equal(client.getQuotaStats().keys.length, 1);
+    });
+
+    it('should reject an empty key list or blank keys', () => {
+        assert.throws(() => new YouTubeClient([]), /API key is required/);
+        assert.throws(() => new YouTubeClient(['good-key', '  ']), /API key is required/);
+    });
+
+    it('should de-duplicate keys', () => {
+        const client = makeClient(['key-aaaa', 'key-aaaa', 'key-bbbb'], keyAwareTransport());
+        assert.equal(client.getQuotaStats().keys.length, 2);
+    });
+
+    it('should fail over to the next key on quotaExceeded', async () => {
+        const transport = keyAwareTransport(['key-aaaa']);
+        const client = makeClient(['key-aaaa', 'key-bbbb'], transport);
+
+        const id = await client.resolveChannelId('@somecreator');
+        assert.equal(id, 'UCabcdefghijklmnopqrstuv');
+        assert.deepEqual(transport.seen, ['key-aaaa', 'key-bbbb']);
+        assert.equal(client.apiKey, 'key-bbbb');
+    });
+
+    it('should track quota per key and mark exhausted keys', async () => {
+        const client = makeClient(['key-aaaa', 'key-bbbb'], keyAwareTransport(['key-aaaa']));
+        await client.getChannel('UCabcdefghijklmnopqrstuv');
+        await client.getChannel('UCabcdefghijklmnopqrstuv');
+
+        const stats = client.getQuotaStats();
+        assert.equal(stats.quotaUsed, 2);
+        assert.equal(stats.activeKey, '…bbbb');
+        assert.deepEqual(stats.keys.map((k) => [k.key, k.quotaUsed, k.exhausted]), [
+            ['…aaaa', 0, true],
+            ['…bbbb', 2, false],
+        ]);
+        // Exhausted keys contribute nothing to the remaining budget
+        assert.equal(stats.estimatedRemaining, 9_998);
+    });
+
+    it('should throw once every key is exhausted', async () => {
+        const client = makeClient(['key-aaaa', 'key-bbbb'], keyAwareTransport(['key-aaaa', 'key-bbbb']));
+        await assert.rejects(client.getChannel('UCabcdefghijklmnopqrstuv'), /quota exceeded on all 2 API keys/);
+        assert.equal(client.getQuotaStats().estimatedRemaining, 0);
+    });
+
+    it('should never expose full keys in quota stats', async () => {
+        const client = makeClient(['secret-key-wxyz'], keyAwareTransport());
+        const serialized = JSON.stringify(client.getQuotaStats());
+        assert.ok(!serialized.includes('secret-key'));
+    });
+});
+
+// ─── Channel resolution ──────────────────────────────────────────────────────
+
+describe('YouTubeClient.resolveChannelId', () => {
+    /** Transport answering every lookup with an owner / channel ID, recording params */
+    function lookupTransport() {
+        const requests = [];
+        return {
+            requests,
+            send: async ({ url }) => {
+                const { pathname, searchParams } = new URL(url);
+                requests.push({ endpoint: pathname.split('/').pop(), ...Object.fromEntries(searchParams) });
+                return {
+                    statusCode: 200,
+                    headers: {},
+                    body: { items: [{ id: 'UCabcdefghijklmnopqrstuv', snippet: { channelId: 'UCowner0000000000000000x' } }] },
+                };
+            },
+        };
+    }
+
+    it('should resolve a video link to the video owner with one partial request', async () => {
+        const transport = lookupTransport();
+        const client = makeClient('test-key', transport);
+
+        assert.equal(await client.resolveChannelId('https://youtube.com/shorts/dQw4w9WgXcQ'), 'UCowner0000000000000000x');
+        assert.equal(transport.requests.length, 1);
+        assert.equal(transport.requests[0].endpoint, 'videos');
+        assert.equal(transport.requests[0].fields, 'items/snippet/channelId');
+        assert.equal(client.quotaUsed, 1);
+    });
+
+    it('should resolve a playlist link to the playlist owner', async () => {
+        const transport = lookupTransport();
+        const client = makeClient('test-key', transport);
+
+        await client.resolveChannelId('https://www.youtube.com/playlist?list=PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf');
+        assert.equal(transport.requests[0].endpoint, 'playlists');
+    });
+
+    it('should resolve /user/ URLs with forUsername only', async () => {
+        const transport = lookupTransport();
+        const client = makeClient('test-key', transport);
+
+        assert.equal(await client.resolveChannelId('https://www.youtube.com/user/SomeLegacyName'), 'UCabcdefghijklmnopqrstuv');
+        assert.deepEqual(transport.requests.map((r) => r.forUsername), ['SomeLegacyName']);
+    });
+
+    it('should look each video up once, however it was linked', async () => {
+        const transport = lookupTransport();
+        const client = makeClient('test-key', transport);
+
+        await Promise.all([
+            client.resolveChannelId('https://youtu.be/dQw4w9WgXcQ'),
+            client.resolveChannelId('https://www.youtube.com/watch?v=dQw4w9WgXcQ'),
+        ]);
+        assert.equal(transport.requests.length, 1);
+    });
+});
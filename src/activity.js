@@ -0,0 +1,113 @@
+/**
+ * Channel Activity
+ *
+ * Whether a channel is still uploading. Cadence metrics only look at the
+ * span of the fetched videos, so a channel that posted weekly until eight
+ * months ago still reads as a weekly poster. This module measures against
+ * today instead: days since the last upload, the longest gaps, and whether
+ * the channel took a hiatus and came back.
+ *
+ * Status is relative to the channel's own rhythm, with a floor so a
+ * fortnightly poster isn't "at risk" after a quiet month:
+ *   active  — last upload within the at-risk threshold
+ *   at-risk — max(30 days, 3× the typical gap) since the last upload
+ *   dormant — max(90 days, 6× the typical gap)
+ *
+ * © 2025 Creator Fusion LLC
+ */
+
+import { median } from './distribution.js';
+
+export const ACTIVITY_STATUSES = ['active', 'at-risk', 'dormant'];
+
+/** Default score penalty for a dormant channel, in points */
+export const DEFAULT_DORMANT_PENALTY = 15;
+
+/** [floor in days, multiple of the typical gap] */
+const AT_RISK = [30, 3];
+const DORMANT = [90, 6];
+
+/** A gap this long, followed by new uploads, is a hiatus */
+const HIATUS = [60, 4];
+
+/** Longest gaps reported */
+const TOP_GAPS = 3;
+
+const DAY_MS = 86_400_000;
+
+/**
+ * @param {Array<ParsedVideo>} parsed — output of parseVideos()
+ * @param {number} [now] — clock, injectable for tests
+ * @returns {object | null} activity section; null without videos
+ */
+export function analyzeActivity(parsed, now = Date.now()) {
+    if (!parsed.length) return null;
+
+    const dates = parsed.map((v) => v.publishedAt.getTime()).sort((a, b) => a - b);
+    const last  = dates[dates.length - 1];
+
+    const gaps = [];
+    for (let i = 1; i < dates.length; i++) {
+        gaps.push({ days: days(dates[i] - dates[i - 1]), from: isoDate(dates[i - 1]), to: isoDate(dates[i]) });
+    }
+    const typicalGapDays = gaps.length ? median(gaps.map((g) => g.days)) : null;
+
+    const daysSinceLastUpload = Math.max(0, days(now - last));
+    const threshold = ([floor, multiple]) => Math.max(floor, (typicalGapDays ?? 0) * multiple);
+
+    let status = 'active';
+    if (daysSinceLastUpload >= threshold(AT_RISK)) status = 'at-risk';
+    if (daysSinceLastUpload >= threshold(DORMANT)) status = 'dormant';
+
+    return {
+        status,
+        daysSinceLastUpload,
+        lastUploadDate: isoDate(last),
+        typicalGapDays,
+        thresholds: { atRiskDays: threshold(AT_RISK), dormantDays: threshold(DORMANT) },
+        longestGaps: [...gaps]
+            .sort((a, b) => b.days - a.days || (a.from < b.from ? 1 : -1))
+            .slice(0, TOP_GAPS),
+        hiatus: detectHiatus(gaps, dates, threshold(HIATUS)),
+    };
+}
+
+/**
+ * Score penalty for a dormant channel, as a score modifier (see
+ * applyScoreModifiers). Null when the channel is not dormant or the
+ * penalty is 0.
+ *
+ * @param {object | null} activity — from analyzeActivity()
+ * @param {number} [penalty] — points to subtract
+ * @returns {{ name: string, points: number, detail: string } | null}
+ */
+export function activityModifier(activity, penalty = DEFAULT_DORMANT_PENALTY) {
+    if (activity?.status !== 'dormant' || !(penalty > 0)) return null;
+    return {
+        name: 'activity',
+        points: -penalty,
+        detail: `dormant — no uploads in ${activity.daysSinceLastUpload} days`,
+    };
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/** The most recent gap long enough to be a hiatus, and what came after it */
+function detectHiatus(gaps, dates, minDays) {
+    for (let i = gaps.length - 1; i >= 0; i--) {
+        if (gaps[i].days < minDays) continue;
+        return {
+            detected: true,
+            days: gaps[i].days,
+            from: gaps[i].from,
+            returnedOn: gaps[i].to,
+            videosSinceReturn: dates.length - 1 - i,
+            label: `${gaps[i].days}-day hiatus from ${gaps[i].from}, back since ${gaps[i].to}`,
+        };
+    }
+    return { detected: false, days: null, from: null, returnedOn: null, videosSinceReturn: null, label: null };
+}
+
+function days(ms) { return Math.floor(ms / DAY_MS); }
+
+function isoDate(ms) { return new Date(ms).toISOString().split('T')[0]; }
@@ -7,6 +7,11 @@
  * © 2025 Creator Fusion LLC
  */
 
+import { normalizeViews, STANDARD_AGE_DAYS, DEFAULT_MIN_AGE_DAYS } from './maturity.js';
+import { median, percentile, trimmedMean, outlierBounds, TRIM_FRACTION } from './distribution.js';
+import { DEFAULT_PROFILE } from './scoring-profiles.js';
+import { analyzeActivity } from './activity.js';
+
 // ─── Tier definitions ────────────────────────────────────────────────────────
 
 const AUDIENCE_TIERS = [
@@ -17,16 +22,14 @@ const AUDIENCE_TIERS = [
     { name: 'Mega',     min: 1_000_000, max: Infinity,  label: 'mega (1M+)' },
 ];
 
-/**
- * Engagement benchmarks by tier (YouTube industry averages, 2024).
- * "good" = average performer; "great" = top-quartile performer.
- */
-const ENGAGEMENT_BENCHMARKS = {
-    'Nano':     { good: 8.0,  great: 12.0 },
-    'Micro':    { good: 5.0,  great: 8.0 },
-    'Mid-Tier': { good: 3.0,  great: 5.0 },
-    'Macro':    { good: 2.0,  great: 3.5 },
-    'Mega':     { good: 1.5,  great: 2.5 },
+/** Fewest videos a format needs before it gets its own Creator Fusion Score™ */
+const MIN_FORMAT_VIDEOS = 3;
+
+const AVERAGE_LABELS = {
+    mean: 'mean',
+    median: 'median',
+    trimmedMean: `${TRIM_FRACTION * 100}% trimmed mean`,
+    meanExcludingOutliers: 'mean excluding outliers',
 };
 
 // ─── Public API ──────────────────────────────────────────────────────────────
@@ -73,6 +76,8 @@ export function parseVideos(videos) {
                 duration,
                 durationSeconds,
                 isShort: durationSeconds > 0 && durationSeconds <= 60,
+                ageRestricted: v.contentDetails?.contentRating?.ytRating === 'ytAgeRestricted',
+                madeForKids: v.status?.madeForKids === true,
                 engagement: views > 0 ? ((likes + comments) / views) * 100 : 0,
                 likesDisabled: stats.likeCount === undefined,
                 commentsDisabled: stats.commentCount === undefined,
@@ -83,15 +88,60 @@ export function parseVideos(videos) {
 }
 
 /**
- * Compute engagement and consistency metrics from parsed videos.
+ * Compute engagement and consistency metrics from parsed videos — blended
+ * across formats, plus parallel `longForm` and `shorts` blocks with the same
+ * metrics for each format on its own (null when the format is absent).
+ *
+ * Raw view figures are reported as-is; `viewMaturity` adds their 30-day
+ * equivalents (see maturity.js), which the score and rate estimates use.
+ * Outliers and `valuationAverages` are computed on the 30-day equivalents
+ * too, so a video still accruing views isn't mistaken for a flop.
  *
  * @param {Array<ParsedVideo>} parsed  — output of parseVideos()
  * @param {number} subscriberCount
+ * @param {object} [maturity] — view maturity options
+ * @param {number} [maturity.minAgeDays] — videos younger than this are immature
+ * @param {'project' | 'exclude'} [maturity.handling] — project immature videos or leave them out
+ * @param {number} [maturity.now] — clock, injectable for tests
+ * @param {object} [distribution] — robust statistics options
+ * @param {'iqr' | 'mad'} [distribution.outlierMethod] — see distribution.js
  * @returns {AnalyticsResult}
  */
-export function analyzeVideos(parsed, subscriberCount) {
+export function analyzeVideos(parsed, subscriberCount, maturity = {}, distribution = {}) {
     if (!parsed.length) return emptyAnalytics();
 
+    const blended  = computeMetrics(parsed, subscriberCount, undefined, maturity, distribution);
+    const longForm = parsed.filter((v) => !v.isShort);
+    const shorts   = parsed.filter((v) => v.isShort);
+
+    // A format's cadence is measured over the whole sampled window, so two
+    // Shorts in a month read as ~0.5/week rather than however close together they were
+    const windowDays = blended.dateRange.spanDays;
+
+    return {
+        ...blended,
+        // Measured against today, not the sampled window — see activity.js
+        activity: analyzeActivity(parsed, maturity.now),
+        formatMix: {
+            longForm: longForm.length,
+            shorts: shorts.length,
+            shortsShare: r2((shorts.length / parsed.length) * 100),
+        },
+        longForm: longForm.length ? computeMetrics(longForm, subscriberCount, windowDays, maturity, distribution) : null,
+        shorts:   shorts.length   ? computeMetrics(shorts, subscriberCount, windowDays, maturity, distribution)   : null,
+    };
+}
+
+/**
+ * Metrics for one set of videos.
+ *
+ * @param {Array<ParsedVideo>} parsed — non-empty
+ * @param {number} subscriberCount
+ * @param {number} [windowDays] — period for postsPerWeek; defaults to the set's own span
+ * @param {object} [maturity] — see analyzeVideos
+ * @param {object} [distribution] — see analyzeVideos
+ */
+function computeMetrics(parsed, subscriberCount, windowDays, maturity = {}, distribution = {}) {
     const totalViews    = sum(parsed, 'views');
     const totalLikes    = sum(parsed, 'likes');
     const totalComments = sum(parsed, 'comments');
@@ -111,7 +161,7 @@ export function analyzeVideos(parsed, subscriberCount) {
     const oldest    = dates[0];
     const newest    = dates[dates.length - 1];
     const spanDays  = Math.max(1, (newest - oldest) / 86_400_000);
-    const postsPerWeek = (count / spanDays) * 7;
+    const postsPerWeek = (count / Math.max(1, windowDays ?? spanDays)) * 7;
 
     // ── Posting consistency (0–100, higher = more regular) ───────────────────
     const gaps = [];
@@ -132,9 +182,45 @@ export function analyzeVideos(parsed, subscriberCount) {
         postingConsistency = 60;
     }
 
+    // ── View maturity ────────────────────────────────────────────────────────
+    const { minAgeDays = DEFAULT_MIN_AGE_DAYS, handling = 'project', now } = maturity;
+    const normalized  = normalizeViews(parsed, { minAgeDays, handling, now });
+    const immatureIds = new Set(normalized.filter((n) => n.immature).map((n) => n.video.videoId));
+    const normViews   = normalized.map((n) => n.normalizedViews).filter((v) => v !== null);
+    // null when every video was excluded — consumers fall back to raw figures
+    const normAvg     = normViews.length ? Math.round(sum(normViews) / normViews.length) : null;
+
+    // ── Outliers ─────────────────────────────────────────────────────────────
+    const { outlierMethod = 'iqr' } = distribution;
+    const pool   = normalized.filter((n) => n.normalizedViews !== null);
+    const bounds = outlierBounds(pool.map((n) => n.normalizedViews), outlierMethod);
+    const outlierVideos = bounds
+        ? pool
+            .filter((n) => n.normalizedViews > bounds.upper || n.normalizedViews < bounds.lower)
+            .sort((a, b) => b.normalizedViews - a.normalizedViews)
+            .map((n) => ({
+                ...videoSummary(n.video),
+                normalizedViews: n.normalizedViews,
+                direction: n.normalizedViews > bounds.upper ? 'high' : 'low',
+            }))
+        : [];
+    const outlierIds = new Set(outlierVideos.map((v) => v.videoId));
+
+    // ── Valuation averages (30-day equivalent views) ─────────────────────────
+    const rawViews = parsed.map((v) => v.views);
+    const basis    = normViews.length ? normViews : rawViews;
+    const basisAvg = Math.round(sum(basis) / basis.length);
+    const inliers  = pool.filter((n) => !outlierIds.has(n.video.videoId)).map((n) => n.normalizedViews);
+
+    // Per-video engagement, for the distribution — the headline rate stays view-weighted
+    const rates = parsed.filter((v) => v.views > 0).map((v) => v.engagement);
+
     // ── Top / worst performers ───────────────────────────────────────────────
     const byViews = [...parsed].sort((a, b) => b.views - a.views);
-    const medianViews = median(parsed.map((v) => v.views));
+    const medianViews = median(rawViews);
+    // A video still accruing views isn't an underperformer yet
+    const matureByViews = byViews.filter((v) => !immatureIds.has(v.videoId));
+    const worstPool     = matureByViews.length ? matureByViews : byViews;
 
     return {
         videoCount: count,
@@ -153,17 +239,75 @@ export function analyzeVideos(parsed, subscriberCount) {
         postsPerWeek:         r2(postsPerWeek),
         postingConsistency,
         topPerformingVideo:   videoSummary(byViews[0]),
-        worstPerformingVideo: byViews.length > 1 ? videoSummary(byViews[byViews.length - 1]) : null,
+        worstPerformingVideo: byViews.length > 1 ? videoSummary(worstPool[worstPool.length - 1]) : null,
         viewDistribution: {
             median: medianViews,
             mean: avgViews,
             max: byViews[0]?.views ?? 0,
             min: byViews[byViews.length - 1]?.views ?? 0,
             skewRatio: medianViews > 0 ? r2(avgViews / medianViews) : 0,
+            p10: Math.round(percentile(rawViews, 10)),
+            p25: Math.round(percentile(rawViews, 25)),
+            p75: Math.round(percentile(rawViews, 75)),
+            p90: Math.round(percentile(rawViews, 90)),
+            trimmedMean: Math.round(trimmedMean(rawViews)),
+            trimFraction: TRIM_FRACTION,
+        },
+        engagementDistribution: {
+            median:      r2(percentile(rates, 50)),
+            trimmedMean: r2(trimmedMean(rates)),
+            p10: r2(percentile(rates, 10)),
+            p25: r2(percentile(rates, 25)),
+            p75: r2(percentile(rates, 75)),
+            p90: r2(percentile(rates, 90)),
+        },
+        outliers: {
+            method: outlierMethod,
+            lowerBound: bounds ? Math.max(0, Math.round(bounds.lower)) : null,
+            upperBound: bounds ? Math.round(bounds.upper) : null,
+            count: outlierVideos.length,
+            high: outlierVideos.filter((v) => v.direction === 'high').length,
+            low: outlierVideos.filter((v) => v.direction === 'low').length,
+            videos: outlierVideos,
+        },
+        valuationAverages: {
+            mean:                  basisAvg,
+            median:                median(basis),
+            trimmedMean:           Math.round(trimmedMean(basis)),
+            meanExcludingOutliers: inliers.length ? Math.round(sum(inliers) / inliers.length) : basisAvg,
+        },
+        viewMaturity: {
+            method: handling,
+            minAgeDays,
+            standardAgeDays: STANDARD_AGE_DAYS,
+            immatureVideos: immatureIds.size,
+            immatureVideoIds: [...immatureIds],
+            videosUsed: normViews.length,
+            avgViews:       { raw: avgViews, normalized: normAvg },
+            medianViews:    { raw: medianViews, normalized: normViews.length ? median(normViews) : null },
+            viewToSubRatio: {
+                raw: r2(viewToSubRatio),
+                normalized: normAvg !== null && subscriberCount > 0 ? r2((normAvg / subscriberCount) * 100) : null,
+            },
         },
     };
 }
 
+/**
+ * Average views per video for valuation — the 30-day equivalent when
+ * available, so new uploads don't drag estimates down.
+ *
+ * @param {AnalyticsResult} analytics
+ * @param {'mean' | 'median' | 'trimmedMean' | 'meanExcludingOutliers'} [average]
+ *   — which average to value on; anything but the mean discounts viral outliers
+ * @returns {number}
+ */
+export function valuationViews(analytics, average = 'mean') {
+    return analytics.valuationAverages?.[average]
+        ?? analytics.viewMaturity?.avgViews.normalized
+        ?? analytics.avgViews;
+}
+
 // ─── Creator Fusion Score™ ────────────────────────────────────────────────────
 
 /**
@@ -172,60 +316,64 @@ export function analyzeVideos(parsed, subscriberCount) {
  * The Creator Fusion Score™ and its weighted methodology are proprietary
  * intellectual property of Creator Fusion LLC. See IP-PROTECTION.md.
  *
- * Weights:
+ * Default weights (see scoring-profiles.js for the full profile):
  *   Engagement (tier-adjusted)  35%
  *   Posting consistency         20%
  *   Posting frequency           15%
  *   View-to-subscriber ratio    15%
  *   Audience reach              15%
+ *
+ * When the analytics carry per-format blocks, the result also has a
+ * `byFormat` score for each format with enough videos, same methodology.
+ *
+ * @param {AnalyticsResult} analytics
+ * @param {object} channelStats
+ * @param {import('./scoring-profiles.js').ScoringProfile} [profile] — a resolved, validated profile
  */
-export function calculateCreatorFusionScore(analytics, channelStats) {
+export function calculateCreatorFusionScore(analytics, channelStats, profile = DEFAULT_PROFILE) {
     const subscribers = safeInt(channelStats.subscriberCount);
     const tier        = classifyAudienceTier(subscribers);
-    const bench       = ENGAGEMENT_BENCHMARKS[tier.name] ?? ENGAGEMENT_BENCHMARKS['Mid-Tier'];
+    const bench       = profile.engagementBenchmarks[tier.name] ?? profile.engagementBenchmarks['Mid-Tier'];
+    const weights     = profile.weights;
 
-    // 1. Engagement (35%)
+    // 1. Engagement
     let engScore = 0;
     const er = analytics.engagementRate;
     if (er >= bench.great)      engScore = 90 + Math.min(10, (er - bench.great) * 2);
     else if (er >= bench.good)  engScore = 60 + ((er - bench.good) / (bench.great - bench.good)) * 30;
     else if (er > 0)            engScore = (er / bench.good) * 60;
 
-    // 2. Consistency (20%)
+    // 2. Consistency
     const conScore = analytics.postingConsistency;
 
-    // 3. Frequency (15%) — sweet spot: 2–5 posts/week
+    // 3. Frequency — sweet spot 2–5 posts/week by default
     let freqScore = 0;
     const ppw = analytics.postsPerWeek;
-    if      (ppw >= 2 && ppw <= 5) freqScore = 90 + Math.min(10, (ppw - 2) * 3);
-    else if (ppw > 5)              freqScore = Math.max(70, 100 - (ppw - 5) * 5); // slight penalty for overposting
-    else if (ppw >= 1)             freqScore = 50 + (ppw - 1) * 40;
-    else if (ppw >= 0.25)          freqScore = Math.min(50, ppw * 200);
-    else if (ppw > 0)              freqScore = 10;
-
-    // 4. View-to-subscriber ratio (15%) — 20–40% is healthy
+    const { sweetSpot: [lo, hi], minimum, rare } = profile.frequency;
+    if      (ppw >= lo && ppw <= hi) freqScore = 90 + ((ppw - lo) / (hi - lo)) * 9;
+    else if (ppw > hi)               freqScore = Math.max(70, 100 - (ppw - hi) * 5); // slight penalty for overposting
+    else if (ppw >= minimum)         freqScore = 50 + ((ppw - minimum) / (lo - minimum)) * 40;
+    else if (ppw >= rare)            freqScore = 50;
+    else if (ppw > 0)                freqScore = 10;
+
+    // 4. View-to-subscriber ratio — 15–30%+ is healthy by default
+    //    Age-normalized, so a channel isn't penalized for this week's uploads
     let vsScore = 0;
-    const vsr = analytics.viewToSubRatio;
-    if      (vsr >= 30) vsScore = 90 + Math.min(10, (vsr - 30) * 0.5);
-    else if (vsr >= 15) vsScore = 60 + ((vsr - 15) / 15) * 30;
-    else if (vsr > 0)   vsScore = (vsr / 15) * 60;
-
-    // 5. Audience reach (15%)
-    let audScore = 0;
-    if      (subscribers >= 1_000_000) audScore = 95;
-    else if (subscribers >= 500_000)   audScore = 85;
-    else if (subscribers >= 100_000)   audScore = 75;
-    else if (subscribers >= 50_000)    audScore = 65;
-    else if (subscribers >= 10_000)    audScore = 50;
-    else if (subscribers >= 1_000)     audScore = 30;
-    else                               audScore = 10;
+    const vsr = analytics.viewMaturity?.viewToSubRatio.normalized ?? analytics.viewToSubRatio;
+    const { good: vsGood, great: vsGreat } = profile.viewToSubRatio;
+    if      (vsr >= vsGreat) vsScore = 90 + Math.min(10, (vsr - vsGreat) * 0.5);
+    else if (vsr >= vsGood)  vsScore = 60 + ((vsr - vsGood) / (vsGreat - vsGood)) * 30;
+    else if (vsr > 0)        vsScore = (vsr / vsGood) * 60;
+
+    // 5. Audience reach — first step the subscriber count reaches
+    const audScore = profile.audienceSize.find(([min]) => subscribers >= min)?.[1] ?? 0;
 
     const score = Math.round(
-        clamp(engScore, 0, 100) * 0.35
-        + clamp(conScore, 0, 100) * 0.20
-        + clamp(freqScore, 0, 100) * 0.15
-        + clamp(vsScore, 0, 100) * 0.15
-        + clamp(audScore, 0, 100) * 0.15,
+        clamp(engScore, 0, 100) * (weights.engagement / 100)
+        + clamp(conScore, 0, 100) * (weights.consistency / 100)
+        + clamp(freqScore, 0, 100) * (weights.frequency / 100)
+        + clamp(vsScore, 0, 100) * (weights.viewToSubRatio / 100)
+        + clamp(audScore, 0, 100) * (weights.audienceSize / 100),
     );
 
     const grade = scoreToGrade(score);
@@ -236,12 +384,65 @@ export function calculateCreatorFusionScore(analytics, channelStats) {
         tier: tier.name,
         tierLabel: tier.label,
         breakdown: {
-            engagement:     { score: Math.round(clamp(engScore, 0, 100)),  weight: '35%', detail: `${analytics.engagementRate}% (benchmark: ${bench.good}–${bench.great}% for ${tier.name})` },
-            consistency:    { score: Math.round(clamp(conScore, 0, 100)),  weight: '20%', detail: `${conScore}/100 consistency` },
-            frequency:      { score: Math.round(clamp(freqScore, 0, 100)),weight: '15%', detail: `${analytics.postsPerWeek} posts/week` },
-            viewToSubRatio: { score: Math.round(clamp(vsScore, 0, 100)),  weight: '15%', detail: `${analytics.viewToSubRatio}% of subs watch each video` },
-            audienceSize:   { score: Math.round(clamp(audScore, 0, 100)), weight: '15%', detail: `${fmtNum(subscribers)} subscribers (${tier.name})` },
+            engagement:     { score: Math.round(clamp(engScore, 0, 100)),  weight: `${weights.engagement}%`,     detail: `${analytics.engagementRate}% (benchmark: ${bench.good}–${bench.great}% for ${tier.name})` },
+            consistency:    { score: Math.round(clamp(conScore, 0, 100)),  weight: `${weights.consistency}%`,    detail: `${conScore}/100 consistency` },
+            frequency:      { score: Math.round(clamp(freqScore, 0, 100)), weight: `${weights.frequency}%`,      detail: `${analytics.postsPerWeek} posts/week (sweet spot: ${lo}–${hi})` },
+            viewToSubRatio: { score: Math.round(clamp(vsScore, 0, 100)),   weight: `${weights.viewToSubRatio}%`, detail: `${vsr}% of subs watch each video (${STANDARD_AGE_DAYS}-day equivalent)` },
+            audienceSize:   { score: Math.round(clamp(audScore, 0, 100)),  weight: `${weights.audienceSize}%`,   detail: `${fmtNum(subscribers)} subscribers (${tier.name})` },
+            profile:        { name: profile.name, version: profile.version },
         },
+        ...('longForm' in analytics ? { byFormat: scoreFormats(analytics, channelStats, profile) } : {}),
+    };
+}
+
+/**
+ * Apply optional modifiers (e.g. momentum) on top of the weighted score.
+ * The weighted score is kept as `baseScore` and every modifier is listed,
+ * so the adjustment is always visible. A score confidence interval moves
+ * with the score. Returns the input unchanged when no modifier applies.
+ *
+ * @param {object} creatorFusionScore — from calculateCreatorFusionScore()
+ * @param {Array<{ name: string, points: number, detail: string } | null>} modifiers
+ * @returns {object}
+ */
+export function applyScoreModifiers(creatorFusionScore, modifiers) {
+    const active = modifiers.filter(Boolean);
+    if (!active.length) return creatorFusionScore;
+
+    const points = active.reduce((s, m) => s + m.points, 0);
+    const score  = clamp(creatorFusionScore.score + points, 0, 100);
+    const { confidence } = creatorFusionScore;
+    return {
+        ...creatorFusionScore,
+        score,
+        ...(confidence ? {
+            confidence: {
+                ...confidence,
+                score: {
+                    low: clamp(confidence.score.low + points, 0, 100),
+                    high: clamp(confidence.score.high + points, 0, 100),
+                },
+            },
+        } : {}),
+        grade: scoreToGrade(score),
+        baseScore: creatorFusionScore.score,
+        modifiers: active,
+    };
+}
+
+/**
+ * Per-format scores. A format with too few videos gets null rather than a
+ * score built on one or two data points.
+ */
+function scoreFormats(analytics, channelStats, profile) {
+    const scoreFormat = (block) => {
+        if (!block || block.videoCount < MIN_FORMAT_VIDEOS) return null;
+        const { score, grade, breakdown } = calculateCreatorFusionScore(block, channelStats, profile);
+        return { score, grade, videoCount: block.videoCount, breakdown };
+    };
+    return {
+        longForm: scoreFormat(analytics.longForm),
+        shorts: scoreFormat(analytics.shorts),
     };
 }
 
@@ -249,8 +450,14 @@ export function calculateCreatorFusionScore(analytics, channelStats) {
 
 /**
  * High-level partnership readiness summary.
+ *
+ * @param {AnalyticsResult} analytics
+ * @param {object} channelData
+ * @param {object} creatorFusionScore
+ * @param {object} [options]
+ * @param {string} [options.valuationAverage] — average views the estimate is based on (see valuationViews)
  */
-export function generatePartnershipInsights(analytics, channelData, creatorFusionScore) {
+export function generatePartnershipInsights(analytics, channelData, creatorFusionScore, { valuationAverage = 'mean' } = {}) {
     const subscribers = safeInt(channelData.statistics?.subscriberCount);
     const tier        = classifyAudienceTier(subscribers);
 
@@ -263,8 +470,10 @@ export function generatePartnershipInsights(analytics, channelData, creatorFusio
     };
     const cpm = cpmTable[tier.name] ?? cpmTable['Mid-Tier'];
 
-    const estLow  = Math.round((analytics.avgViews / 1000) * cpm.low);
-    const estHigh = Math.round((analytics.avgViews / 1000) * cpm.high);
+    const views   = valuationViews(analytics, valuationAverage);
+    const vsr     = analytics.viewMaturity?.viewToSubRatio.normalized ?? analytics.viewToSubRatio;
+    const estLow  = Math.round((views / 1000) * cpm.low);
+    const estHigh = Math.round((views / 1000) * cpm.high);
 
     const strengths = [];
     const flags     = [];
@@ -273,7 +482,7 @@ export function generatePartnershipInsights(analytics, channelData, creatorFusio
     if (b.engagement.score >= 80)  strengths.push('Exceptional engagement rate for tier');
     if (b.consistency.score >= 80) strengths.push('Very consistent posting schedule');
     if (b.frequency.score >= 80)   strengths.push('Strong posting cadence');
-    if (analytics.viewToSubRatio >= 30) strengths.push('High subscriber-to-view conversion');
+    if (vsr >= 30) strengths.push('High subscriber-to-view conversion');
     if (analytics.viewDistribution?.skewRatio <= 1.5 && analytics.viewDistribution.skewRatio > 0) {
         strengths.push('Consistent video performance (low variance)');
     }
@@ -284,7 +493,9 @@ export function generatePartnershipInsights(analytics, channelData, creatorFusio
     if (analytics.viewDistribution?.skewRatio > 3) {
         flags.push('High view variance — possible viral outliers skewing averages');
     }
-    if (analytics.viewToSubRatio < 10) flags.push('Low view-to-sub ratio — possible inactive audience');
+    if (vsr < 10) flags.push('Low view-to-sub ratio — possible inactive audience');
+    const dormant = analytics.activity?.status === 'dormant';
+    if (dormant) flags.push(`Dormant channel — no uploads in ${analytics.activity.daysSinceLastUpload} days`);
 
     const topics = (channelData.topicDetails?.topicCategories ?? []).map((t) =>
         t.replace('https://en.wikipedia.org/wiki/', '').replace(/_/g, ' '),
@@ -295,12 +506,13 @@ export function generatePartnershipInsights(analytics, channelData, creatorFusio
             low: estLow,
             high: estHigh,
             currency: 'USD',
-            note: 'Based on industry CPM averages. Actual rates vary by niche.',
+            viewsAverage: valuationAverage,
+            note: `Based on industry CPM averages and ${STANDARD_AGE_DAYS}-day equivalent views (${AVERAGE_LABELS[valuationAverage]}). Actual rates vary by niche.`,
         },
         strengths,
         flags,
         contentCategories: topics,
-        recommendedForBrands: creatorFusionScore.score >= 50 && flags.length <= 1,
+        recommendedForBrands: creatorFusionScore.score >= 50 && flags.length <= 1 && !dormant,
     };
 }
 
@@ -312,6 +524,8 @@ function emptyAnalytics() {
         likeToViewRatio: 0, commentToViewRatio: 0, viewToSubRatio: 0,
         postsPerWeek: 0, postingConsistency: 0,
         topPerformingVideo: null, worstPerformingVideo: null, viewDistribution: null,
+        engagementDistribution: null, outliers: null, valuationAverages: null, activity: null,
+        formatMix: null, longForm: null, shorts: null, viewMaturity: null,
     };
 }
 
@@ -354,13 +568,6 @@ function sum(arr, key) {
     return arr.reduce((s, v) => s + v, 0);
 }
 
-function median(arr) {
-    if (!arr.length) return 0;
-    const sorted = [...arr].sort((a, b) => a - b);
-    const mid = Math.floor(sorted.length / 2);
-    return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
-}
-
 function fmtNum(n) {
     if (n >= 1_000_000) return `${(n / 1_000_000).toFixed(1)}M`;
     if (n >= 1_000)     return `${(n / 1_000).toFixed(1)}K`;
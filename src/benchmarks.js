@@ -0,0 +1,158 @@
+/**
+ * Batch Benchmarks
+ *
+ * Ranks every analyzed channel against the others in the same run. A
+ * Creator Fusion Score™ of 72 means more when you know it beats 90% of the
+ * 300 creators you're comparing — and that it's only average among the
+ * Macro-tier tech channels.
+ *
+ * Each channel gets a percentile rank per metric, within three peer groups:
+ *   batch — every successful result in the run
+ *   tier  — same audience tier
+ *   niche — same primary topic (the channel's first YouTube topic category)
+ *
+ * A percentile rank is the share of the other channels in the group that
+ * the channel beats, ties counting half: 100 is best, 0 is worst, 50 is
+ * the middle. Groups smaller than MIN_GROUP_SIZE aren't ranked.
+ *
+ * © 2025 Creator Fusion LLC
+ */
+
+import { valuationViews } from './analytics.js';
+import { percentile } from './distribution.js';
+
+/** Fewest channels with a value for a group to be ranked */
+export const MIN_GROUP_SIZE = 3;
+
+/** Ranked metrics: name → value read from a result (null when absent) */
+const METRICS = {
+    score:           (r) => r.creatorFusionScore?.score,
+    engagementRate:  (r) => r.analytics?.engagementRate,
+    views:           (r, average) => (r.analytics ? valuationViews(r.analytics, average) : null),
+    authenticity:    (r) => r.authenticity?.score,
+    integrationRate: (r) => r.rateCard?.estimatedIntegrationRate?.mid,
+};
+
+export const BENCHMARK_METRICS = Object.keys(METRICS);
+
+/**
+ * The fields a result is ranked on. Small enough to keep for every channel
+ * of a large batch — and in the run checkpoint — instead of the full result.
+ *
+ * @param {object} result — a successful processChannel() result
+ * @param {object} [options]
+ * @param {string} [options.valuationAverage] — which average `views` ranks on, as for the rate card
+ * @returns {BenchmarkRecord}
+ */
+export function benchmarkRecord(result, { valuationAverage = 'mean' } = {}) {
+    return {
+        channelId: result.channelId ?? null,
+        channelName: result.channelName ?? null,
+        tier: result.creatorFusionScore?.tier ?? null,
+        niche: result.partnership?.contentCategories?.[0] ?? null,
+        values: Object.fromEntries(Object.entries(METRICS).map(([name, read]) => [name, read(result, valuationAverage) ?? null])),
+    };
+}
+
+/**
+ * @param {BenchmarkRecord[]} rows — from benchmarkRecord()
+ * @returns {{ channels: number, metrics: string[], minGroupSize: number, groups: object, ranks: Array<object> }}
+ *   `ranks` is in the same order as `rows`
+ */
+export function computeBenchmarks(rows) {
+    const byTier  = groupBy(rows, (row) => row.tier);
+    const byNiche = groupBy(rows, (row) => row.niche);
+
+    const ranks = rows.map((row) => {
+        const peers = { batch: rows, tier: byTier.get(row.tier) ?? [], niche: byNiche.get(row.niche) ?? [] };
+        return {
+            channelId: row.channelId,
+            channelName: row.channelName,
+            tier: row.tier,
+            niche: row.niche,
+            peers: Object.fromEntries(Object.entries(peers).map(([g, members]) => [g, members.length])),
+            percentiles: Object.fromEntries(BENCHMARK_METRICS.map((metric) => [
+                metric,
+                Object.fromEntries(Object.entries(peers).map(([g, members]) => [
+                    g,
+                    percentileRank(row.values[metric], members.map((m) => m.values[metric])),
+                ])),
+            ])),
+        };
+    });
+
+    return {
+        channels: rows.length,
+        metrics: BENCHMARK_METRICS,
+        minGroupSize: MIN_GROUP_SIZE,
+        groups: {
+            batch: groupStats(rows),
+            byTier: Object.fromEntries([...byTier].map(([tier, members]) => [tier, groupStats(members)])),
+            byNiche: Object.fromEntries([...byNiche].map(([niche, members]) => [niche, groupStats(members)])),
+        },
+        ranks,
+    };
+}
+
+/**
+ * @typedef {object} BenchmarkRecord
+ * @property {string | null} channelId
+ * @property {string | null} channelName
+ * @property {string | null} tier
+ * @property {string | null} niche
+ * @property {Record<string, number | null>} values — one per BENCHMARK_METRICS entry
+ */
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/** Rows by key, skipping rows without one */
+function groupBy(rows, key) {
+    const groups = new Map();
+    for (const row of rows) {
+        const k = key(row);
+        if (k === null) continue;
+        if (!groups.has(k)) groups.set(k, []);
+        groups.get(k).push(row);
+    }
+    return groups;
+}
+
+/**
+ * Share of the other values below `value`, ties counting half, 0–100.
+ * The value itself is one of `values`.
+ */
+function percentileRank(value, values) {
+    if (value === null) return null;
+    const present = values.filter((v) => v !== null);
+    if (present.length < MIN_GROUP_SIZE) return null;
+
+    let below = 0;
+    let equal = 0;
+    for (const v of present) {
+        if (v < value) below++;
+        else if (v === value) equal++;
+    }
+    return r1(((below + (equal - 1) / 2) / (present.length - 1)) * 100);
+}
+
+/** Quartiles of each metric across a group, for context on the ranks */
+function groupStats(rows) {
+    return {
+        channels: rows.length,
+        metrics: Object.fromEntries(BENCHMARK_METRICS.map((metric) => {
+            const values = rows.map((r) => r.values[metric]).filter((v) => v !== null);
+            if (!values.length) return [metric, null];
+            return [metric, {
+                channels: values.length,
+                min: Math.min(...values),
+                p25: r2(percentile(values, 25)),
+                median: r2(percentile(values, 50)),
+                p75: r2(percentile(values, 75)),
+                max: Math.max(...values),
+            }];
+        })),
+    };
+}
+
+function r1(n) { return Math.round(n * 10) / 10; }
+function r2(n) { return Math.round(n * 100) / 100; }
@@ -0,0 +1,149 @@
+/**
+ * Brand & Affiliate Registry
+ *
+ * The brands and affiliate networks the sponsorship detector recognises,
+ * kept as data in brand-registry.json rather than code:
+ *
+ *   networks — affiliate and link-tracking services (ShareASale, bit.ly).
+ *              A link through one says "monetised", not who paid
+ *   brands   — sponsors, with aliases, domains, vanity-URL patterns
+ *              (nordvpn.com/creator), parent company, and category
+ *
+ * The registry is versioned, and the version is reported with every
+ * detection so results can be traced to the list that produced them.
+ * Users extend it through input: an entry whose name matches a built-in
+ * one (case-insensitive) replaces it, any other is added.
+ *
+ * © 2025 Creator Fusion LLC
+ */
+
+import { readFileSync } from 'node:fs';
+import { InvalidInputError } from './errors.js';
+
+const BUILT_IN = JSON.parse(readFileSync(new URL('./brand-registry.json', import.meta.url), 'utf8'));
+
+/** Start of a host or one of its subdomains, not the middle of a longer name */
+const HOST_START = '(?<![\\w-])(?:[\\w-]+\\.)*';
+
+/**
+ * @typedef {object} BrandEntry
+ * @property {string} name
+ * @property {string[]} [aliases] — other names used in "sponsored by …"
+ * @property {string[]} [domains] — a link to any of these (or a subdomain) names the brand
+ * @property {string[]} [vanityPatterns] — regexes for creator-specific URLs, matched from the
+ *   start of a host (or subdomain) like domains are
+ * @property {string | null} [parent] — parent company
+ * @property {string | null} [category]
+ */
+
+/**
+ * @typedef {object} NetworkEntry
+ * @property {string} name
+ * @property {string[]} [domains]
+ * @property {string[]} [patterns] — regexes for links that aren't a plain domain
+ */
+
+/**
+ * Build the registry from the built-in list and user overrides.
+ *
+ * @param {{ brands?: BrandEntry[], networks?: NetworkEntry[] }} [overrides]
+ * @returns {BrandRegistry}
+ * @throws {InvalidInputError} malformed entries or invalid regexes
+ */
+export function loadBrandRegistry(overrides = {}) {
+    if (overrides === null || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        throw new InvalidInputError('brandRegistry must be an object with "brands" and/or "networks" arrays.');
+    }
+    const brands   = overrides.brands ?? [];
+    const networks = overrides.networks ?? [];
+    for (const [key, list] of [['brands', brands], ['networks', networks]]) {
+        if (!Array.isArray(list)) throw new InvalidInputError(`brandRegistry.${key} must be an array.`);
+    }
+
+    return {
+        version: BUILT_IN.version,
+        custom: { brands: brands.length, networks: networks.length },
+        networks: merge(BUILT_IN.networks, networks, 'networks').map((n) => ({
+            name: n.name,
+            matchers: [...(n.domains ?? []).map(domainRegex), ...(n.patterns ?? []).map((p) => new RegExp(p, 'i'))],
+        })),
+        brands: merge(BUILT_IN.brands, brands, 'brands').map((b) => ({
+            name: b.name,
+            aliases: b.aliases ?? [],
+            parent: b.parent ?? null,
+            category: b.category ?? null,
+            domainMatchers: (b.domains ?? []).map(domainRegex),
+            vanityMatchers: (b.vanityPatterns ?? []).map(vanityRegex),
+        })),
+    };
+}
+
+/** The built-in registry, for callers that don't take user overrides */
+export const DEFAULT_REGISTRY = loadBrandRegistry();
+
+/**
+ * The registry brand a free-text name refers to — by name or alias,
+ * ignoring case, spacing, and punctuation — or null.
+ *
+ * @param {BrandRegistry} registry
+ * @param {string} name
+ * @returns {object | null}
+ */
+export function findBrand(registry, name) {
+    const key = normalizeBrandName(name);
+    return registry.brands.find((b) => [b.name, ...b.aliases].some((n) => normalizeBrandName(n) === key)) ?? null;
+}
+
+/**
+ * A brand name reduced for comparison: lowercase letters and digits only,
+ * so "Nord VPN", "nordvpn" and "NordVPN." compare equal.
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeBrandName(name) {
+    return name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+/**
+ * @typedef {ReturnType<typeof loadBrandRegistry>} BrandRegistry
+ */
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/** Built-ins overlaid with user entries, validated */
+function merge(builtIn, custom, key) {
+    const byName = new Map(builtIn.map((e) => [e.name.toLowerCase(), e]));
+    custom.forEach((entry, i) => {
+        const where = `brandRegistry.${key}[${i}]`;
+        if (!entry || typeof entry.name !== 'string' || !entry.name.trim()) {
+            throw new InvalidInputError(`${where} needs a "name".`);
+        }
+        for (const field of ['aliases', 'domains', 'vanityPatterns', 'patterns']) {
+            const list = entry[field];
+            if (list !== undefined && (!Array.isArray(list) || !list.every((s) => typeof s === 'string' && s.trim()))) {
+                throw new InvalidInputError(`${where}.${field} must be an array of non-empty strings.`);
+            }
+        }
+        for (const pattern of [...(entry.vanityPatterns ?? []), ...(entry.patterns ?? [])]) {
+            try {
+                new RegExp(pattern, 'i');
+            } catch {
+                throw new InvalidInputError(`${where} has an invalid pattern: ${pattern}`);
+            }
+        }
+        byName.set(entry.name.trim().toLowerCase(), { ...entry, name: entry.name.trim() });
+    });
+    return [...byName.values()];
+}
+
+/** The domain or any subdomain, as a whole host — "ridge.com" but not "partridge.com" */
+function domainRegex(domain) {
+    const escaped = domain.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`${HOST_START}${escaped}(?![\\w-]|\\.[a-z])`, 'i');
+}
+
+/** A vanity pattern anchored like a domain — "ridge\\.com/x" doesn't match partridge.com/x */
+function vanityRegex(pattern) {
+    return new RegExp(`${HOST_START}(?:${pattern})`, 'i');
+}
@@ -0,0 +1,237 @@
+/**
+ * Brand Safety Scanner
+ *
+ * Checks every sampled video for content a brand may not want to appear
+ * next to, and rates the channel's overall suitability:
+ *   - Lexicon matches in titles, tags, and descriptions — profanity and
+ *     sensitive themes (gambling, alcohol, politics, violence, adult topics)
+ *   - Age restriction (`contentDetails.contentRating.ytRating`)
+ *   - Made-for-kids status (`status.madeForKids`), which limits ad formats,
+ *     comments, and how a sponsorship can be run
+ *
+ * Zero additional API cost — uses text and flags already fetched. Matching
+ * is offline and whole-word; the lexicon is a starting point that users
+ * extend or trim through input, not a moderation system. It screens a
+ * shortlist so people review the videos listed, not the whole channel.
+ *
+ * © 2025 Creator Fusion LLC
+ */
+
+import { InvalidInputError } from './errors.js';
+
+// ─── Lexicon ─────────────────────────────────────────────────────────────────
+
+/**
+ * Built-in terms per category, lowercase. A trailing `*` matches any word
+ * ending ("gambl*" → gamble, gambling), and multi-word terms match as phrases.
+ * Words with an everyday meaning ("killing it", "torture test", "hit the
+ * jackpot", "trick shots", "trump card", "sex cells") are listed only as
+ * unambiguous phrases.
+ */
+const DEFAULT_LEXICON = {
+    profanity: [
+        'fuck*', 'motherfuck*', 'shit', 'shitty', 'bullshit', 'bitch*', 'asshole*', 'bastard*',
+        'cunt*', 'dickhead*', 'wtf', 'stfu',
+    ],
+    gambling: [
+        'gambl*', 'casino*', 'sportsbook*', 'sports betting', 'online betting', 'betting odds', 'betting tips',
+        'poker', 'roulette', 'blackjack', 'slot machine*', 'parlay*', 'stake.com',
+    ],
+    alcohol: [
+        'alcohol*', 'beer*', 'vodka', 'whiskey', 'whisky', 'tequila', 'spiced rum', 'rum and coke',
+        'red wine', 'white wine', 'wine tasting', 'cocktail*', 'drunk', 'hangover', 'brewery',
+        'jello shots',
+    ],
+    politics: [
+        'politic*', 'election*', 'democrat*', 'republican*', 'donald trump', 'president trump',
+        'biden', 'abortion', 'immigration', 'congressional', 'congressman', 'congresswoman',
+        'member of congress', 'parliament', 'protest*', 'left wing', 'right wing',
+    ],
+    violence: [
+        'murder*', 'homicide*', 'killing spree*', 'serial killer*', 'shot dead', 'stabbing*',
+        'mass shooting*', 'school shooting*', 'massacre*', 'terroris*', 'graphic gore', 'tortured to death',
+        'beheading*', 'gun violence',
+    ],
+    adult: [
+        'porn*', 'nsfw', 'onlyfans', 'xxx', 'sex tape*', 'sex scene*', 'sex toy*', 'having sex',
+        'sexual*', 'sexy', 'nude*', 'nudity',
+        'strip club*', 'stripper*', 'fetish*', 'erotic*', 'hookup*',
+    ],
+};
+
+/** How much a category worries a typical brand */
+const SEVERITY = {
+    adult:     'high',
+    violence:  'high',
+    profanity: 'medium',
+    gambling:  'medium',
+    alcohol:   'low',
+    politics:  'low',
+};
+
+/** Severity for categories added through input */
+const CUSTOM_SEVERITY = 'medium';
+
+/** Fields scanned, in report order */
+const FIELDS = ['title', 'tags', 'description'];
+
+// ─── Rating ──────────────────────────────────────────────────────────────────
+
+export const SAFETY_RATINGS = ['safe', 'low-risk', 'moderate-risk', 'high-risk'];
+
+const RATING_LABELS = {
+    'safe':          'Safe — no brand-safety concerns found',
+    'low-risk':      'Low risk — a few mild mentions, spot-check the listed videos',
+    'moderate-risk': 'Moderate risk — review the listed videos before committing',
+    'high-risk':     'High risk — sensitive content is a regular part of the channel',
+};
+
+/** Share of videos flagged at all before the channel is moderate-risk */
+const MODERATE_FLAGGED_SHARE = 0.2;
+
+/**
+ * High-severity videos (age-restricted ones count) before the channel is
+ * high-risk: at least this share of the scan, and never a single video.
+ */
+const HIGH_SEVERITY_SHARE      = 0.1;
+const HIGH_SEVERITY_MIN_VIDEOS = 2;
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * Build the lexicon from the defaults and user overrides, validating the
+ * overrides. Each key is a category; an array of terms extends it (or
+ * creates it), and `null` drops a built-in category.
+ *
+ * @param {Record<string, string[] | null>} [overrides]
+ * @returns {Record<string, string[]>}
+ * @throws {InvalidInputError}
+ */
+export function resolveLexicon(overrides = {}) {
+    if (overrides === null || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        throw new InvalidInputError('brandSafetyLexicon must be an object of category → array of terms.');
+    }
+
+    const lexicon = Object.fromEntries(Object.entries(DEFAULT_LEXICON).map(([c, terms]) => [c, [...terms]]));
+    for (const [category, terms] of Object.entries(overrides)) {
+        if (terms === null) {
+            delete lexicon[category];
+            continue;
+        }
+        if (!Array.isArray(terms) || !terms.every((t) => typeof t === 'string' && t.trim())) {
+            throw new InvalidInputError(`brandSafetyLexicon.${category} must be an array of non-empty terms, or null to drop the category.`);
+        }
+        lexicon[category] = [...new Set([...(lexicon[category] ?? []), ...terms.map((t) => t.trim().toLowerCase())])];
+    }
+    return lexicon;
+}
+
+/**
+ * @param {Array<ParsedVideo>} videos — output of parseVideos()
+ * @param {Record<string, string[]>} [lexicon] — from resolveLexicon()
+ * @returns {object} brand safety section
+ */
+export function analyzeBrandSafety(videos, lexicon = resolveLexicon()) {
+    const matchers = Object.entries(lexicon).flatMap(([category, terms]) =>
+        terms.map((term) => ({ category, term, rx: termRegex(term) })));
+
+    const flagged = [];
+    for (const video of videos) {
+        const text = {
+            title: video.title ?? '',
+            tags: (video.tags ?? []).join(' \n '),
+            description: video.description ?? '',
+        };
+
+        const matches = [];
+        for (const { category, term, rx } of matchers) {
+            const field = FIELDS.find((f) => rx.test(text[f]));
+            if (field) matches.push({ category, term, field });
+        }
+
+        if (matches.length || video.ageRestricted) {
+            const categories = [...new Set(matches.map((m) => m.category))];
+            flagged.push({
+                videoId: video.videoId,
+                title: video.title,
+                url: `https://youtube.com/watch?v=${video.videoId}`,
+                publishedAt: video.publishedAt.toISOString().split('T')[0],
+                severity: video.ageRestricted ? 'high' : worstSeverity(categories),
+                ageRestricted: video.ageRestricted === true,
+                categories,
+                matches,
+            });
+        }
+    }
+
+    const total         = videos.length;
+    const ageRestricted = videos.filter((v) => v.ageRestricted).length;
+    const madeForKids   = videos.filter((v) => v.madeForKids).length;
+    const highSeverity  = flagged.filter((f) => f.severity === 'high').length;
+
+    let rating = 'safe';
+    if (flagged.length) rating = 'low-risk';
+    if (highSeverity || flagged.length >= total * MODERATE_FLAGGED_SHARE) rating = 'moderate-risk';
+    if (highSeverity >= HIGH_SEVERITY_MIN_VIDEOS && highSeverity >= total * HIGH_SEVERITY_SHARE) rating = 'high-risk';
+
+    const considerations = [];
+    if (ageRestricted) {
+        considerations.push(`${ageRestricted} age-restricted video${ageRestricted === 1 ? '' : 's'} — restricted ads and reach`);
+    }
+    if (madeForKids) {
+        considerations.push(`${madeForKids} of ${total} videos are made for kids — personalized ads and comments are off, and child-directed sponsorship rules apply`);
+    }
+
+    return {
+        rating,
+        label: RATING_LABELS[rating],
+        videosScanned: total,
+        flaggedVideos: flagged.length,
+        flaggedShare: pct(flagged.length, total),
+        ageRestrictedVideos: ageRestricted,
+        madeForKids: { videos: madeForKids, share: pct(madeForKids, total) },
+        categories: summarizeCategories(flagged, Object.keys(lexicon)),
+        considerations,
+        // Worst first, then newest, so reviewers start with what matters
+        videos: flagged.sort((a, b) => severityRank(b.severity) - severityRank(a.severity)
+            || (a.publishedAt < b.publishedAt ? 1 : -1)),
+    };
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/** Whole-word, case-insensitive; `*` suffix matches any word ending */
+function termRegex(term) {
+    const wildcard = term.endsWith('*');
+    const body     = (wildcard ? term.slice(0, -1) : term)
+        .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/\s+/g, '\\s+');
+    return new RegExp(`(?<![\\p{L}\\p{N}])${body}${wildcard ? '[\\p{L}\\p{N}]*' : ''}(?![\\p{L}\\p{N}])`, 'iu');
+}
+
+function summarizeCategories(flagged, categories) {
+    return Object.fromEntries(categories.map((category) => {
+        const hits  = flagged.filter((f) => f.categories.includes(category));
+        const terms = new Map();
+        for (const f of hits) {
+            for (const m of f.matches) if (m.category === category) terms.set(m.term, (terms.get(m.term) ?? 0) + 1);
+        }
+        return [category, {
+            severity: SEVERITY[category] ?? CUSTOM_SEVERITY,
+            videos: hits.length,
+            topTerms: [...terms].sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1)).slice(0, 5).map(([t]) => t),
+        }];
+    }));
+}
+
+function worstSeverity(categories) {
+    return categories
+        .map((c) => SEVERITY[c] ?? CUSTOM_SEVERITY)
+        .reduce((worst, s) => (severityRank(s) > severityRank(worst) ? s : worst), 'low');
+}
+
+function severityRank(severity) {
+    return ['low', 'medium', 'high'].indexOf(severity);
+}
+
+function pct(part, whole) { return whole > 0 ? Math.round((part / whole) * 10000) / 100 : 0; }
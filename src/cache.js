@@ -0,0 +1,168 @@
+/**
+ * Persistent Response Cache
+ *
+ * Caches YouTube API responses in a key-value store so recurring shortlists
+ * don't re-spend quota on data fetched hours ago. Any object with Apify's
+ * KeyValueStore interface works as backing store — `getValue(key)` and
+ * `setValue(key, value)` — so a named KV store persists across runs while
+ * MemoryStore serves tests and one-off runs.
+ *
+ * Freshness is per request kind (see DEFAULT_TTLS). Expired entries that
+ * carried an ETag are revalidated with If-None-Match instead of refetched.
+ * ID lookups that found nothing aren't cached: a handle created or renamed
+ * after the lookup must resolve on the next run, not in a month.
+ *
+ * © 2025 Creator Fusion LLC
+ */
+
+import { createHash } from 'node:crypto';
+import { OWNER_FIELDS } from './youtube-api.js';
+
+const HOUR = 3_600_000;
+const DAY  = 24 * HOUR;
+
+/**
+ * Default time-to-live per request kind (ms).
+ * Handle → ID mappings almost never change; stats and upload lists do.
+ */
+export const DEFAULT_TTLS = {
+    handle:        30 * DAY,  // channels?forHandle= / forUsername=
+    owner:         30 * DAY,  // video / playlist → owning channel (never changes)
+    channels:      6 * HOUR,  // channel details + statistics
+    playlistItems: 1 * HOUR,  // upload list — new videos appear here first
+    videos:        6 * HOUR,  // video snippet + statistics
+    search:        1 * DAY,   // discovery results — 100 units each, worth keeping
+};
+
+/** Minimal in-memory store with the KeyValueStore interface. */
+export class MemoryStore {
+    constructor() {
+        /** @type {Map<string, any>} */
+        this._values = new Map();
+    }
+
+    async getValue(key) {
+        return this._values.has(key) ? structuredClone(this._values.get(key)) : null;
+    }
+
+    async setValue(key, value) {
+        if (value === null) this._values.delete(key);
+        else this._values.set(key, structuredClone(value));
+    }
+}
+
+export class ResponseCache {
+    /**
+     * @param {{ getValue: Function, setValue: Function }} store
+     * @param {object} [options]
+     * @param {Partial<typeof DEFAULT_TTLS>} [options.ttls] — per-kind overrides in ms
+     * @param {() => number} [options.now] — clock, injectable for tests
+     */
+    constructor(store, { ttls = {}, now = Date.now } = {}) {
+        if (!store) throw new Error('ResponseCache requires a backing store.');
+        this.store = store;
+        this.ttls  = { ...DEFAULT_TTLS, ...ttls };
+        this.now   = now;
+        this.stats = { hits: 0, misses: 0, revalidated: 0, quotaSaved: 0, storeErrors: 0 };
+    }
+
+    /**
+     * Look up a cached response. Fresh entries count as hits; missing or
+     * stale ones as misses.
+     *
+     * @param {string} endpoint
+     * @param {Record<string, any>} params
+     * @param {number} [quotaCost] — units a hit saves
+     * @returns {Promise<{ body: any, etag: string | null, fresh: boolean } | null>}
+     */
+    async get(endpoint, params, quotaCost = 1) {
+        let entry = null;
+        try {
+            entry = await this.store.getValue(cacheKey(endpoint, params));
+        } catch {
+            // A broken cache must never fail the request — fall through to the API
+            this.stats.storeErrors++;
+        }
+        if (!entry?.body) {
+            this.stats.misses++;
+            return null;
+        }
+
+        const ttl   = this.ttls[requestKind(endpoint, params)] ?? 0;
+        const fresh = this.now() - entry.storedAt < ttl;
+
+        if (fresh) {
+            this.stats.hits++;
+            this.stats.quotaSaved += quotaCost;
+        } else {
+            this.stats.misses++;
+        }
+
+        return { body: entry.body, etag: entry.etag ?? null, fresh };
+    }
+
+    /**
+     * Store (or refresh) a response. Empty handle and owner lookups are skipped.
+     *
+     * @param {string} endpoint
+     * @param {Record<string, any>} params
+     * @param {any} body
+     * @param {string | null} [etag]
+     */
+    async set(endpoint, params, body, etag = null) {
+        if (isIdLookup(endpoint, params) && !body?.items?.length) return;
+        try {
+            await this.store.setValue(cacheKey(endpoint, params), { storedAt: this.now(), etag, body });
+        } catch {
+            this.stats.storeErrors++;
+        }
+    }
+
+    /**
+     * Restart the TTL of an entry the API confirmed unchanged (304).
+     *
+     * @param {string} endpoint
+     * @param {Record<string, any>} params
+     * @param {{ body: any, etag: string | null }} cached — result of get()
+     */
+    async revalidate(endpoint, params, cached) {
+        this.stats.revalidated++;
+        await this.set(endpoint, params, cached.body, cached.etag);
+    }
+
+    /** @returns {{ hits: number, misses: number, revalidated: number, quotaSaved: number, storeErrors: number, hitRate: number }} */
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            ...this.stats,
+            hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 100) : 0,
+        };
+    }
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+function isIdLookup(endpoint, params) {
+    const kind = requestKind(endpoint, params);
+    return kind === 'handle' || kind === 'owner';
+}
+
+/** Classify a request so ID lookups get their own, much longer TTLs. */
+function requestKind(endpoint, params) {
+    if (endpoint === 'channels' && (params.forHandle || params.forUsername)) return 'handle';
+    if (params.fields === OWNER_FIELDS) return 'owner';
+    return endpoint;
+}
+
+/**
+ * KV-store-safe key: endpoint prefix + hash of sorted, defined params.
+ * The API key is never part of params, so entries are shared across keys.
+ */
+function cacheKey(endpoint, params) {
+    const sorted = Object.keys(params)
+        .filter((k) => params[k] !== undefined && params[k] !== null)
+        .sort()
+        .map((k) => [k, String(params[k])]);
+    const hash = createHash('sha1').update(JSON.stringify(sorted)).digest('hex').slice(0, 24);
+    return `${endpoint}-${hash}`;
+}
@@ -0,0 +1,126 @@
+/**
+ * Run Checkpointing
+ *
+ * Records which channel inputs have already produced a dataset item, so a
+ * migrated, aborted-and-resurrected, or crashed run picks up where it left
+ * off instead of re-analyzing (and re-pushing) everything.
+ *
+ * Progress is tracked by input index — resolution to a channel ID costs
+ * quota, so the skip decision has to be made before it. The checkpoint is
+ * tied to a hash of the channel list; a run with different input starts fresh.
+ * Processed channels also keep their compact benchmark record, so the batch
+ * can be ranked after a restart without reading the dataset back.
+ *
+ * The backing store uses Apify's KeyValueStore interface.
+ *
+ * © 2025 Creator Fusion LLC
+ */
+
+import { createHash } from 'node:crypto';
+
+export const CHECKPOINT_KEY = 'CHECKPOINT';
+
+export class RunCheckpoint {
+    /**
+     * @param {{ getValue: Function, setValue: Function }} store
+     * @param {string[]} channels — the run's channel inputs, used to detect input changes
+     * @param {{ key?: string }} [options]
+     */
+    constructor(store, channels, { key = CHECKPOINT_KEY } = {}) {
+        this.store     = store;
+        this.key       = key;
+        this.inputHash = createHash('sha256').update(JSON.stringify(channels)).digest('hex').slice(0, 16);
+        /** @type {Map<number, { outcome: string, channelId: string | null, errorCode: string | null, benchmark: object | null }>} input index → result */
+        this.completed = new Map();
+        this.counts    = { processed: 0, skipped: 0, failed: 0 };
+        /** Quota spent by earlier attempts of this run, before the last restart */
+        this.priorQuotaUsed = 0;
+        this.resumed   = false;
+    }
+
+    /**
+     * Restore progress from the store if it belongs to this input and the
+     * run hadn't already finished.
+     *
+     * @returns {Promise<boolean>} true when resuming
+     */
+    async load() {
+        const saved = await this.store.getValue(this.key);
+        if (!saved || saved.inputHash !== this.inputHash || saved.finished) return false;
+
+        for (const { index, outcome, channelId, errorCode, benchmark } of saved.completed ?? []) {
+            this.completed.set(index, {
+                outcome,
+                channelId: channelId ?? null,
+                errorCode: errorCode ?? null,
+                benchmark: benchmark ?? null,
+            });
+        }
+        this.counts = { processed: 0, skipped: 0, failed: 0, ...saved.counts };
+        this.priorQuotaUsed = saved.quotaUsed ?? 0;
+        this.resumed = true;
+        return true;
+    }
+
+    /** @param {number} index */
+    isDone(index) {
+        return this.completed.has(index);
+    }
+
+    /**
+     * Record a finished channel. Call synchronously right after its dataset
+     * item was pushed, so no save can land between the push and the record.
+     *
+     * @param {number} index
+     * @param {'processed' | 'skipped' | 'failed'} outcome
+     * @param {string | null} [channelId]
+     * @param {string | null} [errorCode] — for failed channels, see errors.js
+     * @param {object | null} [benchmark] — for processed channels, see benchmarkRecord()
+     */
+    complete(index, outcome, channelId = null, errorCode = null, benchmark = null) {
+        if (this.completed.has(index)) return;
+        this.completed.set(index, { outcome, channelId, errorCode, benchmark });
+        this.counts[outcome]++;
+    }
+
+    /**
+     * Failed channels per error code, across every attempt of the run.
+     * @returns {Record<string, number>}
+     */
+    errorCounts() {
+        const counts = {};
+        for (const { errorCode } of this.completed.values()) {
+            if (errorCode) counts[errorCode] = (counts[errorCode] ?? 0) + 1;
+        }
+        return counts;
+    }
+
+    /**
+     * Benchmark records of every processed channel, across every attempt of
+     * the run, in input order.
+     * @returns {object[]}
+     */
+    benchmarkRecords() {
+        return [...this.completed]
+            .sort(([a], [b]) => a - b)
+            .map(([, { benchmark }]) => benchmark)
+            .filter(Boolean);
+    }
+
+    /**
+     * Persist progress.
+     *
+     * @param {{ quotaUsed?: number, finished?: boolean }} [state]
+     * @param {number} [state.quotaUsed] — quota spent by THIS attempt; prior attempts are added
+     */
+    async save({ quotaUsed = 0, finished = false } = {}) {
+        await this.store.setValue(this.key, {
+            inputHash: this.inputHash,
+            completed: [...this.completed].map(([index, { benchmark, ...v }]) => ({ index, ...v, ...(benchmark && { benchmark }) })),
+            counts: this.counts,
+            quotaUsed: this.priorQuotaUsed + quotaUsed,
+            finished,
+            savedAt: new Date().toISOString(),
+        });
+    }
+}
@@ -0,0 +1,205 @@
+/**
+ * Score Confidence & Reliability
+ *
+ * A score from 5 videos looks exactly as confident as one from 200. This
+ * module puts error bars on it:
+ *
+ *   confidence  — bootstrap 95% intervals for the Creator Fusion Score™ and
+ *                 engagement rate: the sampled videos are resampled with
+ *                 replacement and re-scored many times
+ *   reliability — a high / medium / low label from how much data there is:
+ *                 video count, date span, and metrics the channel hides
+ *
+ * The upload schedule is treated as observed rather than sampled — a
+ * resample can't meaningfully reorder publish dates — so consistency and
+ * frequency are held at their measured values and the interval reflects
+ * how much the per-video numbers vary.
+ *
+ * Resampling is seeded from the video IDs, so the same sample always gives
+ * the same interval.
+ *
+ * © 2025 Creator Fusion LLC
+ */
+
+import { calculateCreatorFusionScore } from './analytics.js';
+import { normalizeViews } from './maturity.js';
+import { percentile } from './distribution.js';
+
+/** Resamples per interval — enough for stable 2.5th/97.5th percentiles */
+export const BOOTSTRAP_ITERATIONS = 1000;
+
+export const CONFIDENCE_LEVEL = 95;
+
+/** [high, medium] thresholds — below medium is low */
+const VIDEO_COUNT_LEVELS = [25, 10];
+const SPAN_DAYS_LEVELS   = [60, 14];
+
+/** Share of videos with likes or comments hidden before engagement is undercounted */
+const HIDDEN_ENGAGEMENT_SHARE = 0.5;
+
+const LABELS = ['low', 'medium', 'high'];
+
+/**
+ * @param {Array<ParsedVideo>} parsed — output of parseVideos()
+ * @param {AnalyticsResult} analytics — output of analyzeVideos() for the same videos
+ * @param {object} channelStats — channel `statistics`
+ * @param {object} [options]
+ * @param {object} [options.maturity] — as passed to analyzeVideos
+ * @param {import('./scoring-profiles.js').ScoringProfile} [options.profile]
+ * @param {number} [options.iterations]
+ * @returns {{ confidence: object | null, reliability: object }} confidence is null for a single video
+ */
+export function assessConfidence(parsed, analytics, channelStats, {
+    maturity = {},
+    profile,
+    iterations = BOOTSTRAP_ITERATIONS,
+} = {}) {
+    return {
+        confidence: parsed.length > 1
+            ? bootstrap(parsed, analytics, channelStats, { maturity, profile, iterations })
+            : null,
+        reliability: assessReliability(parsed, analytics, channelStats),
+    };
+}
+
+/**
+ * Reliability label from the amount of data behind the score. Each factor
+ * rates high / medium / low; the label is the weakest of them, one step
+ * lower again for each kind of hidden metric.
+ *
+ * @param {Array<ParsedVideo>} parsed
+ * @param {AnalyticsResult} analytics
+ * @param {object} channelStats
+ */
+export function assessReliability(parsed, analytics, channelStats) {
+    const videoCount = parsed.length;
+    const spanDays   = analytics.dateRange?.spanDays ?? 0;
+    const reasons    = [];
+
+    const countLevel = level(videoCount, VIDEO_COUNT_LEVELS);
+    if (countLevel < 2) reasons.push(`Only ${videoCount} video${videoCount === 1 ? '' : 's'} analyzed`);
+
+    const spanLevel = level(spanDays, SPAN_DAYS_LEVELS);
+    if (spanLevel < 2) reasons.push(`Videos span only ${spanDays} day${spanDays === 1 ? '' : 's'}`);
+
+    let label = Math.min(countLevel, spanLevel);
+
+    const hiddenSubscribers = channelStats?.hiddenSubscriberCount === true;
+    if (hiddenSubscribers) {
+        label--;
+        reasons.push('Subscriber count hidden — view-to-subscriber and reach scores are estimates');
+    }
+
+    const likesDisabled    = parsed.filter((v) => v.likesDisabled).length;
+    const commentsDisabled = parsed.filter((v) => v.commentsDisabled).length;
+    if (videoCount && Math.max(likesDisabled, commentsDisabled) / videoCount >= HIDDEN_ENGAGEMENT_SHARE) {
+        label--;
+        reasons.push('Likes or comments hidden on most videos — engagement is undercounted');
+    }
+
+    return {
+        label: LABELS[Math.max(0, label)],
+        reasons,
+        videoCount,
+        spanDays,
+        hiddenMetrics: {
+            subscriberCount: hiddenSubscribers,
+            likesDisabledVideos: likesDisabled,
+            commentsDisabledVideos: commentsDisabled,
+        },
+    };
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/**
+ * Re-derives only the score inputs that vary per video — engagement and
+ * view-to-subscriber ratio, computed as analyzeVideos does — rather than
+ * re-running the full analytics hundreds of times.
+ */
+function bootstrap(parsed, analytics, channelStats, { maturity, profile, iterations }) {
+    const subscribers = parseInt(channelStats?.subscriberCount ?? '0', 10) || 0;
+    const random      = mulberry32(hash(parsed.map((v) => v.videoId).join()));
+    const normalized  = normalizeViews(parsed, maturity).map((n) => n.normalizedViews);
+    const n           = parsed.length;
+    const scores      = [];
+    const rates       = [];
+
+    for (let i = 0; i < iterations; i++) {
+        let views = 0;
+        let reactions = 0;
+        let normSum = 0;
+        let normCount = 0;
+        for (let j = 0; j < n; j++) {
+            const k = Math.floor(random() * n);
+            views     += parsed[k].views;
+            reactions += parsed[k].likes + parsed[k].comments;
+            if (normalized[k] !== null) {
+                normSum += normalized[k];
+                normCount++;
+            }
+        }
+
+        const engagementRate = views > 0 ? r2((reactions / views) * 100) : 0;
+        const vsr = (avg) => (subscribers > 0 ? r2((avg / subscribers) * 100) : 0);
+        const resampled = {
+            engagementRate,
+            // The schedule is observed, not sampled — see the header
+            postingConsistency: analytics.postingConsistency,
+            postsPerWeek: analytics.postsPerWeek,
+            viewToSubRatio: vsr(Math.round(views / n)),
+            viewMaturity: {
+                viewToSubRatio: { normalized: normCount ? vsr(Math.round(normSum / normCount)) : null },
+            },
+        };
+
+        scores.push(calculateCreatorFusionScore(resampled, channelStats, profile).score);
+        rates.push(engagementRate);
+    }
+
+    const tail = (100 - CONFIDENCE_LEVEL) / 2;
+    return {
+        method: 'bootstrap',
+        level: CONFIDENCE_LEVEL,
+        iterations,
+        score: {
+            low: Math.round(percentile(scores, tail)),
+            high: Math.round(percentile(scores, 100 - tail)),
+        },
+        engagementRate: {
+            low: r2(percentile(rates, tail)),
+            high: r2(percentile(rates, 100 - tail)),
+        },
+    };
+}
+
+/** 2 = high, 1 = medium, 0 = low */
+function level(value, [high, medium]) {
+    if (value >= high) return 2;
+    if (value >= medium) return 1;
+    return 0;
+}
+
+/** Small seeded PRNG — Math.random can't be seeded */
+function mulberry32(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4_294_967_296;
+    };
+}
+
+/** FNV-1a */
+function hash(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+function r2(n) { return Math.round(n * 100) / 100; }
@@ -0,0 +1,233 @@
+/**
+ * Competitor Conflict Check
+ *
+ * Before a brand books a creator it needs to know whether the creator
+ * recently promoted a competitor — most contracts carry an exclusivity
+ * clause. Given a target brand, this checks the sponsorship report for its
+ * competitors and passes or fails the channel against an exclusivity window.
+ *
+ * Competitors come from an explicit list, a registry category, or — when
+ * neither is given — the target brand's own category. Category competitors
+ * exclude the target's sister brands (same parent company): a Surfshark
+ * deal isn't a conflict for NordVPN. A competitor can also be an affiliate
+ * network, matched on the video's affiliate links.
+ *
+ * Matching reuses detectSponsorships(): brands are compared after registry
+ * canonicalization, so "Athletic Greens" counts as AG1. A plain link to a
+ * competitor without a disclosure (the report's brandLinks) may be an
+ * undisclosed deal or just a recommendation, so it never fails the check —
+ * it is listed under possibleConflicts for a human to look at.
+ *
+ * © 2025 Creator Fusion LLC
+ */
+
+import { findBrand, normalizeBrandName } from './brand-registry.js';
+import { InvalidInputError } from './errors.js';
+
+export const DEFAULT_EXCLUSIVITY_WINDOW_DAYS = 90;
+
+const DAY_MS = 86_400_000;
+
+/**
+ * Validate the conflict check input and resolve competitors against the
+ * registry. Null when no target brand or competitors were given.
+ *
+ * @param {object} input
+ * @param {string} [input.targetBrand]
+ * @param {string[]} [input.competitors]
+ * @param {string} [input.competitorCategory] — a registry brand category
+ * @param {number} [input.windowDays]
+ * @param {import('./brand-registry.js').BrandRegistry} registry
+ * @returns {ConflictCheck | null}
+ * @throws {InvalidInputError}
+ */
+export function resolveConflictCheck({
+    targetBrand,
+    competitors = [],
+    competitorCategory,
+    windowDays = DEFAULT_EXCLUSIVITY_WINDOW_DAYS,
+}, registry) {
+    if (!Array.isArray(competitors) || !competitors.every((c) => typeof c === 'string')) {
+        throw new InvalidInputError('competitorBrands must be an array of brand names.');
+    }
+    const listed   = competitors.map((c) => c.trim()).filter(Boolean);
+    const category = competitorCategory?.trim() || null;
+    const target   = targetBrand?.trim() || null;
+
+    if (!target && !listed.length && !category) return null;
+    if (!target) {
+        throw new InvalidInputError('targetBrand is required for the competitor conflict check.');
+    }
+
+    const targetEntry = findBrand(registry, target);
+    const targetName  = targetEntry?.name ?? target;
+
+    const categories = [...new Set(registry.brands.map((b) => b.category).filter(Boolean))];
+    let categoryName = null;
+    if (category) {
+        categoryName = categories.find((c) => c.toLowerCase() === category.toLowerCase()) ?? null;
+        if (!categoryName) {
+            throw new InvalidInputError(
+                `Unknown competitorCategory "${category}". Registry categories: ${categories.sort().join(', ')}.`,
+            );
+        }
+    } else if (!listed.length) {
+        if (!targetEntry?.category) {
+            throw new InvalidInputError(
+                `"${target}" has no category in the brand registry — list competitorBrands or set competitorCategory.`,
+            );
+        }
+        categoryName = targetEntry.category;
+    }
+
+    const resolved = new Map();  // normalized name → competitor
+    const add = (competitor) => {
+        const key = normalizeBrandName(competitor.name);
+        if (key !== normalizeBrandName(targetName) && !resolved.has(key)) resolved.set(key, competitor);
+    };
+
+    for (const name of listed) {
+        const network = registry.networks.find((n) => normalizeBrandName(n.name) === normalizeBrandName(name));
+        add(network
+            ? { name: network.name, kind: 'network', source: 'list' }
+            : { name: findBrand(registry, name)?.name ?? name, kind: 'brand', source: 'list' });
+    }
+
+    const sisterBrands = [];
+    if (categoryName) {
+        for (const brand of registry.brands.filter((b) => b.category === categoryName)) {
+            if (brand.name === targetName) continue;
+            if (targetEntry?.parent && brand.parent === targetEntry.parent) {
+                sisterBrands.push(brand.name);
+                continue;
+            }
+            add({ name: brand.name, kind: 'brand', source: 'category' });
+        }
+    }
+
+    return {
+        targetBrand: targetName,
+        targetInRegistry: targetEntry !== null,
+        competitorCategory: categoryName,
+        exclusivityWindowDays: windowDays,
+        competitors: [...resolved.values()],
+        sisterBrands,
+    };
+}
+
+/**
+ * Check a channel's sponsorships against a resolved conflict check.
+ *
+ * @param {object} sponsorship — from detectSponsorships()
+ * @param {Array<{ publishedAt: Date }>} videos — every scanned video, for window coverage
+ * @param {ConflictCheck} check — from resolveConflictCheck()
+ * @param {number} [now] — clock, injectable for tests
+ * @returns {object} conflict report
+ */
+export function checkConflicts(sponsorship, videos, check, now = Date.now()) {
+    const { targetBrand, exclusivityWindowDays: windowDays } = check;
+    const sponsored = sponsorship.sponsoredVideos;
+
+    const matches = check.competitors.map((competitor) => {
+        const list = sponsored.filter((video) => mentions(video, competitor));
+        if (!list.length) return null;
+        const lastSeen = list.map((v) => v.publishedAt).sort().at(-1);
+        const daysAgo  = daysSince(lastSeen, now);
+        return {
+            brand: competitor.name,
+            kind: competitor.kind,
+            source: competitor.source,
+            mentions: list.length,
+            lastSeen,
+            daysAgo,
+            insideWindow: daysAgo <= windowDays,
+            videos: list.map(({ videoId, title, publishedAt }) => ({ videoId, title, publishedAt })),
+        };
+    }).filter(Boolean).sort((a, b) => b.lastSeen.localeCompare(a.lastSeen));
+
+    const inWindow = matches.filter((m) => m.insideWindow);
+
+    const possibleConflicts = check.competitors
+        .filter((competitor) => competitor.kind === 'brand')
+        .map((competitor) => {
+            const key  = normalizeBrandName(competitor.name);
+            const link = sponsorship.brandLinks.find((l) => normalizeBrandName(l.brand) === key);
+            if (!link) return null;
+            const daysAgo = daysSince(link.lastSeen, now);
+            return {
+                brand: competitor.name,
+                source: competitor.source,
+                links: link.videos,
+                lastSeen: link.lastSeen,
+                daysAgo,
+                insideWindow: daysAgo <= windowDays,
+                videoIds: link.videoIds,
+            };
+        }).filter(Boolean).sort((a, b) => b.lastSeen.localeCompare(a.lastSeen));
+    const possibleInWindow = possibleConflicts.filter((p) => p.insideWindow);
+    const target   = sponsored.filter((video) => mentions(video, { name: targetBrand, kind: 'brand' }));
+
+    const scannedFrom = videos.length
+        ? isoDate(Math.min(...videos.map((v) => v.publishedAt.getTime())))
+        : null;
+    const windowStart = isoDate(now - windowDays * DAY_MS);
+    const coverage    = { scannedFrom, windowStart, complete: scannedFrom !== null && scannedFrom <= windowStart };
+
+    const passed = inWindow.length === 0;
+    return {
+        result: passed ? 'pass' : 'fail',
+        passed,
+        label: label(passed, inWindow[0], windowDays, coverage, possibleInWindow[0]),
+        targetBrand,
+        competitorCategory: check.competitorCategory,
+        exclusivityWindowDays: windowDays,
+        competitorsChecked: check.competitors.length,
+        conflictsInWindow: inWindow.map((m) => m.brand),
+        mostRecent: matches.length
+            ? { brand: matches[0].brand, date: matches[0].lastSeen, daysAgo: matches[0].daysAgo, insideWindow: matches[0].insideWindow }
+            : null,
+        matches,
+        possibleConflictsInWindow: possibleInWindow.map((p) => p.brand),
+        possibleConflicts,
+        targetBrandHistory: {
+            videos: target.length,
+            lastSeen: target.length ? target.map((v) => v.publishedAt).sort().at(-1) : null,
+        },
+        coverage,
+    };
+}
+
+/**
+ * @typedef {object} ConflictCheck
+ * @property {string} targetBrand — registry name when the registry knows it
+ * @property {boolean} targetInRegistry
+ * @property {string | null} competitorCategory
+ * @property {number} exclusivityWindowDays
+ * @property {Array<{ name: string, kind: 'brand' | 'network', source: 'list' | 'category' }>} competitors
+ * @property {string[]} sisterBrands — category brands skipped for sharing the target's parent
+ */
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/** Whether a sponsored video promoted the competitor */
+function mentions(video, { name, kind }) {
+    if (kind === 'network') {
+        return video.signals.some((s) => s.type === 'affiliate' && s.value === name);
+    }
+    const key = normalizeBrandName(name);
+    return video.brands.some((b) => normalizeBrandName(b) === key);
+}
+
+function label(passed, latest, windowDays, coverage, possible) {
+    if (!passed) {
+        return `Fail — ${latest.brand} sponsored a video ${latest.daysAgo} days ago, inside the ${windowDays}-day exclusivity window`;
+    }
+    let text = `Pass — no competitor sponsorships in the last ${windowDays} days`;
+    if (!coverage.complete) text += ` (only videos since ${coverage.scannedFrom} were scanned)`;
+    if (possible) text += `; review a link to ${possible.brand} without a disclosure ${possible.daysAgo} days ago`;
+    return text;
+}
+
+function daysSince(date, now) { return Math.floor((now - Date.parse(date)) / DAY_MS); }
+
+function isoDate(ms) { return new Date(ms).toISOString().split('T')[0]; }
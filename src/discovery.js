@@ -0,0 +1,120 @@
+/**
+ * Channel Discovery
+ *
+ * Finds candidate channels for a niche via search.list, so a run can start
+ * from keywords instead of a known list. Searches are the most expensive
+ * call in the API (100 units each), so discovery runs on its own unit budget:
+ * keywords are searched round-robin, one page at a time, until the budget,
+ * the candidate cap, or the results run out. Channels found by several
+ * keywords are kept once, with every keyword that matched.
+ *
+ * Candidates are channel IDs, fed into the regular pipeline — its
+ * minSubscribers / minEngagementRate filters do the qualifying.
+ *
+ * © 2025 Creator Fusion LLC
+ */
+
+import { SEARCH_COST } from './youtube-api.js';
+import { toAnalyzerError } from './errors.js';
+
+/**
+ * @typedef {object} DiscoveryResult
+ * @property {Array<{ channelId: string, title: string | null, keywords: string[] }>} channels — in discovery order
+ * @property {Array<{ keyword: string, page: number, results: number, newChannels: number }>} searches
+ * @property {number} quotaUsed — units actually spent (cached searches are free)
+ * @property {'maxChannels' | 'budget' | 'exhausted' | 'error'} stoppedBy
+ * @property {object | null} error — typed error fields when a search failed
+ */
+
+/**
+ * Search for channels across keywords within a quota budget.
+ *
+ * @param {import('./youtube-api.js').YouTubeClient} client
+ * @param {object} options
+ * @param {string[]} options.keywords
+ * @param {number} options.maxSearchUnits — discovery spend cap; each page costs SEARCH_COST
+ * @param {number} options.maxChannels — stop once this many new candidates are found
+ * @param {string} [options.regionCode]
+ * @param {string} [options.relevanceLanguage]
+ * @param {Iterable<string>} [options.exclude] — channel IDs already in the run
+ * @returns {Promise<DiscoveryResult>}
+ */
+export async function discoverChannels(client, {
+    keywords,
+    maxSearchUnits,
+    maxChannels,
+    regionCode,
+    relevanceLanguage,
+    exclude = [],
+}) {
+    const excluded = new Set(exclude);
+    /** @type {Map<string, { channelId: string, title: string | null, keywords: string[] }>} */
+    const found    = new Map();
+    const searches = [];
+    const spentAtStart = client.quotaUsed;
+
+    const queues = [...new Set(keywords.map((k) => k.trim()).filter(Boolean))]
+        .map((keyword) => ({ keyword, page: 0, pageToken: undefined, done: false }));
+
+    let stoppedBy = 'exhausted';
+    let error = null;
+
+    search:
+    while (queues.some((q) => !q.done)) {
+        for (const queue of queues) {
+            if (queue.done) continue;
+            if (found.size >= maxChannels) {
+                stoppedBy = 'maxChannels';
+                break search;
+            }
+            // Budget on real spend: cached pages cost nothing and don't count
+            if (client.quotaUsed - spentAtStart + SEARCH_COST > maxSearchUnits) {
+                stoppedBy = 'budget';
+                break search;
+            }
+
+            let page;
+            try {
+                page = await client.searchChannels(queue.keyword, {
+                    regionCode,
+                    relevanceLanguage,
+                    pageToken: queue.pageToken,
+                });
+            } catch (err) {
+                // Keep what was found — explicit channels and earlier pages still get analyzed
+                error = toAnalyzerError(err, 'discover').toJSON();
+                stoppedBy = 'error';
+                break search;
+            }
+
+            let newChannels = 0;
+            for (const { channelId, title } of page.channels) {
+                if (excluded.has(channelId)) continue;
+                const existing = found.get(channelId);
+                if (existing) {
+                    if (!existing.keywords.includes(queue.keyword)) existing.keywords.push(queue.keyword);
+                    continue;
+                }
+                if (found.size >= maxChannels) continue;
+                found.set(channelId, { channelId, title, keywords: [queue.keyword] });
+                newChannels++;
+            }
+
+            queue.page++;
+            searches.push({ keyword: queue.keyword, page: queue.page, results: page.channels.length, newChannels });
+
+            queue.pageToken = page.nextPageToken ?? undefined;
+            if (!page.nextPageToken || !page.channels.length) queue.done = true;
+        }
+    }
+
+    if (stoppedBy === 'exhausted' && found.size >= maxChannels) stoppedBy = 'maxChannels';
+
+    return {
+        channels: [...found.values()],
+        searches,
+        quotaUsed: client.quotaUsed - spentAtStart,
+        stoppedBy,
+        error,
+    };
+}
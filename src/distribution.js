@@ -0,0 +1,103 @@
+/**
+ * Robust Distribution Statistics
+ *
+ * Views per video are heavy-tailed: one viral upload can double a channel's
+ * mean without saying anything about what the next video will do. This
+ * module provides the statistics that hold up against that — percentiles,
+ * trimmed means, and outlier detection — so analytics can report them and
+ * valuation can use them instead of the plain mean.
+ *
+ * Outlier methods:
+ *   iqr — Tukey fences: outside Q1 − 1.5·IQR … Q3 + 1.5·IQR
+ *   mad — modified z-score above 3.5, using the median absolute deviation
+ *
+ * © 2025 Creator Fusion LLC
+ */
+
+export const OUTLIER_METHODS = ['iqr', 'mad'];
+
+/** Averages the rate card and partnership estimate can be based on */
+export const VALUATION_AVERAGES = ['mean', 'median', 'trimmedMean', 'meanExcludingOutliers'];
+
+/** Share of values dropped from each end for the trimmed mean */
+export const TRIM_FRACTION = 0.1;
+
+/** Fewest values for outlier detection — below this every fence is meaningless */
+export const MIN_OUTLIER_SAMPLE = 5;
+
+const IQR_MULTIPLIER = 1.5;
+const MAD_THRESHOLD  = 3.5;
+
+/** Scales MAD to be comparable to a standard deviation under normality */
+const MAD_SCALE = 0.6745;
+
+/**
+ * Percentile by linear interpolation between closest ranks.
+ *
+ * @param {number[]} values
+ * @param {number} p — 0–100
+ * @returns {number} 0 for an empty array
+ */
+export function percentile(values, p) {
+    if (!values.length) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank   = (p / 100) * (sorted.length - 1);
+    const lo     = Math.floor(rank);
+    const hi     = Math.ceil(rank);
+    return sorted[lo] + (rank - lo) * (sorted[hi] - sorted[lo]);
+}
+
+/**
+ * Middle value; the mean of the two middle values, rounded, for an even count.
+ *
+ * @param {number[]} values
+ * @returns {number} 0 for an empty array
+ */
+export function median(values) {
+    if (!values.length) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid    = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+/**
+ * Mean after dropping `fraction` of the values from each end. Small samples
+ * that would lose nothing at that fraction give the plain mean.
+ *
+ * @param {number[]} values
+ * @param {number} [fraction]
+ * @returns {number} 0 for an empty array
+ */
+export function trimmedMean(values, fraction = TRIM_FRACTION) {
+    if (!values.length) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const cut    = Math.floor(sorted.length * fraction);
+    const kept   = sorted.slice(cut, sorted.length - cut);
+    return kept.reduce((s, v) => s + v, 0) / kept.length;
+}
+
+/**
+ * Bounds outside which a value counts as an outlier.
+ *
+ * @param {number[]} values
+ * @param {'iqr' | 'mad'} [method]
+ * @returns {{ lower: number, upper: number } | null} null when the sample is too
+ *   small, or when most values are identical and there is no spread to measure against
+ */
+export function outlierBounds(values, method = 'iqr') {
+    if (values.length < MIN_OUTLIER_SAMPLE) return null;
+
+    if (method === 'mad') {
+        const med = percentile(values, 50);
+        const mad = percentile(values.map((v) => Math.abs(v - med)), 50);
+        if (mad === 0) return null;
+        const spread = (MAD_THRESHOLD * mad) / MAD_SCALE;
+        return { lower: med - spread, upper: med + spread };
+    }
+
+    const q1  = percentile(values, 25);
+    const q3  = percentile(values, 75);
+    const iqr = q3 - q1;
+    if (iqr === 0) return null;
+    return { lower: q1 - IQR_MULTIPLIER * iqr, upper: q3 + IQR_MULTIPLIER * iqr };
+}
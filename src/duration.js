@@ -0,0 +1,125 @@
+/**
+ * Video Duration Analysis
+ *
+ * How a channel performs by video length: count, median views, engagement,
+ * and estimated watch time per duration bucket, and the length range the
+ * audience responds to best. Brands use it to set the length of a
+ * dedicated video, and to price an integration in a 40-minute episode
+ * differently from one in a 6-minute video.
+ *
+ * Watch time is an estimate. The API doesn't expose retention, so each
+ * bucket assumes a typical average-view percentage — viewers watch most of
+ * a Short and a shrinking share of longer videos. Views are 30-day
+ * equivalents (see maturity.js).
+ *
+ * © 2025 Creator Fusion LLC
+ */
+
+import { normalizeViews } from './maturity.js';
+import { median } from './distribution.js';
+
+/**
+ * Duration buckets: [key, label, upper bound in seconds (exclusive), typical
+ * share of the video an average view watches]. The last bucket is open-ended.
+ * The first bucket is the Shorts — parseVideos' `isShort`, up to and
+ * including 60 seconds — so the long-form buckets never contain one.
+ */
+const BUCKETS = [
+    ['under1',  'Up to 1 min', 60,       0.75],
+    ['1to5',    '1–5 min',     5 * 60,   0.55],
+    ['5to10',   '5–10 min',    10 * 60,  0.45],
+    ['10to20',  '10–20 min',   20 * 60,  0.38],
+    ['20to40',  '20–40 min',   40 * 60,  0.3],
+    ['over40',  'Over 40 min', Infinity, 0.22],
+];
+
+/** Fewest videos a bucket needs to be named the best length */
+const MIN_BUCKET_VIDEOS = 3;
+
+/** Views ratio between the best and worst buckets worth calling out */
+const INSIGHT_RATIO = 1.5;
+
+/**
+ * @param {Array<ParsedVideo>} parsed — output of parseVideos()
+ * @param {object} [maturity] — view maturity options, as for analyzeVideos
+ * @returns {object} duration section
+ */
+export function analyzeDurations(parsed, maturity = {}) {
+    const normalized = new Map(normalizeViews(parsed, maturity).map((n) => [n.video.videoId, n.normalizedViews]));
+
+    // Live streams and premieres can report PT0S until processed
+    const timed = parsed.filter((v) => v.durationSeconds > 0);
+
+    const buckets = BUCKETS.map(([key, label, max, retention], i) => {
+        const min     = i ? BUCKETS[i - 1][2] : 0;
+        const members = i
+            ? timed.filter((v) => !v.isShort && v.durationSeconds >= min && v.durationSeconds < max)
+            : timed.filter((v) => v.isShort);
+        const views   = members.map((v) => normalized.get(v.videoId)).filter((n) => n !== null);
+        const raw     = members.reduce((s, v) => s + v.views, 0);
+        const reactions = members.reduce((s, v) => s + v.likes + v.comments, 0);
+        const watchSeconds = members.reduce((s, v) => s + (normalized.get(v.videoId) ?? 0) * v.durationSeconds * retention, 0);
+
+        return {
+            bucket: key,
+            label,
+            minSeconds: min,
+            maxSeconds: Number.isFinite(max) ? max : null,
+            videos: members.length,
+            medianViews: views.length ? median(views) : null,
+            engagementRate: raw > 0 ? r2((reactions / raw) * 100) : null,
+            estimatedAvgViewDurationSeconds: members.length
+                ? Math.round(median(members.map((v) => v.durationSeconds)) * retention)
+                : null,
+            estimatedWatchHours: Math.round(watchSeconds / 3600),
+        };
+    });
+
+    const totalWatch = buckets.reduce((s, b) => s + b.estimatedWatchHours, 0);
+    for (const b of buckets) b.watchTimeShare = totalWatch > 0 ? r2((b.estimatedWatchHours / totalWatch) * 100) : 0;
+
+    const eligible = buckets.filter((b) => b.videos >= MIN_BUCKET_VIDEOS && b.medianViews !== null);
+    const best     = pickBest(eligible);
+
+    return {
+        videosAnalyzed: timed.length,
+        medianDurationSeconds: timed.length ? median(timed.map((v) => v.durationSeconds)) : null,
+        buckets,
+        bestLengthRange: best,
+        // Shorts can't carry a dedicated sponsor video, so recommend among long-form lengths too
+        bestLongFormRange: pickBest(eligible.filter((b) => b.bucket !== 'under1')),
+        insights: durationInsights(eligible),
+        ...(eligible.length ? {} : { note: `No length has ${MIN_BUCKET_VIDEOS}+ videos to compare` }),
+    };
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/** Highest median views; ties go to the bucket with more videos */
+function pickBest(buckets) {
+    if (!buckets.length) return null;
+    const top = buckets.reduce((a, b) => (
+        b.medianViews > a.medianViews || (b.medianViews === a.medianViews && b.videos > a.videos) ? b : a
+    ));
+    return { bucket: top.bucket, label: top.label, medianViews: top.medianViews, videos: top.videos };
+}
+
+function durationInsights(buckets) {
+    if (buckets.length < 2) return [];
+
+    const ranked = [...buckets].sort((a, b) => b.medianViews - a.medianViews);
+    const top    = ranked[0];
+    const bottom = ranked[ranked.length - 1];
+    const insights = [];
+    if (bottom.medianViews > 0 && top.medianViews / bottom.medianViews >= INSIGHT_RATIO) {
+        insights.push(`${top.label} videos get ${r1(top.medianViews / bottom.medianViews)}× the median views of ${bottom.label} videos`);
+    }
+    const watch = [...buckets].sort((a, b) => b.watchTimeShare - a.watchTimeShare)[0];
+    if (watch !== top) {
+        insights.push(`${watch.label} videos earn the most watch time (${watch.watchTimeShare}% of the estimated total)`);
+    }
+    return insights;
+}
+
+function r1(n) { return Math.round(n * 10) / 10; }
+function r2(n) { return Math.round(n * 100) / 100; }
@@ -0,0 +1,146 @@
+/**
+ * Typed Errors
+ *
+ * Every failure the analyzer reports carries machine-readable fields so
+ * downstream tooling can decide what to do without parsing messages:
+ *
+ *   errorCode  — stable identifier, safe to switch on (never reworded)
+ *   retryable  — whether the same input may succeed on a later run
+ *   stage      — pipeline step that failed: input · discover · resolve · fetch_channel · fetch_videos · analyze
+ *
+ * Messages stay human-readable and may change; codes may not.
+ *
+ * © 2025 Creator Fusion LLC
+ */
+
+export const ERROR_CODES = {
+    QUOTA_EXCEEDED:      'QUOTA_EXCEEDED',
+    KEY_FORBIDDEN:       'KEY_FORBIDDEN',
+    API_ACCESS_DENIED:   'API_ACCESS_DENIED',
+    API_BAD_REQUEST:     'API_BAD_REQUEST',
+    API_NOT_FOUND:       'API_NOT_FOUND',
+    NETWORK_EXHAUSTED:   'NETWORK_EXHAUSTED',
+    INVALID_INPUT:       'INVALID_INPUT',
+    CHANNEL_NOT_FOUND:   'CHANNEL_NOT_FOUND',
+    NO_UPLOADS_PLAYLIST: 'NO_UPLOADS_PLAYLIST',
+    NO_VIDEOS:           'NO_VIDEOS',
+    UNEXPECTED_ERROR:    'UNEXPECTED_ERROR',
+};
+
+export class AnalyzerError extends Error {
+    /**
+     * @param {string} message
+     * @param {object} options
+     * @param {string} options.errorCode — one of ERROR_CODES
+     * @param {boolean} [options.retryable]
+     * @param {string | null} [options.stage] — filled in by the pipeline when the thrower can't know it
+     * @param {unknown} [options.cause]
+     */
+    constructor(message, { errorCode, retryable = false, stage = null, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name      = new.target.name;
+        this.errorCode = errorCode ?? ERROR_CODES.UNEXPECTED_ERROR;
+        this.retryable = retryable;
+        this.stage     = stage;
+    }
+
+    /** Fields written into failed dataset items. */
+    toJSON() {
+        return {
+            error: this.message,
+            errorCode: this.errorCode,
+            retryable: this.retryable,
+            stage: this.stage,
+        };
+    }
+}
+
+// ─── API errors ──────────────────────────────────────────────────────────────
+
+/** Daily quota spent on every available key — succeeds again after the Pacific-time reset. */
+export class QuotaExceededError extends AnalyzerError {
+    constructor(message) {
+        super(message, { errorCode: ERROR_CODES.QUOTA_EXCEEDED, retryable: true });
+    }
+}
+
+/** Key invalid or the YouTube Data API not enabled for its project. */
+export class KeyForbiddenError extends AnalyzerError {
+    constructor(message) {
+        super(message, { errorCode: ERROR_CODES.KEY_FORBIDDEN });
+    }
+}
+
+/** Any other non-retryable API rejection (400, 403, 404). */
+export class ApiError extends AnalyzerError {
+    /**
+     * @param {string} message
+     * @param {string} errorCode — API_BAD_REQUEST · API_ACCESS_DENIED · API_NOT_FOUND
+     * @param {number} statusCode
+     */
+    constructor(message, errorCode, statusCode) {
+        super(message, { errorCode });
+        this.statusCode = statusCode;
+    }
+}
+
+/** Transient failures (429, 5xx, network) that outlasted every retry. */
+export class NetworkExhaustedError extends AnalyzerError {
+    /**
+     * @param {string} message
+     * @param {number | null} statusCode — last HTTP status, null for network-level failures
+     */
+    constructor(message, statusCode) {
+        super(message, { errorCode: ERROR_CODES.NETWORK_EXHAUSTED, retryable: true });
+        this.statusCode = statusCode;
+    }
+}
+
+// ─── Pipeline errors ─────────────────────────────────────────────────────────
+
+export class InvalidInputError extends AnalyzerError {
+    constructor(message, stage = 'input') {
+        super(message, { errorCode: ERROR_CODES.INVALID_INPUT, stage });
+    }
+}
+
+export class ChannelNotFoundError extends AnalyzerError {
+    constructor(message, stage = 'fetch_channel') {
+        super(message, { errorCode: ERROR_CODES.CHANNEL_NOT_FOUND, stage });
+    }
+}
+
+export class NoUploadsPlaylistError extends AnalyzerError {
+    constructor(message) {
+        super(message, { errorCode: ERROR_CODES.NO_UPLOADS_PLAYLIST, stage: 'fetch_videos' });
+    }
+}
+
+export class NoVideosError extends AnalyzerError {
+    constructor(message) {
+        super(message, { errorCode: ERROR_CODES.NO_VIDEOS, stage: 'fetch_videos' });
+    }
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/**
+ * Normalise anything thrown into an AnalyzerError, stamping the pipeline
+ * stage on errors raised below the pipeline (e.g. by the API client).
+ *
+ * @param {unknown} error
+ * @param {string} stage
+ * @returns {AnalyzerError}
+ */
+export function toAnalyzerError(error, stage) {
+    if (error instanceof AnalyzerError) {
+        error.stage ??= stage;
+        return error;
+    }
+    return new AnalyzerError(error?.message ?? String(error), {
+        errorCode: ERROR_CODES.UNEXPECTED_ERROR,
+        retryable: error?.retryable ?? false,
+        stage,
+        cause: error,
+    });
+}
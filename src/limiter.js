@@ -0,0 +1,92 @@
+/**
+ * Concurrency & Rate Limiting
+ *
+ * Two small primitives for running the channel pipeline in parallel without
+ * tripping YouTube's rate limits:
+ *
+ *   - RateLimiter        — spaces API requests to a max per second, shared by
+ *                          every worker, with a global pause for 429 backoff
+ *   - runWithConcurrency — runs an async worker over a list with at most N
+ *                          in flight, returning results in input order
+ *
+ * © 2025 Creator Fusion LLC
+ */
+
+export class RateLimiter {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.maxPerSecond] — request ceiling shared by all callers
+     * @param {() => number} [options.now] — clock, injectable for tests
+     * @param {(ms: number) => Promise<void>} [options.sleep] — injectable for tests
+     */
+    constructor({ maxPerSecond = 10, now = Date.now, sleep = defaultSleep } = {}) {
+        if (!(maxPerSecond > 0)) throw new Error('RateLimiter maxPerSecond must be a positive number.');
+        this.interval    = 1000 / maxPerSecond;
+        this.now         = now;
+        this.sleep       = sleep;
+        this.nextSlot    = 0;
+        this.pausedUntil = 0;
+        this.backoffCount = 0;
+    }
+
+    /**
+     * Resolve when the caller may send its next request.
+     * Re-checks after every wait so a backoff issued meanwhile is honoured.
+     */
+    async acquire() {
+        for (;;) {
+            const now   = this.now();
+            const start = Math.max(now, this.nextSlot, this.pausedUntil);
+            if (start <= now) {
+                this.nextSlot = now + this.interval;
+                return;
+            }
+            await this.sleep(start - now);
+        }
+    }
+
+    /**
+     * Pause ALL callers for `ms` — used when the API answers 429, since the
+     * limit applies to the key, not to the request that happened to hit it.
+     *
+     * @param {number} ms
+     */
+    backoff(ms) {
+        this.pausedUntil = Math.max(this.pausedUntil, this.now() + ms);
+        this.backoffCount++;
+    }
+}
+
+/**
+ * Run `worker` over `items` with at most `concurrency` calls in flight.
+ * Results keep input order. The worker is responsible for its own error
+ * isolation — a rejection rejects the whole run, like Promise.all.
+ *
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} concurrency
+ * @param {(item: T, index: number) => Promise<R>} worker
+ * @returns {Promise<R[]>}
+ */
+export async function runWithConcurrency(items, concurrency, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function lane() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    }
+
+    const lanes = Math.max(1, Math.min(concurrency, items.length));
+    await Promise.all(Array.from({ length: lanes }, lane));
+    return results;
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/** @param {number} ms */
+function defaultSleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
@@ -2,6 +2,7 @@
  * YouTube Creator Analyzer — Main Entry Point
  *
  * Orchestrates the full analysis pipeline per channel:
+ *   0. (Optional) Discover candidate channels from keywords via search
  *   1. Resolve channel input → channel ID
  *   2. Fetch channel details + recent videos
  *   3. Compute engagement analytics + Creator Fusion Score™
@@ -11,22 +12,39 @@
  *   7. Push structured result to Apify dataset
  *
  * Each channel is processed independently — one failure doesn't stop the batch.
+ * The per-channel pipeline itself lives in pipeline.js.
+ * Progress is checkpointed so a migrated or resurrected run resumes without
+ * re-pushing channels it already emitted.
  *
  * © 2025 Creator Fusion LLC
  */
 
 import { Actor, log } from 'apify';
-import { YouTubeClient } from './youtube-api.js';
-import {
-    parseVideos,
-    analyzeVideos,
-    calculateCreatorFusionScore,
-    generatePartnershipInsights,
-    classifyAudienceTier,
-} from './analytics.js';
-import { detectSponsorships } from './sponsorship.js';
-import { analyzeAuthenticity } from './authenticity.js';
-import { generateRateCard } from './rate-card.js';
+import { YouTubeClient, estimateChannelCost, estimateQuotaCost, parseChannelInput } from './youtube-api.js';
+import { createTransport } from './transport.js';
+import { ResponseCache } from './cache.js';
+import { RateLimiter, runWithConcurrency } from './limiter.js';
+import { QuotaBudget, QuotaLedger } from './quota.js';
+import { RunCheckpoint } from './checkpoint.js';
+import { processChannel } from './pipeline.js';
+import { discoverChannels } from './discovery.js';
+import { DEFAULT_MIN_AGE_DAYS, IMMATURE_HANDLING } from './maturity.js';
+import { OUTLIER_METHODS, VALUATION_AVERAGES } from './distribution.js';
+import { resolveScoringProfile } from './scoring-profiles.js';
+import { validateTimeZone } from './schedule.js';
+import { DEFAULT_DORMANT_PENALTY } from './activity.js';
+import { resolveLexicon } from './brand-safety.js';
+import { loadBrandRegistry } from './brand-registry.js';
+import { DEFAULT_EXCLUSIVITY_WINDOW_DAYS, resolveConflictCheck } from './conflicts.js';
+import { benchmarkRecord, computeBenchmarks } from './benchmarks.js';
+import { InvalidInputError, toAnalyzerError } from './errors.js';
+
+const RESPONSE_CACHE_STORE = 'youtube-response-cache';
+const QUOTA_LEDGER_STORE   = 'youtube-quota-ledger';
+/** Default-store record holding discovered channels, reused when the run resumes */
+const DISCOVERY_KEY        = 'DISCOVERY';
+/** Default-store record with batch peer-group statistics and every channel's ranks */
+const BENCHMARKS_KEY       = 'BENCHMARKS';
 
 await Actor.init();
 
@@ -34,43 +52,271 @@ try {
     // ── Validate input ───────────────────────────────────────────────────────
     const input = await Actor.getInput();
 
-    if (!input?.apiKey) {
-        throw new Error(
-            'Missing required input: apiKey. '
+    const transportMode = input?.transportMode ?? 'live';
+    const fixturesDir   = input?.fixturesDir ?? './fixtures';
+
+    // apiKey and apiKeys are merged into one pool, single key first
+    const apiKeys = [input?.apiKey, ...(input?.apiKeys ?? [])]
+        .filter((k) => typeof k === 'string' && k.trim());
+
+    // Replay never touches the network and fixtures are key-scrubbed,
+    // so any placeholder key works offline
+    if (!apiKeys.length && transportMode !== 'replay') {
+        throw new InvalidInputError(
+            'Missing required input: apiKey or apiKeys. '
             + 'Get a free YouTube Data API v3 key at https://console.cloud.google.com/apis/library/youtube.googleapis.com',
         );
     }
 
-    const channels = input.channels ?? [];
-    if (!channels.length) {
-        throw new Error('Missing required input: channels. Provide at least one channel URL, @handle, or channel ID.');
+    const inputChannels     = input?.channels ?? [];
+    const discoveryKeywords = (input?.discoveryKeywords ?? []).filter((k) => typeof k === 'string' && k.trim());
+    if (!inputChannels.length && !discoveryKeywords.length) {
+        throw new InvalidInputError(
+            'Missing required input: channels or discoveryKeywords. '
+            + 'Provide at least one channel URL, @handle, or channel ID, or keywords to discover channels by.',
+        );
     }
 
     const videosPerChannel            = Math.min(Math.max(input.videosPerChannel ?? 30, 5), 200);
     const enableSponsorshipDetection  = input.enableSponsorshipDetection !== false;
     const enableAuthenticityCheck     = input.enableAuthenticityCheck !== false;
     const enableRateCard              = input.enableRateCard !== false;
+    const enableBrandSafety           = input.enableBrandSafety !== false;
+    const enableBenchmarks            = input.enableBenchmarks !== false;
     const minSubscribers              = input.minSubscribers ?? 0;
     const minEngagementRate           = input.minEngagementRate ?? 0;
+    const minVideoAgeDays             = Math.min(Math.max(input.minVideoAgeDays ?? DEFAULT_MIN_AGE_DAYS, 0), 30);
+    const immatureVideoHandling       = IMMATURE_HANDLING.includes(input.immatureVideoHandling)
+        ? input.immatureVideoHandling
+        : 'project';
+    const enableMomentumModifier      = input.enableMomentumModifier === true;
+    const dormantScorePenalty         = Math.min(Math.max(input.dormantScorePenalty ?? DEFAULT_DORMANT_PENALTY, 0), 50);
+    const outlierMethod               = OUTLIER_METHODS.includes(input.outlierMethod) ? input.outlierMethod : 'iqr';
+    const valuationAverage            = VALUATION_AVERAGES.includes(input.valuationAverage)
+        ? input.valuationAverage
+        : 'mean';
+    const maxConcurrency              = Math.min(Math.max(input.maxConcurrency ?? 1, 1), 20);
+    const maxRequestsPerSecond        = Math.min(Math.max(input.maxRequestsPerSecond ?? 10, 1), 50);
+    const maxQuotaUnits               = input.maxQuotaUnits > 0 ? input.maxQuotaUnits : null;
+    // Cached responses would never reach the recorder, and replay is already offline
+    const enableResponseCache         = input.enableResponseCache !== false && transportMode === 'live';
+    // Discovery spend also counts against maxQuotaUnits, so never plan past it
+    const discoveryMaxQuotaUnits      = Math.min(
+        Math.max(input.discoveryMaxQuotaUnits ?? 500, 0),
+        maxQuotaUnits ?? Infinity,
+    );
+    const discoveryMaxChannels        = Math.min(Math.max(input.discoveryMaxChannels ?? 50, 1), 500);
+    const scheduleTimezone            = input.scheduleTimezone?.trim()
+        ? validateTimeZone(input.scheduleTimezone.trim())
+        : null;
+    // Validated before any quota is spent — a bad profile fails the run here
+    const scoringProfile              = resolveScoringProfile(
+        input.scoringProfile || 'default',
+        input.customScoringProfiles ?? [],
+    );
+    const brandSafetyLexicon          = enableBrandSafety ? resolveLexicon(input.brandSafetyLexicon ?? {}) : null;
+    const brandRegistry               = loadBrandRegistry(input.brandRegistry ?? {});
+    const conflictCheck               = resolveConflictCheck({
+        targetBrand: input.targetBrand,
+        competitors: input.competitorBrands ?? [],
+        competitorCategory: input.competitorCategory,
+        windowDays: Math.min(Math.max(input.exclusivityWindowDays ?? DEFAULT_EXCLUSIVITY_WINDOW_DAYS, 1), 730),
+    }, brandRegistry);
+    if (conflictCheck && !enableSponsorshipDetection) {
+        throw new InvalidInputError(
+            'The competitor conflict check reads sponsorship detection results — enable enableSponsorshipDetection or remove targetBrand.',
+        );
+    }
 
     log.info('Starting YouTube Creator Analyzer', {
-        channelCount: channels.length,
+        channelCount: inputChannels.length,
+        discoveryKeywords: discoveryKeywords.length || undefined,
         videosPerChannel,
+        apiKeyCount: apiKeys.length,
+        maxConcurrency,
+        maxRequestsPerSecond,
+        maxQuotaUnits,
+        transportMode,
+        scoringProfile: `${scoringProfile.name} v${scoringProfile.version}`,
+        brandRegistry: `v${brandRegistry.version} (+${brandRegistry.custom.brands} brands, +${brandRegistry.custom.networks} networks)`,
+        conflictCheck: conflictCheck
+            ? `${conflictCheck.targetBrand} vs ${conflictCheck.competitors.length} competitors, ${conflictCheck.exclusivityWindowDays}-day window`
+            : undefined,
         features: {
             sponsorship: enableSponsorshipDetection,
             authenticity: enableAuthenticityCheck,
             rateCard: enableRateCard,
+            brandSafety: enableBrandSafety,
+            benchmarks: enableBenchmarks,
+            responseCache: enableResponseCache,
+            momentumModifier: enableMomentumModifier,
         },
     });
 
-    const client = new YouTubeClient(input.apiKey);
+    // Named store so cached responses survive across runs
+    const cache = enableResponseCache
+        ? new ResponseCache(await Actor.openKeyValueStore(RESPONSE_CACHE_STORE), {
+            ttls: hoursToMs(input.cacheTtlHours ?? {}),
+        })
+        : null;
+
+    const client = new YouTubeClient(apiKeys.length ? apiKeys : 'replay', {
+        transport: createTransport({ mode: transportMode, fixturesDir }),
+        cache,
+        limiter: new RateLimiter({ maxPerSecond: maxRequestsPerSecond }),
+        // Replay spends no real quota, so it must not touch the shared ledger
+        ledger: transportMode === 'replay'
+            ? null
+            : new QuotaLedger(await Actor.openKeyValueStore(QUOTA_LEDGER_STORE)),
+    });
+    await client.init();
+
+    // ── Discover channels ────────────────────────────────────────────────────
+    let discovery = null;
+    if (discoveryKeywords.length) {
+        const discoveryConfig = {
+            keywords: discoveryKeywords,
+            regionCode: input.discoveryRegion?.trim().toUpperCase() || undefined,
+            relevanceLanguage: input.discoveryLanguage?.trim().toLowerCase() || undefined,
+            maxSearchUnits: discoveryMaxQuotaUnits,
+            maxChannels: discoveryMaxChannels,
+        };
+
+        // A resumed run must analyze the same candidates — searching again
+        // would cost quota and could return a different list
+        const saved = await Actor.getValue(DISCOVERY_KEY);
+        if (saved && JSON.stringify(saved.config) === JSON.stringify(discoveryConfig)) {
+            discovery = saved;
+            log.info(`Reusing ${discovery.channels.length} channels discovered before the restart.`);
+        } else {
+            const explicitIds = inputChannels
+                .map(parseChannelInput)
+                .filter((p) => p?.kind === 'channelId')
+                .map((p) => p.value);
+
+            discovery = {
+                config: discoveryConfig,
+                ...await discoverChannels(client, { ...discoveryConfig, exclude: explicitIds }),
+            };
+            await Actor.setValue(DISCOVERY_KEY, discovery);
+
+            log.info(`Discovered ${discovery.channels.length} candidate channels.`, {
+                searches: discovery.searches.length,
+                quotaUsed: discovery.quotaUsed,
+                stoppedBy: discovery.stoppedBy,
+            });
+            if (discovery.error) {
+                log.warning(`Discovery stopped early: [${discovery.error.errorCode}] ${discovery.error.error}`);
+            }
+        }
+    }
+
+    // Explicit inputs first, then discovered candidates as channel IDs
+    const channels = [...inputChannels, ...(discovery?.channels.map((c) => c.channelId) ?? [])];
+    /** @type {Map<number, string[]>} input index → keywords that found the channel */
+    const discoveredBy = new Map(
+        (discovery?.channels ?? []).map((c, i) => [inputChannels.length + i, c.keywords]),
+    );
+
+    // ── Resume from checkpoint ───────────────────────────────────────────────
+    // Lives in the default store, which survives migrations and resurrection
+    const checkpoint = new RunCheckpoint(await Actor.openKeyValueStore(), channels);
+    if (await checkpoint.load()) {
+        log.info(`Resuming from checkpoint — ${checkpoint.completed.size}/${channels.length} channels already done.`, {
+            ...checkpoint.counts,
+            quotaUsedBeforeResume: checkpoint.priorQuotaUsed,
+        });
+    }
+
+    // ── Pre-flight quota estimate ────────────────────────────────────────────
+    const remainingChannels = channels.filter((_, i) => !checkpoint.isDone(i));
+    const estimate = estimateQuotaCost(remainingChannels, videosPerChannel);
+
+    client.unitsPerChannel = estimate.avgUnitsPerChannel;
+    // The budget covers the whole run, including attempts before a restart
+    const budget = new QuotaBudget(maxQuotaUnits, () => checkpoint.priorQuotaUsed + client.quotaUsed);
+
+    log.info('Pre-flight quota estimate', {
+        usedTodayBeforeRun: client.getQuotaStats().quotaUsedToday - client.quotaUsed,
+        spentOnDiscovery: client.quotaUsed || undefined,
+        expectedUnits: estimate.expectedUnits,
+        worstCaseUnits: estimate.maxUnits,
+        unitsPerChannel: estimate.avgUnitsPerChannel,
+        budget: maxQuotaUnits ?? 'unlimited',
+    });
+
+    if (maxQuotaUnits !== null && estimate.expectedUnits > budget.getStats().remaining) {
+        log.warning(
+            `Estimated cost (${estimate.expectedUnits} units) exceeds what's left of maxQuotaUnits `
+            + `(${budget.getStats().remaining} of ${maxQuotaUnits}). `
+            + 'Channels that don\'t fit will be deferred and listed in the SUMMARY record.',
+        );
+    }
+
+    if (estimate.expectedUnits > client.getQuotaStats().estimatedRemaining) {
+        log.warning(
+            `Estimated cost (${estimate.expectedUnits} units) exceeds the quota left today `
+            + `(${client.getQuotaStats().estimatedRemaining} units across ${client.keys.length} key(s)).`,
+        );
+    }
+
+    // ── Checkpoint events ────────────────────────────────────────────────────
+    let stopping = false;
+    const pendingPushes = new Set();
+
+    const saveCheckpoint = () => checkpoint.save({ quotaUsed: client.quotaUsed });
+
+    // On migration/abort: stop starting channels, let in-flight pushes land
+    // and get recorded, then save — the resumed run skips exactly those
+    const stopAndSave = async () => {
+        stopping = true;
+        await Promise.allSettled(pendingPushes);
+        await saveCheckpoint();
+        log.info(`Checkpoint saved — ${checkpoint.completed.size}/${channels.length} channels done.`);
+    };
+
+    Actor.on('persistState', saveCheckpoint);
+    Actor.on('migrating', stopAndSave);
+    Actor.on('aborting', stopAndSave);
+
+    // The ledger batches its writes — get today's usage into the store before a restart
+    if (client.ledger) {
+        const flushLedger = () => client.ledger.flush();
+        Actor.on('persistState', flushLedger);
+        Actor.on('migrating', flushLedger);
+        Actor.on('aborting', flushLedger);
+    }
+
+    /**
+     * Push a dataset item and record the channel as done in one tracked step.
+     * @param {number} index
+     * @param {object} item
+     * @param {'processed' | 'failed'} outcome
+     */
+    const emit = (index, item, outcome) => {
+        // Only the fields ranks need are kept, so benchmarking never reads the dataset back
+        const benchmark = enableBenchmarks && outcome === 'processed' ? benchmarkRecord(item, { valuationAverage }) : null;
+        const push = Actor.pushData(item)
+            .then(() => checkpoint.complete(index, outcome, item.channelId ?? null, item.errorCode ?? null, benchmark));
+        pendingPushes.add(push);
+        return push.finally(() => pendingPushes.delete(push));
+    };
 
     // ── Process each channel ─────────────────────────────────────────────────
-    let processed = 0;
-    let skipped   = 0;
-    let failed    = 0;
+    const deferred = [];   // input indices
+
+    // Each worker isolates its own failures, so one channel never stops the batch
+    await runWithConcurrency(channels, maxConcurrency, async (channelInput, index) => {
+        // Already emitted before a restart, or the run is shutting down
+        if (checkpoint.isDone(index) || stopping) return;
+
+        // Reserve the worst case up front so parallel channels can't overshoot the budget
+        const { max: reservation } = estimateChannelCost(channelInput, videosPerChannel);
+        if (!budget.tryReserve(reservation)) {
+            deferred.push(index);
+            return;
+        }
 
-    for (const channelInput of channels) {
         try {
             const result = await processChannel(client, channelInput, {
                 videosPerChannel,
@@ -79,43 +325,89 @@ try {
                 enableRateCard,
                 minSubscribers,
                 minEngagementRate,
+                minVideoAgeDays,
+                immatureVideoHandling,
+                enableMomentumModifier,
+                outlierMethod,
+                valuationAverage,
+                scoringProfile,
+                scheduleTimezone,
+                dormantScorePenalty,
+                brandSafetyLexicon,
+                brandRegistry,
+                conflictCheck,
             });
 
+            // Results finished after the checkpoint was saved are redone on resume
+            if (stopping) return;
+
             if (result === null) {
-                skipped++;
-                continue;
+                checkpoint.complete(index, 'skipped');
+                return;
             }
 
-            await Actor.pushData(result);
-            processed++;
+            await emit(index, discoveredBy.has(index)
+                ? { ...result, discovery: { keywords: discoveredBy.get(index) } }
+                : result, 'processed');
 
             log.info(`✓ ${result.channelName} — CF Score: ${result.creatorFusionScore.score} (${result.creatorFusionScore.grade})`, {
                 tier: result.creatorFusionScore.tier,
                 engagement: `${result.analytics.engagementRate}%`,
             });
-        } catch (error) {
-            failed++;
-            log.warning(`✗ Failed to process "${channelInput}": ${error.message}`);
-
-            // Push error entry so the user knows which channels failed
-            await Actor.pushData({
+        } catch (err) {
+            if (stopping) return;
+            // processChannel already throws typed errors; this also covers anything after it
+            const error = toAnalyzerError(err, 'analyze');
+            log.warning(`✗ Failed to process "${channelInput}": [${error.errorCode}] ${error.message}`);
+
+            // Push error entry so the user knows which channels failed and why
+            await emit(index, {
                 channelInput,
-                error: error.message,
+                ...error.toJSON(),
                 status: 'failed',
-            });
+            }, 'failed');
+        } finally {
+            budget.release(reservation);
         }
+    });
+
+    if (deferred.length) {
+        log.warning(`Quota budget reached — deferred ${deferred.length} channel(s) to a later run.`);
+    }
+
+    // ── Batch benchmarks ─────────────────────────────────────────────────────
+    // Ranks need every result, so they're computed once the batch is done —
+    // from the checkpoint's records, so channels emitted before a restart count too
+    let benchmarks = null;
+    if (enableBenchmarks && !stopping) {
+        benchmarks = computeBenchmarks(checkpoint.benchmarkRecords());
+        // Dataset items can't be updated once pushed; ranks are joined on channelId
+        await Actor.setValue(BENCHMARKS_KEY, { generatedAt: new Date().toISOString(), ...benchmarks });
+
+        log.info(`Ranked ${benchmarks.channels} channels against the batch — see the ${BENCHMARKS_KEY} record.`);
     }
 
     // ── Summary ──────────────────────────────────────────────────────────────
+    await client.ledger?.flush();
+    // A stopping run stays resumable; a completed one must not be resumed again
+    await checkpoint.save({ quotaUsed: client.quotaUsed, finished: !stopping });
     const quota = client.getQuotaStats();
+    const { processed, skipped, failed } = checkpoint.counts;
+    const errorsByCode = checkpoint.errorCounts();
 
     log.info('Analysis complete', {
         processed,
         skipped,
         failed,
+        deferred: deferred.length,
         total: channels.length,
+        errorsByCode,
         quotaUsed: quota.quotaUsed,
         quotaRemaining: quota.estimatedRemaining,
+        cacheHits: quota.cache?.hits ?? 0,
+        quotaSavedByCache: quota.cache?.quotaSaved ?? 0,
+        rateLimitBackoffs: client.limiter.backoffCount,
+        quotaByKey: quota.keys.map((k) => `${k.key}: ${k.quotaUsed}${k.exhausted ? ' (exhausted)' : ''}`),
     });
 
     // Store summary as a named KV entry for easy access
@@ -123,155 +415,51 @@ try {
         processedChannels: processed,
         skippedChannels: skipped,
         failedChannels: failed,
+        errorsByCode,
+        deferredChannels: deferred.length,
         totalChannels: channels.length,
+        scoringProfile: { name: scoringProfile.name, version: scoringProfile.version },
+        brandRegistry: { version: brandRegistry.version, ...brandRegistry.custom },
+        benchmarkedChannels: benchmarks?.channels ?? null,
+        conflictCheck,
+        discovery: discovery && {
+            keywords: discovery.config.keywords,
+            regionCode: discovery.config.regionCode ?? null,
+            relevanceLanguage: discovery.config.relevanceLanguage ?? null,
+            channelsFound: discovery.channels.length,
+            searches: discovery.searches.length,
+            quotaUsed: discovery.quotaUsed,
+            stoppedBy: discovery.stoppedBy,
+            error: discovery.error,
+        },
+        // Input order, so the list can be pasted straight into the next run
+        deferredChannelInputs: deferred.sort((a, b) => a - b).map((i) => channels[i]),
+        resumedFromCheckpoint: checkpoint.resumed,
+        quotaUsedBeforeResume: checkpoint.priorQuotaUsed,
+        quotaEstimate: estimate,
+        quotaBudget: budget.getStats(),
         quota,
     });
 } catch (error) {
-    log.error(`Fatal error: ${error.message}`);
+    log.error(`Fatal error: ${error.message}`, error.errorCode ? { errorCode: error.errorCode } : undefined);
     throw error;
 } finally {
     await Actor.exit();
 }
 
-// ─── Channel processing pipeline ─────────────────────────────────────────────
+// ─── Helpers ─────────────────────────────────────────────────────────────────
 
 /**
- * Full analysis pipeline for a single channel.
- * Returns null if the channel should be skipped (filters), or the result object.
+ * Convert user-facing TTL overrides (hours) to the cache's milliseconds,
+ * dropping anything that isn't a non-negative number.
  *
- * @param {YouTubeClient} client
- * @param {string} channelInput
- * @param {object} options
- * @returns {Promise<object | null>}
+ * @param {Record<string, number>} ttlHours
+ * @returns {Record<string, number>}
  */
-async function processChannel(client, channelInput, options) {
-    const {
-        videosPerChannel,
-        enableSponsorshipDetection,
-        enableAuthenticityCheck,
-        enableRateCard,
-        minSubscribers,
-        minEngagementRate,
-    } = options;
-
-    // 1. Resolve channel ID
-    log.info(`Resolving channel: ${channelInput}`);
-    const channelId = await client.resolveChannelId(channelInput);
-
-    if (!channelId) {
-        throw new Error(`Could not resolve channel ID for "${channelInput}". Check the URL, @handle, or channel ID.`);
-    }
-
-    // 2. Fetch channel details
-    const channelData = await client.getChannel(channelId);
-    if (!channelData) {
-        throw new Error(`Channel ${channelId} not found or is private.`);
-    }
-
-    const channelName  = channelData.snippet?.title ?? 'Unknown';
-    const subscribers  = parseInt(channelData.statistics?.subscriberCount ?? '0', 10);
-    const hiddenSubs   = channelData.statistics?.hiddenSubscriberCount === true;
-
-    // 3. Apply subscriber filter
-    if (minSubscribers > 0 && (hiddenSubs || subscribers < minSubscribers)) {
-        log.info(`Skipping ${channelName} — ${hiddenSubs ? 'hidden subscriber count' : `${subscribers} subscribers`} (min: ${minSubscribers})`);
-        return null;
-    }
-
-    // 4. Fetch recent videos
-    const uploadsPlaylistId = channelData.contentDetails?.relatedPlaylists?.uploads;
-    if (!uploadsPlaylistId) {
-        throw new Error(`${channelName}: Could not find uploads playlist. Channel may have no public videos.`);
-    }
-
-    const videoIds = await client.getRecentVideoIds(uploadsPlaylistId, videosPerChannel);
-    if (!videoIds.length) {
-        throw new Error(`${channelName}: No videos found in uploads playlist.`);
-    }
-
-    const rawVideos = await client.getVideoDetails(videoIds.map((v) => v.videoId));
-    const parsed    = parseVideos(rawVideos);
-
-    if (!parsed.length) {
-        throw new Error(`${channelName}: All videos had invalid data.`);
-    }
-
-    // 5. Core analytics
-    const analytics         = analyzeVideos(parsed, subscribers);
-    const creatorFusionScore = calculateCreatorFusionScore(analytics, channelData.statistics);
-    const partnership       = generatePartnershipInsights(analytics, channelData, creatorFusionScore);
-
-    // 6. Apply engagement rate filter
-    if (minEngagementRate > 0 && analytics.engagementRate < minEngagementRate) {
-        log.info(`Skipping ${channelName} — engagement ${analytics.engagementRate}% (min: ${minEngagementRate}%)`);
-        return null;
-    }
-
-    // 7. Optional: Sponsorship detection
-    let sponsorship = null;
-    if (enableSponsorshipDetection) {
-        sponsorship = detectSponsorships(parsed);
-    }
-
-    // 8. Optional: Authenticity check
-    let authenticity = null;
-    if (enableAuthenticityCheck) {
-        const result = analyzeAuthenticity(parsed, channelData.statistics);
-        // Only include authenticity data when a score was computed;
-        // null score means insufficient data — omit from output
-        authenticity = result.score !== null ? result : null;
-    }
-
-    // 9. Optional: Rate card
-    let rateCard = null;
-    if (enableRateCard) {
-        rateCard = generateRateCard({
-            avgViews: analytics.avgViews,
-            subscribers,
-            tier: creatorFusionScore.tier,
-            engagementRate: analytics.engagementRate,
-            creatorFusionScore: creatorFusionScore.score,
-            contentCategories: partnership.contentCategories,
-            sponsorship,
-        });
-    }
-
-    // 10. Assemble result
-    return {
-        status: 'success',
-        channelId,
-        channelName,
-        channelUrl: `https://youtube.com/channel/${channelId}`,
-        handle: channelData.snippet?.customUrl ?? null,
-        description: truncate(channelData.snippet?.description ?? '', 500),
-        country: channelData.snippet?.country ?? null,
-        subscriberCount: subscribers,
-        hiddenSubscriberCount: hiddenSubs,
-        totalViews: parseInt(channelData.statistics?.viewCount ?? '0', 10),
-        totalVideos: parseInt(channelData.statistics?.videoCount ?? '0', 10),
-        joinedDate: channelData.snippet?.publishedAt?.split('T')[0] ?? null,
-        thumbnailUrl: channelData.snippet?.thumbnails?.medium?.url ?? null,
-
-        creatorFusionScore,
-        analytics: {
-            ...analytics,
-            // Omit the full video array from the top-level output to keep it clean
-            videos: undefined,
-        },
-        partnership,
-
-        ...(sponsorship  ? { sponsorship }  : {}),
-        ...(authenticity ? { authenticity } : {}),
-        ...(rateCard     ? { rateCard }     : {}),
-
-        analyzedAt: new Date().toISOString(),
-        quotaSnapshot: client.getQuotaStats(),
-    };
-}
-
-// ─── Helpers ─────────────────────────────────────────────────────────────────
-
-function truncate(str, maxLen) {
-    if (str.length <= maxLen) return str;
-    return str.substring(0, maxLen - 3) + '...';
+function hoursToMs(ttlHours) {
+    return Object.fromEntries(
+        Object.entries(ttlHours)
+            .filter(([, h]) => typeof h === 'number' && h >= 0)
+            .map(([kind, h]) => [kind, h * 3_600_000]),
+    );
 }
@@ -0,0 +1,94 @@
+/**
+ * View Maturity Model
+ *
+ * A video's view count depends on how long it has been public: a video
+ * posted this morning has a fraction of the views it will have in a month.
+ * Averaging raw counts therefore undervalues creators who upload often.
+ *
+ * This module normalizes every video to a standard age — its 30-day
+ * equivalent views — using a typical accrual curve, and flags videos too
+ * young for a projection to be trusted. Those immature videos are either
+ * projected anyway (flagged) or excluded from the normalized figures.
+ * Videos 30 days or older keep their views: normalization only ever
+ * projects young videos up, never discounts a channel's back catalogue.
+ *
+ * The curve is a heuristic of typical YouTube accrual, not a per-channel
+ * fit; it describes most channels well enough to stop new uploads from
+ * dragging averages down.
+ *
+ * © 2025 Creator Fusion LLC
+ */
+
+/** Age every video is normalized to */
+export const STANDARD_AGE_DAYS = 30;
+
+/** Default age below which a video counts as immature */
+export const DEFAULT_MIN_AGE_DAYS = 7;
+
+export const IMMATURE_HANDLING = ['project', 'exclude'];
+
+/**
+ * Share of its 30-day views a typical video has at a given age (days).
+ * Linear between breakpoints, flat at 1 from 30 days on.
+ */
+const ACCRUAL_CURVE = [
+    [0,   0],
+    [1,   0.35],
+    [2,   0.5],
+    [3,   0.6],
+    [7,   0.78],
+    [14,  0.9],
+    [30,  1],
+];
+
+/** Never scale a video's views up more than this — very young counts are noise */
+const MAX_PROJECTION = 5;
+
+const DAY_MS = 86_400_000;
+
+/**
+ * Share of 30-day views accrued at `ageDays`.
+ *
+ * @param {number} ageDays
+ * @returns {number}
+ */
+export function accrualFraction(ageDays) {
+    if (ageDays <= 0) return 0;
+    for (let i = 1; i < ACCRUAL_CURVE.length; i++) {
+        const [x1, y1] = ACCRUAL_CURVE[i];
+        if (ageDays <= x1) {
+            const [x0, y0] = ACCRUAL_CURVE[i - 1];
+            return y0 + ((ageDays - x0) / (x1 - x0)) * (y1 - y0);
+        }
+    }
+    return ACCRUAL_CURVE[ACCRUAL_CURVE.length - 1][1];
+}
+
+/**
+ * Normalize each video's views to its 30-day equivalent.
+ *
+ * @param {Array<{ videoId: string, views: number, publishedAt: Date }>} videos
+ * @param {object} [options]
+ * @param {number} [options.minAgeDays] — younger videos are flagged immature
+ * @param {'project' | 'exclude'} [options.handling] — what to do with immature videos
+ * @param {number} [options.now] — clock, injectable for tests
+ * @returns {Array<{ video: object, ageDays: number, immature: boolean, normalizedViews: number | null }>}
+ *   normalizedViews is null for excluded videos
+ */
+export function normalizeViews(videos, {
+    minAgeDays = DEFAULT_MIN_AGE_DAYS,
+    handling = 'project',
+    now = Date.now(),
+} = {}) {
+    return videos.map((video) => {
+        const ageDays  = Math.max(0, (now - video.publishedAt.getTime()) / DAY_MS);
+        const immature = ageDays < minAgeDays;
+
+        if (immature && handling === 'exclude') {
+            return { video, ageDays, immature, normalizedViews: null };
+        }
+
+        const fraction = Math.max(accrualFraction(ageDays), 1 / MAX_PROJECTION);
+        return { video, ageDays, immature, normalizedViews: Math.round(video.views / fraction) };
+    });
+}
@@ -0,0 +1,180 @@
+/**
+ * Growth Momentum
+ *
+ * Compares a channel's recent uploads with its earlier ones to tell a
+ * channel on the rise from one in decline — the rest of the analytics are
+ * averages over the whole window and can't see direction.
+ *
+ * Videos are split two ways, since either alone can mislead:
+ *   byCount — newest half vs. oldest half of the sample
+ *   byDate  — second half vs. first half of the sampled period
+ *
+ * Each split compares median views, engagement, and cadence. A log-linear
+ * fit of views over time gives the overall slope. Views are 30-day
+ * equivalents (see maturity.js), otherwise this week's uploads would make
+ * every active channel look like it's declining.
+ *
+ * © 2025 Creator Fusion LLC
+ */
+
+import { normalizeViews } from './maturity.js';
+import { median } from './distribution.js';
+
+/** Fewest usable videos for a momentum read */
+const MIN_VIDEOS = 6;
+
+/** Fewest videos per window for a split to be reported */
+const MIN_WINDOW_VIDEOS = 2;
+
+/** Slope (views change per 30 days, %) beyond which a channel is growing or declining */
+const TREND_THRESHOLD_PCT = 10;
+
+/** Cap on the optional score modifier, in points */
+const MAX_MODIFIER = 5;
+
+const DAY_MS = 86_400_000;
+
+/**
+ * @param {Array<ParsedVideo>} parsed — output of parseVideos()
+ * @param {object} [maturity] — view maturity options, as for analyzeVideos
+ * @returns {object} momentum section; `label` is null when there is too little data
+ */
+export function analyzeMomentum(parsed, maturity = {}) {
+    const points = normalizeViews(parsed, maturity)
+        .filter((n) => n.normalizedViews !== null)
+        .map((n) => ({ ...n.video, normalizedViews: n.normalizedViews }))
+        .sort((a, b) => a.publishedAt - b.publishedAt);
+
+    if (points.length < MIN_VIDEOS) {
+        return {
+            label: null,
+            videosAnalyzed: points.length,
+            note: `Needs at least ${MIN_VIDEOS} videos old enough to compare`,
+            slope: null,
+            byCount: null,
+            byDate: null,
+        };
+    }
+
+    // ── Splits ───────────────────────────────────────────────────────────────
+    const half    = Math.floor(points.length / 2);
+    const byCount = compareWindows(points.slice(0, points.length - half), points.slice(points.length - half));
+
+    const start    = points[0].publishedAt.getTime();
+    const midpoint = start + (points[points.length - 1].publishedAt.getTime() - start) / 2;
+    const byDate   = compareWindows(
+        points.filter((v) => v.publishedAt.getTime() < midpoint),
+        points.filter((v) => v.publishedAt.getTime() >= midpoint),
+    );
+
+    // ── Slope ────────────────────────────────────────────────────────────────
+    const slope = fitSlope(points);
+
+    // Growing or declining needs the fit and the newest-half comparison to agree
+    const medianChange = byCount.change.medianViewsPct;
+    let label = 'stable';
+    if (slope.viewsChangePer30DaysPct >= TREND_THRESHOLD_PCT && medianChange > 0) label = 'growing';
+    if (slope.viewsChangePer30DaysPct <= -TREND_THRESHOLD_PCT && medianChange < 0) label = 'declining';
+
+    return {
+        label,
+        videosAnalyzed: points.length,
+        slope,
+        byCount,
+        byDate,
+    };
+}
+
+/**
+ * Optional score modifier: up to ±5 points, scaled by the slope, for
+ * channels labelled growing or declining. Stable channels get 0.
+ *
+ * @param {ReturnType<typeof analyzeMomentum>} momentum
+ * @returns {{ name: string, points: number, detail: string } | null}
+ */
+export function momentumModifier(momentum) {
+    if (!momentum?.label || momentum.label === 'stable') return null;
+    const pct    = momentum.slope.viewsChangePer30DaysPct;
+    const points = Math.round(Math.min(Math.max(pct / 4, -MAX_MODIFIER), MAX_MODIFIER));
+    if (points === 0) return null;
+    return {
+        name: 'momentum',
+        points,
+        detail: `${momentum.label} — views ${pct > 0 ? '+' : ''}${pct}% per 30 days`,
+    };
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/**
+ * @param {Array<object>} earlier — oldest first
+ * @param {Array<object>} recent — oldest first
+ */
+function compareWindows(earlier, recent) {
+    if (earlier.length < MIN_WINDOW_VIDEOS || recent.length < MIN_WINDOW_VIDEOS) return null;
+    const a = windowStats(earlier);
+    const b = windowStats(recent);
+    return {
+        earlier: a,
+        recent: b,
+        change: {
+            medianViewsPct:    pctChange(a.medianViews, b.medianViews),
+            engagementRatePct: pctChange(a.engagementRate, b.engagementRate),
+            postsPerWeekPct:   pctChange(a.postsPerWeek, b.postsPerWeek),
+        },
+    };
+}
+
+function windowStats(videos) {
+    // Engagement is per raw view — likes accrue alongside the views they're divided by
+    const views     = videos.reduce((s, v) => s + v.views, 0);
+    const reactions = videos.reduce((s, v) => s + v.likes + v.comments, 0);
+    const first     = videos[0].publishedAt;
+    const last      = videos[videos.length - 1].publishedAt;
+    const spanDays  = Math.max(1, (last - first) / DAY_MS);
+    return {
+        videos: videos.length,
+        from: first.toISOString().split('T')[0],
+        to: last.toISOString().split('T')[0],
+        medianViews: median(videos.map((v) => v.normalizedViews)),
+        engagementRate: views > 0 ? r2((reactions / views) * 100) : 0,
+        postsPerWeek: r2((videos.length / spanDays) * 7),
+    };
+}
+
+/**
+ * Least-squares fit of ln(views) against publish date. Log scale so one
+ * viral video doesn't dominate, and so the slope reads as a growth rate.
+ */
+function fitSlope(points) {
+    const xs = points.map((v) => v.publishedAt.getTime() / DAY_MS);
+    const ys = points.map((v) => Math.log1p(v.normalizedViews));
+    const n  = xs.length;
+    const mx = xs.reduce((s, x) => s + x, 0) / n;
+    const my = ys.reduce((s, y) => s + y, 0) / n;
+
+    let sxy = 0;
+    let sxx = 0;
+    let syy = 0;
+    for (let i = 0; i < n; i++) {
+        sxy += (xs[i] - mx) * (ys[i] - my);
+        sxx += (xs[i] - mx) ** 2;
+        syy += (ys[i] - my) ** 2;
+    }
+
+    // All videos on the same day — no trend can be read
+    if (sxx === 0) return { viewsChangePer30DaysPct: 0, rSquared: 0 };
+
+    const b = sxy / sxx;
+    return {
+        viewsChangePer30DaysPct: r2((Math.exp(b * 30) - 1) * 100),
+        rSquared: syy > 0 ? r2((sxy * sxy) / (sxx * syy)) : 0,
+    };
+}
+
+function pctChange(from, to) {
+    if (from === 0) return to === 0 ? 0 : null;
+    return r2(((to - from) / from) * 100);
+}
+
+function r2(n) { return Math.round(n * 100) / 100; }
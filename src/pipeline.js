@@ -0,0 +1,259 @@
+/**
+ * Channel Analysis Pipeline
+ *
+ * Runs the full analysis for a single channel input — resolution, fetch,
+ * analytics, optional modules — and returns the dataset-ready result.
+ * Kept separate from main.js so it can be exercised end to end against a
+ * replay transport without an Actor run.
+ *
+ * © 2025 Creator Fusion LLC
+ */
+
+import { log } from 'apify';
+import { parseChannelInput } from './youtube-api.js';
+import {
+    parseVideos,
+    analyzeVideos,
+    calculateCreatorFusionScore,
+    generatePartnershipInsights,
+    applyScoreModifiers,
+    valuationViews,
+} from './analytics.js';
+import { analyzeMomentum, momentumModifier } from './momentum.js';
+import { activityModifier } from './activity.js';
+import { assessConfidence } from './confidence.js';
+import { analyzeSchedule } from './schedule.js';
+import { analyzeThemes } from './themes.js';
+import { analyzeDurations } from './duration.js';
+import { detectSponsorships } from './sponsorship.js';
+import { checkConflicts } from './conflicts.js';
+import { analyzeAuthenticity } from './authenticity.js';
+import { generateRateCard } from './rate-card.js';
+import { analyzeBrandSafety } from './brand-safety.js';
+import {
+    ChannelNotFoundError,
+    InvalidInputError,
+    NoUploadsPlaylistError,
+    NoVideosError,
+    toAnalyzerError,
+} from './errors.js';
+
+// ─── Channel processing pipeline ─────────────────────────────────────────────
+
+/**
+ * Full analysis pipeline for a single channel.
+ * Returns null if the channel should be skipped (filters), or the result object.
+ * Every failure is rethrown as an AnalyzerError stamped with the stage it
+ * happened in (see errors.js).
+ *
+ * @param {YouTubeClient} client
+ * @param {string} channelInput
+ * @param {object} options
+ * @returns {Promise<object | null>}
+ * @throws {import('./errors.js').AnalyzerError}
+ */
+export async function processChannel(client, channelInput, options) {
+    const progress = { stage: 'resolve' };
+    try {
+        return await runPipeline(client, channelInput, options, progress);
+    } catch (error) {
+        throw toAnalyzerError(error, progress.stage);
+    }
+}
+
+/**
+ * @param {YouTubeClient} client
+ * @param {string} channelInput
+ * @param {object} options
+ * @param {{ stage: string }} progress — updated as the pipeline advances
+ */
+async function runPipeline(client, channelInput, options, progress) {
+    const {
+        videosPerChannel,
+        enableSponsorshipDetection,
+        enableAuthenticityCheck,
+        enableRateCard,
+        minSubscribers,
+        minEngagementRate,
+        minVideoAgeDays,
+        immatureVideoHandling,
+        enableMomentumModifier,
+        outlierMethod,
+        valuationAverage,
+        scoringProfile,
+        scheduleTimezone,
+        dormantScorePenalty,
+        brandSafetyLexicon,
+        brandRegistry,
+        conflictCheck,
+    } = options;
+
+    // 1. Resolve channel ID
+    log.info(`Resolving channel: ${channelInput}`);
+    const parsedInput = parseChannelInput(channelInput);
+    const channelId   = await client.resolveChannelId(channelInput);
+
+    if (!channelId) {
+        // Malformed input never reaches the API; a well-formed handle, video,
+        // or playlist that matches nothing is a lookup miss
+        const message = `Could not resolve channel ID for "${channelInput}". Check the URL, @handle, or channel ID.`;
+        throw parsedInput
+            ? new ChannelNotFoundError(message, 'resolve')
+            : new InvalidInputError(message, 'resolve');
+    }
+
+    // 2. Fetch channel details
+    progress.stage = 'fetch_channel';
+    const channelData = await client.getChannel(channelId);
+    if (!channelData) {
+        throw new ChannelNotFoundError(`Channel ${channelId} not found or is private.`);
+    }
+
+    const channelName  = channelData.snippet?.title ?? 'Unknown';
+    const subscribers  = parseInt(channelData.statistics?.subscriberCount ?? '0', 10);
+    const hiddenSubs   = channelData.statistics?.hiddenSubscriberCount === true;
+
+    // 3. Apply subscriber filter
+    if (minSubscribers > 0 && (hiddenSubs || subscribers < minSubscribers)) {
+        log.info(`Skipping ${channelName} — ${hiddenSubs ? 'hidden subscriber count' : `${subscribers} subscribers`} (min: ${minSubscribers})`);
+        return null;
+    }
+
+    // 4. Fetch recent videos
+    progress.stage = 'fetch_videos';
+    const uploadsPlaylistId = channelData.contentDetails?.relatedPlaylists?.uploads;
+    if (!uploadsPlaylistId) {
+        throw new NoUploadsPlaylistError(`${channelName}: Could not find uploads playlist. Channel may have no public videos.`);
+    }
+
+    const videoIds = await client.getRecentVideoIds(uploadsPlaylistId, videosPerChannel);
+    if (!videoIds.length) {
+        throw new NoVideosError(`${channelName}: No videos found in uploads playlist.`);
+    }
+
+    const rawVideos = await client.getVideoDetails(videoIds.map((v) => v.videoId));
+    const parsed    = parseVideos(rawVideos);
+
+    if (!parsed.length) {
+        throw new NoVideosError(`${channelName}: All videos had invalid data.`);
+    }
+
+    // 5. Core analytics
+    progress.stage = 'analyze';
+    const maturity  = { minAgeDays: minVideoAgeDays, handling: immatureVideoHandling };
+    const analytics = analyzeVideos(parsed, subscribers, maturity, { outlierMethod });
+    const momentum  = analyzeMomentum(parsed, maturity);
+    const schedule  = analyzeSchedule(parsed, {
+        timeZone: scheduleTimezone,
+        country: channelData.snippet?.country,
+        maturity,
+    });
+    const themes    = analyzeThemes(parsed, { maturity });
+    const durations = analyzeDurations(parsed, maturity);
+
+    let creatorFusionScore = calculateCreatorFusionScore(analytics, channelData.statistics, scoringProfile);
+    creatorFusionScore = {
+        ...creatorFusionScore,
+        ...assessConfidence(parsed, analytics, channelData.statistics, {
+            maturity,
+            profile: scoringProfile,
+        }),
+    };
+    // Momentum only moves the score when asked to — the section is always reported
+    creatorFusionScore = applyScoreModifiers(creatorFusionScore, [
+        enableMomentumModifier ? momentumModifier(momentum) : null,
+        activityModifier(analytics.activity, dormantScorePenalty),
+    ]);
+    const partnership = generatePartnershipInsights(analytics, channelData, creatorFusionScore, { valuationAverage });
+
+    // 6. Apply engagement rate filter
+    if (minEngagementRate > 0 && analytics.engagementRate < minEngagementRate) {
+        log.info(`Skipping ${channelName} — engagement ${analytics.engagementRate}% (min: ${minEngagementRate}%)`);
+        return null;
+    }
+
+    // 7. Optional: Sponsorship detection
+    let sponsorship = null;
+    if (enableSponsorshipDetection) {
+        sponsorship = detectSponsorships(parsed, brandRegistry);
+    }
+    // Competitor conflicts are read off the sponsorship report; main.js
+    // refuses a conflict check with sponsorship detection off
+    const competitorConflicts = conflictCheck && sponsorship
+        ? checkConflicts(sponsorship, parsed, conflictCheck)
+        : null;
+
+    // 8. Optional: Authenticity check
+    let authenticity = null;
+    if (enableAuthenticityCheck) {
+        const result = analyzeAuthenticity(parsed, channelData.statistics);
+        // Only include authenticity data when a score was computed;
+        // null score means insufficient data — omit from output
+        authenticity = result.score !== null ? result : null;
+    }
+
+    // 9. Optional: Brand safety — on when a lexicon was resolved
+    const brandSafety = brandSafetyLexicon ? analyzeBrandSafety(parsed, brandSafetyLexicon) : null;
+
+    // 10. Optional: Rate card
+    let rateCard = null;
+    if (enableRateCard) {
+        rateCard = generateRateCard({
+            avgViews: valuationViews(analytics, valuationAverage),
+            viewsAverage: valuationAverage,
+            subscribers,
+            tier: creatorFusionScore.tier,
+            engagementRate: analytics.engagementRate,
+            creatorFusionScore: creatorFusionScore.score,
+            contentCategories: partnership.contentCategories,
+            sponsorship,
+        });
+    }
+
+    // 11. Assemble result
+    return {
+        status: 'success',
+        channelInput,
+        inputForm: parsedInput.form,
+        channelId,
+        channelName,
+        channelUrl: `https://youtube.com/channel/${channelId}`,
+        handle: channelData.snippet?.customUrl ?? null,
+        description: truncate(channelData.snippet?.description ?? '', 500),
+        country: channelData.snippet?.country ?? null,
+        subscriberCount: subscribers,
+        hiddenSubscriberCount: hiddenSubs,
+        totalViews: parseInt(channelData.statistics?.viewCount ?? '0', 10),
+        totalVideos: parseInt(channelData.statistics?.videoCount ?? '0', 10),
+        joinedDate: channelData.snippet?.publishedAt?.split('T')[0] ?? null,
+        thumbnailUrl: channelData.snippet?.thumbnails?.medium?.url ?? null,
+
+        creatorFusionScore,
+        analytics: {
+            ...analytics,
+            // Omit the full video array from the top-level output to keep it clean
+            videos: undefined,
+        },
+        momentum,
+        schedule,
+        themes,
+        durations,
+        partnership,
+
+        ...(sponsorship  ? { sponsorship }  : {}),
+        ...(competitorConflicts ? { competitorConflicts } : {}),
+        ...(authenticity ? { authenticity } : {}),
+        ...(brandSafety  ? { brandSafety }  : {}),
+        ...(rateCard     ? { rateCard }     : {}),
+
+        analyzedAt: new Date().toISOString(),
+        quotaSnapshot: client.getQuotaStats(),
+    };
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+function truncate(str, maxLen) {
+    if (str.length <= maxLen) return str;
+    return str.substring(0, maxLen - 3) + '...';
+}
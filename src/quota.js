@@ -0,0 +1,225 @@
+/**
+ * Quota Budgeting
+ *
+ * Ring-fences how many API units a single run may spend, so several
+ * automations can share one key without starving each other.
+ *
+ * The budget works on worst-case reservations: a channel only starts if its
+ * maximum possible cost (see estimateChannelCost) fits in what's left after
+ * units already spent and units reserved by channels still in flight. Once a
+ * channel doesn't fit, the budget closes and every remaining channel is
+ * deferred — the run stops gracefully instead of overshooting mid-channel.
+ *
+ * QuotaLedger complements it across runs: each key's spend for the current
+ * YouTube quota day is persisted, so remaining-quota figures account for
+ * every run that used the key today, not just this one.
+ *
+ * © 2025 Creator Fusion LLC
+ */
+
+import { createHash } from 'node:crypto';
+
+export class QuotaBudget {
+    /**
+     * @param {number | null} maxUnits — null or 0 = unlimited
+     * @param {() => number} getUsed — units spent so far (e.g. () => client.quotaUsed)
+     */
+    constructor(maxUnits, getUsed) {
+        this.maxUnits = maxUnits > 0 ? maxUnits : null;
+        this.getUsed  = getUsed;
+        this.reserved = 0;
+        this.closed   = false;
+    }
+
+    /**
+     * Reserve units for one channel.
+     *
+     * @param {number} units — worst-case cost of the channel
+     * @returns {boolean} false if the channel must be deferred
+     */
+    tryReserve(units) {
+        if (this.maxUnits === null) return true;
+        if (this.closed || this.getUsed() + this.reserved + units > this.maxUnits) {
+            this.closed = true;
+            return false;
+        }
+        this.reserved += units;
+        return true;
+    }
+
+    /**
+     * Release a reservation once the channel finished (its real cost is now
+     * part of getUsed()).
+     *
+     * @param {number} units
+     */
+    release(units) {
+        if (this.maxUnits === null) return;
+        this.reserved = Math.max(0, this.reserved - units);
+    }
+
+    /** @returns {{ maxUnits: number | null, used: number, remaining: number | null, exhausted: boolean }} */
+    getStats() {
+        const used = this.getUsed();
+        return {
+            maxUnits: this.maxUnits,
+            used,
+            remaining: this.maxUnits === null ? null : Math.max(0, this.maxUnits - used),
+            exhausted: this.closed,
+        };
+    }
+}
+
+// ─── Daily ledger ────────────────────────────────────────────────────────────
+
+/** YouTube resets quota at midnight Pacific time, not UTC */
+const QUOTA_TIMEZONE = 'America/Los_Angeles';
+
+const pacificDate = new Intl.DateTimeFormat('en-CA', {
+    timeZone: QUOTA_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+});
+
+/**
+ * The YouTube quota day a timestamp falls in, as YYYY-MM-DD (Pacific).
+ *
+ * @param {number} [timestamp]
+ * @returns {string}
+ */
+export function quotaDay(timestamp = Date.now()) {
+    return pacificDate.format(new Date(timestamp));
+}
+
+/** How long record() waits for more usage before writing it to the store */
+const LEDGER_WRITE_DELAY_MS = 10_000;
+
+/**
+ * Units each API key has spent today, shared across runs through a
+ * key-value store (Apify KeyValueStore interface). Records are keyed by a
+ * hash of the API key plus the quota day, so raw keys are never stored and
+ * yesterday's usage simply stops being read after midnight Pacific.
+ *
+ * Usage is counted in memory, never per request against the store: keys
+ * are read at load(), and unwritten usage goes out in one batch
+ * LEDGER_WRITE_DELAY_MS after the first request that needs it, or on
+ * flush(). Call flush() on persistState/migrating and before the run exits.
+ */
+export class QuotaLedger {
+    /**
+     * @param {{ getValue: Function, setValue: Function }} store
+     * @param {object} [options]
+     * @param {() => number} [options.now] — clock, injectable for tests
+     * @param {number} [options.writeDelayMs] — batching delay for writes
+     */
+    constructor(store, { now = Date.now, writeDelayMs = LEDGER_WRITE_DELAY_MS } = {}) {
+        if (!store) throw new Error('QuotaLedger requires a backing store.');
+        this.store = store;
+        this.now   = now;
+        this.writeDelayMs = writeDelayMs;
+        /** @type {Map<string, { day: string, used: number }>} key hash → today's usage */
+        this._usage   = new Map();
+        /** @type {Map<string, { hash: string, day: string, units: number }>} record key → units not yet written */
+        this._pending = new Map();
+        /** @type {Promise<void>} last write, keeps writes ordered */
+        this._writing = Promise.resolve();
+        this._timer   = null;
+        this.storeErrors = 0;
+    }
+
+    /**
+     * Load today's usage for each key.
+     * @param {string[]} apiKeys
+     */
+    async load(apiKeys) {
+        const day = quotaDay(this.now());
+        for (const apiKey of apiKeys) {
+            const hash = hashKey(apiKey);
+            this._usage.set(hash, { day, used: await this._read(hash, day) });
+        }
+    }
+
+    /**
+     * Units spent today by a key, across every run that shares the store.
+     * @param {string} apiKey
+     * @returns {number}
+     */
+    usedToday(apiKey) {
+        const entry = this._usage.get(hashKey(apiKey));
+        return entry && entry.day === quotaDay(this.now()) ? entry.used : 0;
+    }
+
+    /**
+     * Add units to a key's daily total. Counted in memory at once; the
+     * store is written later, in one batch with any other usage.
+     *
+     * @param {string} apiKey
+     * @param {number} units
+     */
+    record(apiKey, units) {
+        const hash = hashKey(apiKey);
+        const day  = quotaDay(this.now());
+
+        const current = this._usage.get(hash);
+        this._usage.set(hash, { day, used: (current?.day === day ? current.used : 0) + units });
+
+        const key     = recordKey(hash, day);
+        const pending = this._pending.get(key);
+        if (pending) pending.units += units;
+        else this._pending.set(key, { hash, day, units });
+
+        if (!this._timer) {
+            this._timer = setTimeout(() => this.flush(), this.writeDelayMs);
+            this._timer.unref?.();
+        }
+    }
+
+    /**
+     * Write every unwritten unit now and wait for it — call on
+     * persistState/migrating and before the run exits.
+     * @returns {Promise<void>}
+     */
+    flush() {
+        clearTimeout(this._timer);
+        this._timer = null;
+
+        const batch = [...this._pending];
+        this._pending.clear();
+        this._writing = this._writing.then(async () => {
+            for (const [key, { hash, day, units }] of batch) {
+                // Re-read so concurrent runs on the same key don't overwrite each other's usage
+                const used  = (await this._read(hash, day)) + units;
+                const entry = this._usage.get(hash);
+                if (entry?.day === day) entry.used = Math.max(entry.used, used);
+                try {
+                    await this.store.setValue(key, { day, used, updatedAt: new Date(this.now()).toISOString() });
+                } catch {
+                    this.storeErrors++;
+                }
+            }
+        });
+        return this._writing;
+    }
+
+    async _read(hash, day) {
+        try {
+            const record = await this.store.getValue(recordKey(hash, day));
+            return record?.used ?? 0;
+        } catch {
+            // Unreadable ledger = assume nothing spent; never fail the run over it
+            this.storeErrors++;
+            return 0;
+        }
+    }
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+function hashKey(apiKey) {
+    return createHash('sha256').update(apiKey).digest('hex').slice(0, 16);
+}
+
+function recordKey(hash, day) {
+    return `quota-${hash}-${day}`;
+}
@@ -67,6 +67,7 @@ const NICHE_MULTIPLIERS = {
  *
  * @param {object} params
  * @param {number} params.avgViews          — average views per video
+ * @param {string} [params.viewsAverage]    — which average avgViews is (mean, median, …), reported back
  * @param {number} params.subscribers       — subscriber count
  * @param {string} params.tier              — audience tier name
  * @param {number} params.engagementRate    — engagement rate (%)
@@ -77,6 +78,7 @@ const NICHE_MULTIPLIERS = {
  */
 export function generateRateCard({
     avgViews,
+    viewsAverage = 'mean',
     subscribers,
     tier,
     engagementRate,
@@ -133,6 +135,10 @@ export function generateRateCard({
         else if (sponsorship.totalDetected >= 5) brandDealExperience = 'Experienced — regular brand deals';
         else if (sponsorship.totalDetected >= 1) brandDealExperience = 'Some experience — occasional partnerships';
         else                                     brandDealExperience = 'No sponsorship history detected — may be open to first deals';
+
+        // Sponsors that came back are the best evidence the deals paid off
+        const repeat = sponsorship.renewals?.repeatSponsors ?? 0;
+        if (repeat > 0) brandDealExperience += ` (${repeat} repeat sponsor${repeat === 1 ? '' : 's'})`;
     }
 
     return {
@@ -141,6 +147,7 @@ export function generateRateCard({
         estimatedDedicatedRate:   dedicated,
         estimatedShortsRate:      shorts,
         usageRightsAddon:         usageRights,
+        viewsBasis: { avgViews, average: viewsAverage },
         adjustments: {
             niche: { category: matchedNiche, multiplier: r2(nicheMultiplier) },
             engagement: { creatorFusionScore, multiplier: r2(engagementMultiplier) },
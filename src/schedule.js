@@ -0,0 +1,251 @@
+/**
+ * Upload Schedule Analysis
+ *
+ * When a creator posts, in their own timezone: a weekday × hour heatmap,
+ * the dominant upload slots, how each weekday performs, and whether the
+ * channel runs a fixed schedule ("every Tuesday around 17:00"). Campaign
+ * planners time launches against this, so it also flags a creator whose
+ * recent uploads have drifted off their usual slot.
+ *
+ * Times are read in the requested timezone, else the channel country's
+ * main timezone, else UTC. Views per weekday are 30-day equivalents (see
+ * maturity.js) so a slot isn't judged on uploads still accruing views.
+ *
+ * © 2025 Creator Fusion LLC
+ */
+
+import { normalizeViews } from './maturity.js';
+import { median } from './distribution.js';
+import { InvalidInputError } from './errors.js';
+
+export const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+/** Fewest videos before a fixed schedule can be claimed */
+const MIN_SCHEDULE_VIDEOS = 6;
+
+/** Share of uploads the schedule's weekdays (at most 3) must cover */
+const SCHEDULE_DAY_SHARE = 0.8;
+const MAX_SCHEDULE_DAYS  = 3;
+
+/** Share of uploads within ±1h of the modal hour for the schedule to include a time */
+const SCHEDULE_HOUR_SHARE = 0.7;
+
+/** Recent window for drift: this share of the sample, at least MIN_DRIFT_VIDEOS */
+const DRIFT_WINDOW_SHARE = 0.25;
+const MIN_DRIFT_VIDEOS   = 3;
+
+/** Number of top slots reported */
+const TOP_SLOTS = 3;
+
+/**
+ * Main timezone per channel country (ISO 3166-1). Countries spanning
+ * several zones get the one most of their population lives in.
+ */
+const COUNTRY_TIMEZONES = {
+    US: 'America/New_York',   CA: 'America/Toronto',     MX: 'America/Mexico_City',
+    BR: 'America/Sao_Paulo',  AR: 'America/Argentina/Buenos_Aires',
+    CL: 'America/Santiago',   CO: 'America/Bogota',      PE: 'America/Lima',
+    GB: 'Europe/London',      IE: 'Europe/Dublin',       FR: 'Europe/Paris',
+    DE: 'Europe/Berlin',      ES: 'Europe/Madrid',       IT: 'Europe/Rome',
+    NL: 'Europe/Amsterdam',   BE: 'Europe/Brussels',     CH: 'Europe/Zurich',
+    AT: 'Europe/Vienna',      SE: 'Europe/Stockholm',    NO: 'Europe/Oslo',
+    DK: 'Europe/Copenhagen',  FI: 'Europe/Helsinki',     PL: 'Europe/Warsaw',
+    PT: 'Europe/Lisbon',      CZ: 'Europe/Prague',       GR: 'Europe/Athens',
+    RO: 'Europe/Bucharest',   UA: 'Europe/Kyiv',         RU: 'Europe/Moscow',
+    TR: 'Europe/Istanbul',    IL: 'Asia/Jerusalem',      AE: 'Asia/Dubai',
+    SA: 'Asia/Riyadh',        EG: 'Africa/Cairo',        ZA: 'Africa/Johannesburg',
+    NG: 'Africa/Lagos',       KE: 'Africa/Nairobi',      IN: 'Asia/Kolkata',
+    PK: 'Asia/Karachi',       BD: 'Asia/Dhaka',          TH: 'Asia/Bangkok',
+    VN: 'Asia/Ho_Chi_Minh',   ID: 'Asia/Jakarta',        MY: 'Asia/Kuala_Lumpur',
+    SG: 'Asia/Singapore',     PH: 'Asia/Manila',         CN: 'Asia/Shanghai',
+    HK: 'Asia/Hong_Kong',     TW: 'Asia/Taipei',         KR: 'Asia/Seoul',
+    JP: 'Asia/Tokyo',         AU: 'Australia/Sydney',    NZ: 'Pacific/Auckland',
+};
+
+/**
+ * Validate an IANA timezone name.
+ *
+ * @param {string} timeZone
+ * @returns {string} the name, unchanged
+ * @throws {InvalidInputError}
+ */
+export function validateTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return timeZone;
+    } catch {
+        throw new InvalidInputError(`Unknown timezone "${timeZone}". Use an IANA name such as "America/New_York" or "Europe/Berlin".`);
+    }
+}
+
+/**
+ * @param {Array<ParsedVideo>} parsed — output of parseVideos()
+ * @param {object} [options]
+ * @param {string} [options.timeZone] — IANA timezone; overrides the country's
+ * @param {string | null} [options.country] — channel country, for the default timezone
+ * @param {object} [options.maturity] — view maturity options, as for analyzeVideos
+ * @returns {object} schedule section
+ */
+export function analyzeSchedule(parsed, { timeZone, country = null, maturity = {} } = {}) {
+    const zone = timeZone
+        ? { timeZone, source: 'input' }
+        : COUNTRY_TIMEZONES[country?.toUpperCase()]
+            ? { timeZone: COUNTRY_TIMEZONES[country.toUpperCase()], source: 'country' }
+            : { timeZone: 'UTC', source: 'default' };
+
+    const toSlot = slotReader(zone.timeZone);
+    const normalized = new Map(normalizeViews(parsed, maturity).map((n) => [n.video.videoId, n.normalizedViews]));
+
+    // Oldest first, so the recent window for drift is the tail
+    const uploads = [...parsed]
+        .sort((a, b) => a.publishedAt - b.publishedAt)
+        .map((v) => ({ ...toSlot(v.publishedAt), video: v, views: normalized.get(v.videoId) }));
+
+    // ── Heatmap ──────────────────────────────────────────────────────────────
+    const heatmap = Object.fromEntries(WEEKDAYS.map((d) => [d, new Array(24).fill(0)]));
+    for (const u of uploads) heatmap[u.weekday][u.hour]++;
+
+    const dominantSlots = WEEKDAYS
+        .flatMap((weekday) => heatmap[weekday].map((videos, hour) => ({ weekday, hour, videos })))
+        .filter((s) => s.videos > 0)
+        .sort((a, b) => b.videos - a.videos || WEEKDAYS.indexOf(a.weekday) - WEEKDAYS.indexOf(b.weekday) || a.hour - b.hour)
+        .slice(0, TOP_SLOTS)
+        .map((s) => ({ ...s, label: `${s.weekday} ${clock(s.hour)}`, share: pct(s.videos, uploads.length) }));
+
+    // ── Performance by weekday ───────────────────────────────────────────────
+    const byWeekday = WEEKDAYS.map((weekday) => {
+        const day   = uploads.filter((u) => u.weekday === weekday);
+        const views = day.map((u) => u.views).filter((v) => v !== null);
+        const raw   = day.reduce((s, u) => s + u.video.views, 0);
+        const reactions = day.reduce((s, u) => s + u.video.likes + u.video.comments, 0);
+        return {
+            weekday,
+            videos: day.length,
+            medianViews: views.length ? median(views) : null,
+            engagementRate: raw > 0 ? r2((reactions / raw) * 100) : null,
+        };
+    });
+
+    // Best days need at least two videos — one lucky upload isn't a pattern
+    const ranked = byWeekday.filter((d) => d.videos >= 2 && d.medianViews !== null);
+    const best   = (key) => ranked.length
+        ? ranked.reduce((a, b) => (b[key] > a[key] ? b : a)).weekday
+        : null;
+
+    // ── Fixed schedule & drift ───────────────────────────────────────────────
+    const fixedSchedule = detectFixedSchedule(uploads);
+
+    const recentCount = Math.max(MIN_DRIFT_VIDEOS, Math.round(uploads.length * DRIFT_WINDOW_SHARE));
+    const baseline    = detectFixedSchedule(uploads.slice(0, -recentCount));
+    const drift       = detectDrift(baseline, uploads.slice(-recentCount));
+
+    return {
+        timeZone: zone.timeZone,
+        timeZoneSource: zone.source,
+        videosAnalyzed: uploads.length,
+        heatmap,
+        dominantSlots,
+        byWeekday,
+        bestWeekday: { byViews: best('medianViews'), byEngagement: best('engagementRate') },
+        fixedSchedule,
+        drift,
+    };
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/** Maps a Date to its weekday and hour in `timeZone` */
+function slotReader(timeZone) {
+    const format = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        weekday: 'long',
+        hour: 'numeric',
+        hourCycle: 'h23',
+    });
+    return (date) => {
+        const parts = Object.fromEntries(format.formatToParts(date).map((p) => [p.type, p.value]));
+        return { weekday: parts.weekday, hour: parseInt(parts.hour, 10) };
+    };
+}
+
+/**
+ * A schedule covers most uploads with at most 3 weekdays, optionally at a
+ * consistent hour (±1h).
+ */
+function detectFixedSchedule(uploads) {
+    if (uploads.length < MIN_SCHEDULE_VIDEOS) {
+        return { detected: false, weekdays: null, hour: null, share: null, label: null };
+    }
+
+    const dayCounts = WEEKDAYS
+        .map((weekday) => ({ weekday, videos: uploads.filter((u) => u.weekday === weekday).length }))
+        .sort((a, b) => b.videos - a.videos);
+
+    const days = [];
+    let covered = 0;
+    for (const d of dayCounts) {
+        if (covered >= uploads.length * SCHEDULE_DAY_SHARE) break;
+        days.push(d.weekday);
+        covered += d.videos;
+    }
+    if (days.length > MAX_SCHEDULE_DAYS) {
+        return { detected: false, weekdays: null, hour: null, share: null, label: null };
+    }
+
+    const onDays   = uploads.filter((u) => days.includes(u.weekday));
+    const modeHour = mode(onDays.map((u) => u.hour));
+    const nearHour = onDays.filter((u) => hourDistance(u.hour, modeHour) <= 1).length;
+    const hour     = nearHour >= onDays.length * SCHEDULE_HOUR_SHARE ? modeHour : null;
+
+    const weekdays = WEEKDAYS.filter((d) => days.includes(d));
+    return {
+        detected: true,
+        weekdays,
+        hour,
+        share: pct(covered, uploads.length),
+        label: slotLabel(weekdays, hour),
+    };
+}
+
+/** Most recent uploads mostly off a schedule the earlier ones kept */
+function detectDrift(baseline, recent) {
+    if (!baseline.detected) {
+        return { detected: false, usualSlot: null, recentVideos: recent.length, offSlot: null, label: null };
+    }
+    const onSlot = (u) => baseline.weekdays.includes(u.weekday)
+        && (baseline.hour === null || hourDistance(u.hour, baseline.hour) <= 1);
+    const offSlot  = recent.filter((u) => !onSlot(u)).length;
+    const detected = offSlot > recent.length / 2;
+    return {
+        detected,
+        usualSlot: baseline.label,
+        recentVideos: recent.length,
+        offSlot,
+        label: detected
+            ? `${offSlot} of the last ${recent.length} uploads missed the usual slot (${baseline.label})`
+            : null,
+    };
+}
+
+function slotLabel(weekdays, hour) {
+    const days = weekdays.length === 1 ? weekdays[0] : `${weekdays.slice(0, -1).join(', ')} and ${weekdays[weekdays.length - 1]}`;
+    return hour === null ? `Every ${days}` : `Every ${days} around ${clock(hour)}`;
+}
+
+function clock(hour) { return `${String(hour).padStart(2, '0')}:00`; }
+
+/** Hours apart on the clock face, so 23:00 and 00:00 are 1 apart */
+function hourDistance(a, b) {
+    const d = Math.abs(a - b);
+    return Math.min(d, 24 - d);
+}
+
+function mode(values) {
+    const counts = new Map();
+    for (const v of values) counts.set(v, (counts.get(v) ?? 0) + 1);
+    return [...counts].sort((a, b) => b[1] - a[1] || a[0] - b[0])[0][0];
+}
+
+function pct(part, whole) { return whole > 0 ? r2((part / whole) * 100) : 0; }
+
+function r2(n) { return Math.round(n * 100) / 100; }
@@ -0,0 +1,210 @@
+/**
+ * Scoring Profiles
+ *
+ * The Creator Fusion Score™ weights, engagement benchmarks, and curve
+ * breakpoints, as named, versioned profiles. The default profile is the
+ * standard methodology; the others re-weight it for verticals where it
+ * misjudges a good channel — a podcast posting one long episode a week is
+ * on schedule, a gaming channel posting once a week is not.
+ *
+ * User profiles come in through input. Each one `extends` a built-in
+ * (default: "default") and overrides only what it lists. Every resolved
+ * profile is validated up front so a bad profile fails the run at input
+ * time, not halfway through a batch.
+ *
+ * © 2025 Creator Fusion LLC
+ */
+
+import { InvalidInputError } from './errors.js';
+
+/** Score components, in breakdown order */
+export const SCORE_COMPONENTS = ['engagement', 'consistency', 'frequency', 'viewToSubRatio', 'audienceSize'];
+
+const TIER_NAMES = ['Nano', 'Micro', 'Mid-Tier', 'Macro', 'Mega'];
+
+/**
+ * @typedef {object} ScoringProfile
+ * @property {string} name
+ * @property {string} version
+ * @property {Record<string, number>} weights — per SCORE_COMPONENTS, summing to 100
+ * @property {Record<string, { good: number, great: number }>} engagementBenchmarks — engagement rate (%) per tier
+ * @property {{ sweetSpot: [number, number], minimum: number, rare: number }} frequency — posts per week:
+ *   sweetSpot scores 90–99, minimum…sweetSpot 50–90, rare…minimum 50, below rare 10
+ * @property {{ good: number, great: number }} viewToSubRatio — % of subscribers watching each video
+ * @property {Array<[number, number]>} audienceSize — [minimum subscribers, score], largest first
+ */
+
+/** @type {ScoringProfile} */
+export const DEFAULT_PROFILE = {
+    name: 'default',
+    version: '1',
+    weights: {
+        engagement:     35,
+        consistency:    20,
+        frequency:      15,
+        viewToSubRatio: 15,
+        audienceSize:   15,
+    },
+    // YouTube industry averages, 2024. "good" = average, "great" = top quartile
+    engagementBenchmarks: {
+        'Nano':     { good: 8.0,  great: 12.0 },
+        'Micro':    { good: 5.0,  great: 8.0 },
+        'Mid-Tier': { good: 3.0,  great: 5.0 },
+        'Macro':    { good: 2.0,  great: 3.5 },
+        'Mega':     { good: 1.5,  great: 2.5 },
+    },
+    frequency: { sweetSpot: [2, 5], minimum: 1, rare: 0.25 },
+    viewToSubRatio: { good: 15, great: 30 },
+    audienceSize: [
+        [1_000_000, 95],
+        [500_000,   85],
+        [100_000,   75],
+        [50_000,    65],
+        [10_000,    50],
+        [1_000,     30],
+        [0,         10],
+    ],
+};
+
+/** Built-in profiles, by name. Each is a set of overrides on the default. */
+const BUILT_IN_OVERRIDES = {
+    default: {},
+    // One long episode a week is a healthy show; regularity matters more than volume
+    podcast: {
+        version: '1',
+        weights: { engagement: 35, consistency: 25, frequency: 10, viewToSubRatio: 15, audienceSize: 15 },
+        frequency: { sweetSpot: [1, 3], minimum: 0.5, rare: 0.125 },
+    },
+    // Audiences expect near-daily uploads or streams, and go elsewhere when they stop
+    gaming: {
+        version: '1',
+        weights: { engagement: 30, consistency: 15, frequency: 25, viewToSubRatio: 15, audienceSize: 15 },
+        frequency: { sweetSpot: [4, 10], minimum: 2, rare: 0.5 },
+    },
+};
+
+export const BUILT_IN_PROFILES = Object.keys(BUILT_IN_OVERRIDES);
+
+/**
+ * Resolve a profile by name from the built-ins and user-defined profiles.
+ *
+ * @param {string} [name] — defaults to "default"
+ * @param {Array<object>} [customProfiles] — user profiles: `{ name, version?, extends?, ...overrides }`
+ * @returns {ScoringProfile}
+ * @throws {InvalidInputError} unknown name, or a profile that fails validation
+ */
+export function resolveScoringProfile(name = 'default', customProfiles = []) {
+    if (!Array.isArray(customProfiles)) {
+        throw new InvalidInputError('customScoringProfiles must be an array of profile objects.');
+    }
+
+    const custom = new Map();
+    for (const profile of customProfiles) {
+        if (!profile || typeof profile.name !== 'string' || !profile.name.trim()) {
+            throw new InvalidInputError('Every custom scoring profile needs a "name".');
+        }
+        if (Object.hasOwn(BUILT_IN_OVERRIDES, profile.name)) {
+            throw new InvalidInputError(`Custom scoring profile "${profile.name}" clashes with a built-in profile; use "extends" to build on it.`);
+        }
+        custom.set(profile.name, profile);
+    }
+
+    let resolved;
+    if (Object.hasOwn(BUILT_IN_OVERRIDES, name)) {
+        resolved = mergeProfile(DEFAULT_PROFILE, { name, ...BUILT_IN_OVERRIDES[name] });
+    } else if (custom.has(name)) {
+        const profile = custom.get(name);
+        const base    = profile.extends ?? 'default';
+        if (!Object.hasOwn(BUILT_IN_OVERRIDES, base)) {
+            throw new InvalidInputError(`Scoring profile "${name}" extends unknown built-in profile "${base}" (available: ${BUILT_IN_PROFILES.join(', ')}).`);
+        }
+        resolved = mergeProfile(
+            mergeProfile(DEFAULT_PROFILE, BUILT_IN_OVERRIDES[base]),
+            { version: '1', ...profile },
+        );
+    } else {
+        const available = [...BUILT_IN_PROFILES, ...custom.keys()].join(', ');
+        throw new InvalidInputError(`Unknown scoring profile "${name}" (available: ${available}).`);
+    }
+
+    const problems = validateProfile(resolved);
+    if (problems.length) {
+        throw new InvalidInputError(`Scoring profile "${resolved.name}" is invalid: ${problems.join('; ')}.`);
+    }
+    return resolved;
+}
+
+/**
+ * Every problem with a resolved profile — empty when it is valid.
+ *
+ * @param {ScoringProfile} profile
+ * @returns {string[]}
+ */
+export function validateProfile(profile) {
+    const problems = [];
+    const positive = (n) => typeof n === 'number' && Number.isFinite(n) && n > 0;
+
+    const weights = profile.weights ?? {};
+    for (const key of Object.keys(weights)) {
+        if (!SCORE_COMPONENTS.includes(key)) problems.push(`unknown weight "${key}"`);
+    }
+    for (const key of SCORE_COMPONENTS) {
+        const w = weights[key];
+        if (typeof w !== 'number' || !Number.isFinite(w) || w < 0) problems.push(`weight "${key}" must be a number ≥ 0`);
+    }
+    const total = SCORE_COMPONENTS.reduce((s, k) => s + (Number(weights[k]) || 0), 0);
+    if (Math.abs(total - 100) > 1e-9) problems.push(`weights must sum to 100 (got ${total})`);
+
+    for (const tier of TIER_NAMES) {
+        const bench = profile.engagementBenchmarks?.[tier];
+        if (!bench || !positive(bench.good) || !positive(bench.great) || bench.great <= bench.good) {
+            problems.push(`engagementBenchmarks.${tier} needs 0 < good < great`);
+        }
+    }
+
+    const { sweetSpot, minimum, rare } = profile.frequency ?? {};
+    if (!Array.isArray(sweetSpot) || sweetSpot.length !== 2 || !positive(sweetSpot[0]) || !(sweetSpot[1] > sweetSpot[0])) {
+        problems.push('frequency.sweetSpot must be [low, high] posts per week with 0 < low < high');
+    } else if (!positive(minimum) || !positive(rare) || !(rare < minimum && minimum < sweetSpot[0])) {
+        problems.push('frequency breakpoints must satisfy 0 < rare < minimum < sweetSpot low');
+    }
+
+    const vsr = profile.viewToSubRatio ?? {};
+    if (!positive(vsr.good) || !positive(vsr.great) || vsr.great <= vsr.good) {
+        problems.push('viewToSubRatio needs 0 < good < great');
+    }
+
+    const steps = profile.audienceSize;
+    const stepsValid = Array.isArray(steps) && steps.length > 0 && steps.every((s, i) =>
+        Array.isArray(s) && s.length === 2
+        && Number.isFinite(s[0]) && s[0] >= 0
+        && Number.isFinite(s[1]) && s[1] >= 0 && s[1] <= 100
+        && (i === 0 || s[0] < steps[i - 1][0]));
+    if (!stepsValid || steps[steps.length - 1][0] !== 0) {
+        problems.push('audienceSize must be [minSubscribers, score] pairs, largest first, ending at 0, with scores 0–100');
+    }
+
+    return problems;
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/**
+ * Overlay `overrides` on `base`. Weights, benchmarks (per tier), frequency,
+ * and viewToSubRatio merge key by key; audienceSize is replaced whole.
+ */
+function mergeProfile(base, overrides) {
+    const { extends: _base, ...o } = overrides;
+    return {
+        name: o.name ?? base.name,
+        version: String(o.version ?? base.version),
+        weights: { ...base.weights, ...o.weights },
+        engagementBenchmarks: Object.fromEntries(TIER_NAMES.map((tier) => [
+            tier,
+            { ...base.engagementBenchmarks[tier], ...o.engagementBenchmarks?.[tier] },
+        ])),
+        frequency: { ...base.frequency, ...o.frequency },
+        viewToSubRatio: { ...base.viewToSubRatio, ...o.viewToSubRatio },
+        audienceSize: o.audienceSize ?? base.audienceSize,
+    };
+}
@@ -0,0 +1,120 @@
+/**
+ * Sponsor Timeline
+ *
+ * When each sponsor appeared, not just how often. A brand that comes back
+ * video after video, month after month, renewed the deal — the strongest
+ * evidence a creator delivers for sponsors. A brand that stopped appearing
+ * may have churned.
+ *
+ * Every brand is classified from its appearances in the scanned videos:
+ *   one-off    — a single sponsored video
+ *   recurring  — two or more
+ *   ambassador — AMBASSADOR_APPEARANCES or more, spanning AMBASSADOR_SPAN_DAYS
+ *
+ * Churn is measured against the channel's latest scanned upload, not today,
+ * so a channel on hiatus doesn't read as losing every sponsor at once. A
+ * repeat sponsor is possibly churned when the channel kept uploading
+ * (CHURN_MIN_UPLOADS or more) for max(CHURN[0] days, CHURN[1]× the brand's
+ * usual interval) without it.
+ *
+ * © 2025 Creator Fusion LLC
+ */
+
+import { median } from './distribution.js';
+
+export const SPONSOR_RELATIONSHIPS = ['one-off', 'recurring', 'ambassador'];
+
+const AMBASSADOR_APPEARANCES = 3;
+const AMBASSADOR_SPAN_DAYS   = 180;
+
+/** [floor in days, multiple of the brand's median interval] */
+const CHURN             = [90, 2];
+const CHURN_MIN_UPLOADS = 3;
+
+const DAY_MS = 86_400_000;
+
+/**
+ * @param {Array<{ videoId: string, title: string, publishedAt: string, brands: string[] }>} sponsoredVideos
+ *   — from detectSponsorships(), publishedAt as YYYY-MM-DD
+ * @param {Array<{ publishedAt: Date }>} videos — every scanned video
+ * @returns {{ brandTimeline: Array<object>, renewals: object }}
+ */
+export function buildSponsorTimeline(sponsoredVideos, videos) {
+    const uploads = videos.map((v) => toTime(v.publishedAt)).filter((t) => !Number.isNaN(t));
+    const latest  = uploads.length ? Math.max(...uploads) : null;
+
+    const byBrand = new Map();
+    for (const video of sponsoredVideos) {
+        for (const brand of video.brands) {
+            if (!byBrand.has(brand)) byBrand.set(brand, []);
+            byBrand.get(brand).push(video);
+        }
+    }
+
+    const brandTimeline = [...byBrand].map(([brand, list]) => {
+        const appearances = [...list].sort((a, b) => toTime(a.publishedAt) - toTime(b.publishedAt));
+        const times       = appearances.map((v) => toTime(v.publishedAt));
+        const first       = times[0];
+        const last        = times[times.length - 1];
+
+        const intervalsDays = times.slice(1).map((t, i) => days(t - times[i]));
+        const medianIntervalDays = intervalsDays.length ? median(intervalsDays) : null;
+        const spanDays = days(last - first);
+
+        let relationship = 'one-off';
+        if (appearances.length >= 2) relationship = 'recurring';
+        if (appearances.length >= AMBASSADOR_APPEARANCES && spanDays >= AMBASSADOR_SPAN_DAYS) relationship = 'ambassador';
+
+        const daysSinceLastSeen = latest === null ? null : days(latest - last);
+        const uploadsSince      = uploads.filter((t) => t > last).length;
+        const churnAfterDays    = medianIntervalDays === null
+            ? null
+            : Math.max(CHURN[0], medianIntervalDays * CHURN[1]);
+
+        return {
+            brand,
+            relationship,
+            appearances: appearances.length,
+            firstSeen: appearances[0].publishedAt,
+            lastSeen: appearances[appearances.length - 1].publishedAt,
+            spanDays,
+            intervalsDays,
+            medianIntervalDays,
+            churn: {
+                possible: churnAfterDays !== null
+                    && daysSinceLastSeen >= churnAfterDays
+                    && uploadsSince >= CHURN_MIN_UPLOADS,
+                daysSinceLastSeen,
+                uploadsSince,
+                afterDays: churnAfterDays,
+            },
+            videos: appearances.map(({ videoId, title, publishedAt }) => ({ videoId, title, publishedAt })),
+        };
+    }).sort((a, b) => b.appearances - a.appearances || b.lastSeen.localeCompare(a.lastSeen));
+
+    return { brandTimeline, renewals: summarize(brandTimeline) };
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/** How many sponsors came back, and which may have left */
+function summarize(timeline) {
+    const count = (relationship) => timeline.filter((t) => t.relationship === relationship).length;
+    const repeat = timeline.length - count('one-off');
+    return {
+        brands: timeline.length,
+        oneOff: count('one-off'),
+        recurring: count('recurring'),
+        ambassadors: count('ambassador'),
+        repeatSponsors: repeat,
+        renewalRate: timeline.length ? Math.round((repeat / timeline.length) * 100) : 0,
+        possiblyChurned: timeline.filter((t) => t.churn.possible).map((t) => t.brand),
+    };
+}
+
+/** Epoch ms at the start of the day, from a Date or a YYYY-MM-DD string */
+function toTime(date) {
+    return Date.parse(date instanceof Date ? date.toISOString().split('T')[0] : date);
+}
+
+function days(ms) { return Math.round(ms / DAY_MS); }
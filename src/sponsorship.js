@@ -3,16 +3,26 @@
  *
  * Scans video descriptions and tags for sponsorship indicators:
  *   - FTC disclosure hashtags (#ad, #sponsored, #partner)
- *   - Affiliate link patterns (Amazon Associates, ShareASale, etc.)
+ *   - Affiliate network links (Amazon Associates, ShareASale, etc.)
+ *   - Creator vanity URLs of known sponsors (nordvpn.com/creator)
+ *   - Plain links to known sponsors — only alongside a disclosure or phrase;
+ *     on their own they're reported as brand links, not sponsorships
  *   - Discount/promo code mentions
  *   - Common sponsorship phrases ("brought to you by", "sponsored by")
  *   - Brand @mentions in sponsored context
  *
+ * Networks and sponsors come from the brand registry (see brand-registry.js);
+ * every report names the registry version it was matched against. Each
+ * brand's appearances over time are laid out by sponsor-timeline.js.
+ *
  * Zero additional API cost — uses description text already fetched.
  *
  * © 2025 Creator Fusion LLC
  */
 
+import { DEFAULT_REGISTRY, findBrand } from './brand-registry.js';
+import { buildSponsorTimeline } from './sponsor-timeline.js';
+
 // ─── Pattern definitions ─────────────────────────────────────────────────────
 
 /** FTC-required disclosure hashtags (case-insensitive) */
@@ -40,41 +50,6 @@ const SPONSORSHIP_PHRASES = [
     /\bsign\s+up\s+(?:with|using)\s+(?:my|the)\s+link\b/i,
 ];
 
-/** Affiliate/tracking URL patterns */
-const AFFILIATE_PATTERNS = [
-    { name: 'Amazon Associates',    pattern: /(?:amzn\.to|amazon\.\w+\/.*[?&]tag=)/i },
-    { name: 'ShareASale',           pattern: /shareasale\.com/i },
-    { name: 'Impact Radius',        pattern: /(?:impact\.com|goto\.target\.com|pntrs\.com|pntra\.com|pntrac\.com)/i },
-    { name: 'CJ Affiliate',         pattern: /(?:cj\.com|commission-junction|anrdoezrs\.net|jdoqocy\.com|dpbolvw\.net|kqzyfj\.com)/i },
-    { name: 'Rakuten',              pattern: /(?:rakuten\.com|linksynergy\.com)/i },
-    { name: 'PartnerStack',         pattern: /partnerstack\.com/i },
-    { name: 'Awin',                 pattern: /(?:awin\.com|awin1\.com)/i },
-    { name: 'Bitly (tracking)',     pattern: /bit\.ly\//i },
-    { name: 'Linktree',             pattern: /linktr\.ee\//i },
-    { name: 'UTM tracking',         pattern: /[?&]utm_(?:source|medium|campaign)=/i },
-    { name: 'Geni.us',              pattern: /geni\.us\//i },
-    { name: 'LTK/RewardStyle',      pattern: /(?:liketoknow\.it|rstyle\.me|ltk\.app)/i },
-    { name: 'Skillshare',           pattern: /skillshare\.com\/.*\?/i },
-    { name: 'Squarespace',          pattern: /squarespace\.com\/[\w]+/i },
-    { name: 'NordVPN',              pattern: /nordvpn\.com\/[\w]+/i },
-    { name: 'ExpressVPN',           pattern: /expressvpn\.com\/[\w]+/i },
-    { name: 'Surfshark',            pattern: /surfshark\.(?:com|deals)\/[\w]+/i },
-    { name: 'Audible',              pattern: /audible\.com\/[\w]+/i },
-    { name: 'Honey/PayPal',         pattern: /joinhoney\.com/i },
-    { name: 'Raid Shadow Legends',  pattern: /raid\.plarium/i },
-    { name: 'HelloFresh',           pattern: /hellofresh\.com\/[\w]+/i },
-    { name: 'Ridge Wallet',         pattern: /ridge\.com\/[\w]+/i },
-    { name: 'Manscaped',            pattern: /manscaped\.com\/[\w]+/i },
-    { name: 'BetterHelp',           pattern: /betterhelp\.com\/[\w]+/i },
-    { name: 'Established Titles',   pattern: /establishedtitles\.com/i },
-    { name: 'Athletic Greens/AG1',  pattern: /(?:athleticgreens|drinkag1)\.com/i },
-    { name: 'Casetify',             pattern: /casetify\.com\/[\w]+/i },
-    { name: 'Fiverr',               pattern: /fiverr\.com\/[\w]+/i },
-    { name: 'Canva',                pattern: /canva\.com\/[\w]+/i },
-    { name: 'Monday.com',           pattern: /monday\.com\/[\w]+/i },
-    { name: 'Notion',               pattern: /notion\.so\/[\w]+/i },
-];
-
 /** Promo code pattern: "code WORD" or "code: WORD" */
 const PROMO_CODE_REGEX = /\bcode[:\s]+([A-Z0-9_-]{3,20})\b/gi;
 
@@ -84,21 +59,27 @@ const PROMO_CODE_REGEX = /\bcode[:\s]+([A-Z0-9_-]{3,20})\b/gi;
  * Analyze an array of parsed videos for sponsorship signals.
  *
  * @param {Array<{ videoId: string, title: string, description: string, tags: string[], publishedAt: Date }>} videos
+ * @param {import('./brand-registry.js').BrandRegistry} [registry] — from loadBrandRegistry()
  * @returns {SponsorshipReport}
  */
-export function detectSponsorships(videos) {
-    if (!videos.length) return emptyReport();
+export function detectSponsorships(videos, registry = DEFAULT_REGISTRY) {
+    if (!videos.length) return emptyReport(registry);
 
     const sponsoredVideos = [];
-    const brandMentions   = new Map();  // brand → count
+    const brandMentions   = new Map();  // brand → videos mentioning it
     const promoCodes      = new Set();
     const affiliateNets   = new Set();
+    const brandLinks      = new Map();  // brand → { videoId, publishedAt } of videos linking it without a disclosure
     let   disclosureCount = 0;
 
     for (const video of videos) {
         const desc = video.description ?? '';
         const lowerDesc = desc.toLowerCase();
+        const publishedAt = video.publishedAt instanceof Date
+            ? video.publishedAt.toISOString().split('T')[0]
+            : String(video.publishedAt);
         const signals = [];
+        const brands  = new Set();
 
         // 1. Check disclosure hashtags
         for (const tag of DISCLOSURE_HASHTAGS) {
@@ -120,25 +101,44 @@ export function detectSponsorships(videos) {
                 if (brandMatch) {
                     const brand = brandMatch[1].trim();
                     if (brand.length >= 2 && brand.length <= 40) {
-                        brandMentions.set(brand, (brandMentions.get(brand) ?? 0) + 1);
+                        // "Nord VPN" and "NordVPN" are the same sponsor
+                        brands.add(findBrand(registry, brand)?.name ?? brand);
                     }
                 }
                 break; // one phrase match per video is enough
             }
         }
 
-        // 3. Check affiliate links
-        for (const { name, pattern } of AFFILIATE_PATTERNS) {
-            if (pattern.test(desc)) {
+        // 3. Check affiliate network links
+        for (const { name, matchers } of registry.networks) {
+            if (matchers.some((rx) => rx.test(desc))) {
                 signals.push({ type: 'affiliate', value: name });
                 affiliateNets.add(name);
+            }
+        }
 
-                // Count brand-specific affiliate mentions
-                brandMentions.set(name, (brandMentions.get(name) ?? 0) + 1);
+        // 4. Check links to known sponsors. A vanity URL is a sponsorship on its
+        // own; a plain link to canva.com is just as likely a recommendation, so
+        // it only names the sponsor of a video that already disclosed one
+        const disclosed = signals.some((sig) => sig.type === 'disclosure' || sig.type === 'phrase');
+        for (const brand of registry.brands) {
+            const vanity = brand.vanityMatchers.map((rx) => desc.match(rx)).find(Boolean);
+            if (vanity) {
+                signals.push({ type: 'brand', value: brand.name, url: vanity[0] });
+            } else if (brand.domainMatchers.some((rx) => rx.test(desc))) {
+                if (!disclosed) {
+                    if (!brandLinks.has(brand.name)) brandLinks.set(brand.name, []);
+                    brandLinks.get(brand.name).push({ videoId: video.videoId, publishedAt });
+                    continue;
+                }
+                signals.push({ type: 'brand', value: brand.name });
+            } else {
+                continue;
             }
+            brands.add(brand.name);
         }
 
-        // 4. Extract promo codes
+        // 5. Extract promo codes
         let codeMatch;
         const codeRx = new RegExp(PROMO_CODE_REGEX.source, PROMO_CODE_REGEX.flags);
         while ((codeMatch = codeRx.exec(desc)) !== null) {
@@ -150,13 +150,14 @@ export function detectSponsorships(videos) {
             }
         }
 
+        for (const brand of brands) brandMentions.set(brand, (brandMentions.get(brand) ?? 0) + 1);
+
         if (signals.length > 0) {
             sponsoredVideos.push({
                 videoId: video.videoId,
                 title: video.title,
-                publishedAt: video.publishedAt instanceof Date
-                    ? video.publishedAt.toISOString().split('T')[0]
-                    : String(video.publishedAt),
+                publishedAt,
+                brands: [...brands],
                 signals,
             });
         }
@@ -165,12 +166,23 @@ export function detectSponsorships(videos) {
     // Sort brands by frequency
     const detectedBrands = [...brandMentions.entries()]
         .sort((a, b) => b[1] - a[1])
-        .map(([brand, count]) => ({ brand, mentionCount: count }));
+        .map(([brand, count]) => {
+            const entry = findBrand(registry, brand);
+            return {
+                brand,
+                mentionCount: count,
+                category: entry?.category ?? null,
+                parent: entry?.parent ?? null,
+                inRegistry: entry !== null,
+            };
+        });
 
     const sponsorshipRate = videos.length > 0
         ? Math.round((sponsoredVideos.length / videos.length) * 100)
         : 0;
 
+    const { brandTimeline, renewals } = buildSponsorTimeline(sponsoredVideos, videos);
+
     return {
         totalVideosScanned: videos.length,
         totalDetected: sponsoredVideos.length,
@@ -181,8 +193,19 @@ export function detectSponsorships(videos) {
             ? Math.round((disclosureCount / sponsoredVideos.length) * 100)
             : 100, // no sponsored = no disclosure needed
         detectedBrands,
+        brandTimeline,
+        renewals,
         promoCodes: [...promoCodes],
         affiliateNetworks: [...affiliateNets],
+        brandLinks: [...brandLinks.entries()]
+            .sort((a, b) => b[1].length - a[1].length)
+            .map(([brand, links]) => ({
+                brand,
+                videos: links.length,
+                lastSeen: links.map((l) => l.publishedAt).sort().at(-1),
+                videoIds: links.map((l) => l.videoId),
+            })),
+        registry: registryInfo(registry),
         sponsoredVideos,
     };
 }
@@ -204,7 +227,11 @@ function labelSponsorshipRate(rate) {
     return 'None detected';
 }
 
-function emptyReport() {
+function registryInfo(registry) {
+    return { version: registry.version, customBrands: registry.custom.brands, customNetworks: registry.custom.networks };
+}
+
+function emptyReport(registry) {
     return {
         totalVideosScanned: 0,
         totalDetected: 0,
@@ -213,8 +240,11 @@ function emptyReport() {
         hasProperDisclosure: true,
         disclosureRate: 100,
         detectedBrands: [],
+        ...buildSponsorTimeline([], []),
         promoCodes: [],
         affiliateNetworks: [],
+        brandLinks: [],
+        registry: registryInfo(registry),
         sponsoredVideos: [],
     };
 }
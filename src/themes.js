@@ -0,0 +1,263 @@
+/**
+ * Content Theme Extraction
+ *
+ * Groups a channel's videos into themes from their titles and tags, and
+ * reports how each theme performs — which topics the audience actually
+ * responds to, beyond YouTube's coarse topic categories.
+ *
+ * Fully offline and deterministic:
+ *   1. Each video's terms are its title words, adjacent word pairs, and tags,
+ *      minus stopwords, one-offs, and terms so common they describe the
+ *      whole channel. Rarer terms weigh more (TF-IDF).
+ *   2. Videos are clustered by average-linkage agglomeration on the cosine
+ *      similarity of their terms, so "iPhone review" and "Android review"
+ *      land in separate themes even though both are reviews.
+ *   3. A theme is named after the most distinctive term its videos share.
+ *
+ * Views are 30-day equivalents (see maturity.js); `viewsIndex` is a theme's
+ * median views relative to the channel's, so 3 means three times typical.
+ *
+ * © 2025 Creator Fusion LLC
+ */
+
+import { normalizeViews } from './maturity.js';
+import { median } from './distribution.js';
+
+/** Fewest videos before themes are extracted at all */
+const MIN_VIDEOS = 6;
+
+/** Fewest videos a theme needs */
+const MIN_THEME_VIDEOS = 2;
+
+/** Terms in more than this share of videos describe the channel, not a theme */
+const MAX_TERM_SHARE = 0.6;
+
+const MAX_THEMES = 8;
+
+/** Share of a theme's videos a term must appear in to name it */
+const LABEL_SHARE = 0.6;
+
+/** Clusters stop merging below this average cosine similarity */
+const MERGE_THRESHOLD = 0.3;
+
+const STOPWORDS = new Set([
+    'a', 'about', 'after', 'all', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'before', 'best', 'but',
+    'by', 'can', 'do', 'does', 'don', 'ever', 'every', 'for', 'from', 'get', 'got', 'has', 'have', 'he',
+    'her', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'me', 'more', 'most', 'my',
+    'no', 'not', 'now', 'of', 'on', 'one', 'or', 'our', 'out', 'over', 's', 'she', 'so', 't', 'than',
+    'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'to', 'too', 'up', 'us',
+    'vs', 'was', 'we', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your',
+    // YouTube title filler
+    'ep', 'episode', 'feat', 'ft', 'full', 'live', 'new', 'official', 'part', 'short', 'shorts',
+    'video', 'videos', 'watch',
+]);
+
+/**
+ * @param {Array<ParsedVideo>} parsed — output of parseVideos()
+ * @param {object} [options]
+ * @param {object} [options.maturity] — view maturity options, as for analyzeVideos
+ * @returns {object} themes section
+ */
+export function analyzeThemes(parsed, { maturity = {} } = {}) {
+    if (parsed.length < MIN_VIDEOS) {
+        return {
+            videosAnalyzed: parsed.length,
+            themes: [],
+            unthemed: null,
+            insights: [],
+            note: `Needs at least ${MIN_VIDEOS} videos to extract themes`,
+        };
+    }
+
+    const normalized = new Map(normalizeViews(parsed, maturity).map((n) => [n.video.videoId, n.normalizedViews]));
+    const docs = parsed.map((video) => ({ video, terms: extractTerms(video) }));
+
+    // ── Candidate terms ──────────────────────────────────────────────────────
+    const df = new Map();
+    for (const { terms } of docs) {
+        for (const term of terms) df.set(term, (df.get(term) ?? 0) + 1);
+    }
+    const maxDf = Math.max(MIN_THEME_VIDEOS, Math.floor(parsed.length * MAX_TERM_SHARE));
+    const idf   = new Map([...df]
+        .filter(([, n]) => n >= MIN_THEME_VIDEOS && n <= maxDf)
+        .map(([term, n]) => [term, Math.log(parsed.length / n)]));
+
+    for (const doc of docs) {
+        doc.terms = new Set([...doc.terms].filter((t) => idf.has(t)));
+        const norm = Math.sqrt([...doc.terms].reduce((s, t) => s + idf.get(t) ** 2, 0));
+        doc.weights = new Map([...doc.terms].map((t) => [t, idf.get(t) / norm]));
+    }
+
+    // ── Clustering ───────────────────────────────────────────────────────────
+    const clusters = agglomerate(docs.filter((d) => d.terms.size))
+        .filter((members) => members.length >= MIN_THEME_VIDEOS)
+        .sort((a, b) => b.length - a.length)
+        .slice(0, MAX_THEMES)
+        .map((members) => ({ term: distinctiveTerm(members, idf), members }));
+
+    const unthemed = parsed.length - clusters.reduce((s, c) => s + c.members.length, 0);
+
+    // ── Per-theme performance ────────────────────────────────────────────────
+    const channelMedian = median(docs.map((d) => normalized.get(d.video.videoId)).filter((v) => v !== null));
+
+    const themes = clusters.map(({ term, members }) => {
+        const views = members.map((d) => normalized.get(d.video.videoId)).filter((v) => v !== null);
+        const raw   = members.reduce((s, d) => s + d.video.views, 0);
+        const reactions = members.reduce((s, d) => s + d.video.likes + d.video.comments, 0);
+        const medianViews = views.length ? median(views) : null;
+        return {
+            theme: labelFor(term, members),
+            keywords: relatedTerms(term, members),
+            videos: members.length,
+            share: r2((members.length / parsed.length) * 100),
+            medianViews,
+            engagementRate: raw > 0 ? r2((reactions / raw) * 100) : 0,
+            viewsIndex: medianViews !== null && channelMedian > 0 ? r2(medianViews / channelMedian) : null,
+            exampleTitles: members.slice(0, 3).map((d) => d.video.title),
+        };
+    });
+
+    return {
+        videosAnalyzed: parsed.length,
+        themes,
+        unthemed: { videos: unthemed, share: r2((unthemed / parsed.length) * 100) },
+        insights: compareThemes(themes),
+    };
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/** Title words, adjacent word pairs, and whole tags */
+function extractTerms(video) {
+    const terms = new Set();
+    const words = tokenize(video.title);
+    for (let i = 0; i < words.length; i++) {
+        if (isKeyword(words[i])) terms.add(words[i]);
+        if (i > 0 && isKeyword(words[i - 1]) && isKeyword(words[i])) terms.add(`${words[i - 1]} ${words[i]}`);
+    }
+    for (const tag of video.tags ?? []) {
+        const tagWords = tokenize(tag).filter(isKeyword);
+        if (tagWords.length) terms.add(tagWords.join(' '));
+    }
+    return terms;
+}
+
+function tokenize(text) {
+    return text.toLowerCase().normalize('NFKC').split(/[^\p{L}\p{N}+#]+/u)
+        .map((w) => w.replace(/^#+/, ''))
+        .filter(Boolean);
+}
+
+function isKeyword(word) {
+    return word.length >= 2 && !STOPWORDS.has(word) && !/^\d+$/.test(word);
+}
+
+/**
+ * Average-linkage agglomerative clustering on cosine similarity. Merges
+ * the closest pair of clusters until none are similar enough. O(n³), which
+ * is fine for the couple of hundred videos a run samples.
+ *
+ * @returns {Array<Array<object>>} clusters of docs, in input order
+ */
+function agglomerate(docs) {
+    const clusters = docs.map((d) => [d]);
+    const sim = docs.map((a) => docs.map((b) => cosine(a.weights, b.weights)));
+    const alive = new Set(clusters.keys());
+
+    for (;;) {
+        let best = null;
+        for (const i of alive) {
+            for (const j of alive) {
+                if (j <= i) continue;
+                if (!best || sim[i][j] > best.sim) best = { i, j, sim: sim[i][j] };
+            }
+        }
+        if (!best || best.sim < MERGE_THRESHOLD) break;
+
+        // Lance–Williams update for average linkage, merging j into i
+        const { i, j } = best;
+        const ni = clusters[i].length;
+        const nj = clusters[j].length;
+        for (const k of alive) {
+            if (k === i || k === j) continue;
+            sim[i][k] = sim[k][i] = (ni * sim[i][k] + nj * sim[j][k]) / (ni + nj);
+        }
+        clusters[i].push(...clusters[j]);
+        alive.delete(j);
+    }
+
+    return [...alive].map((i) => clusters[i]);
+}
+
+function cosine(a, b) {
+    let dot = 0;
+    for (const [t, w] of a) dot += w * (b.get(t) ?? 0);
+    return dot;
+}
+
+/** Shared by most of the theme's videos, and rarest across the channel */
+function distinctiveTerm(members, idf) {
+    const counts = new Map();
+    for (const { terms } of members) {
+        for (const t of terms) counts.set(t, (counts.get(t) ?? 0) + 1);
+    }
+    return [...counts]
+        .map(([t, n]) => ({ t, score: (n / members.length) * idf.get(t), n }))
+        .sort((a, b) => (b.n >= members.length * LABEL_SHARE) - (a.n >= members.length * LABEL_SHARE)
+            || b.score - a.score
+            || (a.t < b.t ? -1 : 1))[0].t;
+}
+
+/** A phrase containing the theme term that most of its videos share, else the term */
+function labelFor(term, members) {
+    const counts = new Map();
+    for (const { terms } of members) {
+        for (const t of terms) {
+            if (t !== term && containsTerm(t, term)) counts.set(t, (counts.get(t) ?? 0) + 1);
+        }
+    }
+    const phrase = [...counts]
+        .filter(([, n]) => n >= members.length * LABEL_SHARE)
+        .sort((a, b) => b[1] - a[1] || b[0].length - a[0].length || (a[0] < b[0] ? -1 : 1))[0];
+    return phrase ? phrase[0] : term;
+}
+
+/** Whole-word containment, so "ios" isn't found in "bios" */
+function containsTerm(phrase, term) {
+    return ` ${phrase} `.includes(` ${term} `);
+}
+
+/** Other terms most common in a theme's videos */
+function relatedTerms(term, members) {
+    const counts = new Map();
+    for (const { terms } of members) {
+        for (const t of terms) if (t !== term && !containsTerm(t, term)) counts.set(t, (counts.get(t) ?? 0) + 1);
+    }
+    return [...counts]
+        .filter(([, n]) => n >= MIN_THEME_VIDEOS)
+        .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+        .slice(0, 5)
+        .map(([t]) => t);
+}
+
+/** "X videos outperform Y 3.1×" for the best and worst themes */
+function compareThemes(themes) {
+    const ranked = themes.filter((t) => t.medianViews > 0).sort((a, b) => b.medianViews - a.medianViews);
+    if (ranked.length < 2) return [];
+
+    const top    = ranked[0];
+    const bottom = ranked[ranked.length - 1];
+    const ratio  = top.medianViews / bottom.medianViews;
+    const insights = [];
+    if (ratio >= 1.5) {
+        insights.push(`"${top.theme}" videos outperform "${bottom.theme}" ${r1(ratio)}× on median views`);
+    }
+    const engaged = [...ranked].sort((a, b) => b.engagementRate - a.engagementRate)[0];
+    if (engaged !== top) {
+        insights.push(`"${engaged.theme}" has the most engaged audience (${engaged.engagementRate}% engagement)`);
+    }
+    return insights;
+}
+
+function r1(n) { return Math.round(n * 10) / 10; }
+function r2(n) { return Math.round(n * 100) / 100; }
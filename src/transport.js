@@ -0,0 +1,225 @@
+/**
+ * HTTP Transport Layer
+ *
+ * Pluggable transports used by YouTubeClient. Every transport exposes one
+ * method, `send({ url, headers })`, which resolves to
+ * `{ statusCode, headers, body }` for ANY HTTP status and only rejects on
+ * network-level failures. Status handling (quota errors, retries) stays in
+ * YouTubeClient so every transport behaves identically.
+ *
+ * Modes:
+ *   live    — HttpTransport, real requests via got-scraping
+ *   record  — RecordTransport, live requests + every exchange written to a fixture directory
+ *   replay  — ReplayTransport, serves recorded exchanges back with no network at all
+ *
+ * Fixtures are keyed by endpoint + sorted query params with the API key
+ * removed, so recordings never contain credentials and replay works with any
+ * key. A fixture holds a `responses` array served in order (the last entry
+ * repeats), which is how 429 → 200 retries or a 403 quotaExceeded are simulated.
+ *
+ * © 2025 Creator Fusion LLC
+ */
+
+import { createHash } from 'node:crypto';
+import { mkdir, readdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { gotScraping } from 'got-scraping';
+
+export const TRANSPORT_MODES = ['live', 'record', 'replay'];
+
+/** Response headers worth keeping in fixtures — everything else is noise */
+const RECORDED_HEADERS = ['etag', 'content-type', 'retry-after'];
+
+/** Placeholder written wherever the API key would have appeared */
+const SCRUBBED_KEY = 'REDACTED';
+
+// ─── Transports ──────────────────────────────────────────────────────────────
+
+/** Live transport — real HTTP requests. */
+export class HttpTransport {
+    /**
+     * @param {{ url: string, headers?: Record<string, string> }} request
+     * @returns {Promise<TransportResponse>}
+     */
+    async send({ url, headers = {} }) {
+        const response = await gotScraping({
+            url,
+            headers,
+            responseType: 'json',
+            timeout: { request: 20_000 },
+            throwHttpErrors: false,
+        });
+
+        return {
+            statusCode: response.statusCode,
+            headers: response.headers ?? {},
+            body: response.body,
+        };
+    }
+}
+
+/** Record transport — forwards to an inner transport and writes each exchange to disk. */
+export class RecordTransport {
+    /**
+     * @param {string} fixturesDir
+     * @param {{ send: Function }} [inner] — defaults to a live HttpTransport
+     */
+    constructor(fixturesDir, inner = new HttpTransport()) {
+        if (!fixturesDir) throw new Error('RecordTransport requires a fixtures directory.');
+        this.fixturesDir = fixturesDir;
+        this.inner = inner;
+        /** @type {Map<string, object>} fixture key → fixture recorded during this run */
+        this._recorded = new Map();
+    }
+
+    async send(request) {
+        const response = await this.inner.send(request);
+        const { key, endpoint, params, apiKey } = describeRequest(request.url);
+
+        // First exchange for a key overwrites any stale fixture; later ones
+        // (retries, repeated calls) append so the sequence replays faithfully
+        let fixture = this._recorded.get(key);
+        if (!fixture) {
+            fixture = { request: { endpoint, params }, responses: [] };
+            this._recorded.set(key, fixture);
+        }
+
+        fixture.responses.push(scrub({
+            statusCode: response.statusCode,
+            headers: pickHeaders(response.headers),
+            body: response.body,
+        }, apiKey));
+
+        await mkdir(this.fixturesDir, { recursive: true });
+        await writeFile(
+            path.join(this.fixturesDir, fixtureFileName(endpoint, key)),
+            `${JSON.stringify(fixture, null, 4)}\n`,
+        );
+
+        return response;
+    }
+}
+
+/** Replay transport — serves fixtures recorded by RecordTransport (or written by hand). */
+export class ReplayTransport {
+    /** @param {string} fixturesDir */
+    constructor(fixturesDir) {
+        if (!fixturesDir) throw new Error('ReplayTransport requires a fixtures directory.');
+        this.fixturesDir = fixturesDir;
+        /** @type {Promise<Map<string, object>> | null} */
+        this._fixtures = null;
+        /** @type {Map<string, number>} fixture key → responses served so far */
+        this._cursors = new Map();
+    }
+
+    async send({ url }) {
+        const fixtures = await this._load();
+        const { key, endpoint, params } = describeRequest(url);
+        const fixture = fixtures.get(key);
+
+        if (!fixture) {
+            const error = new Error(
+                `No recorded fixture for ${endpoint} ${JSON.stringify(params)} in ${this.fixturesDir}. `
+                + 'Re-record with transportMode "record".',
+            );
+            // A missing fixture will never appear on retry
+            error.retryable = false;
+            throw error;
+        }
+
+        const served = this._cursors.get(key) ?? 0;
+        this._cursors.set(key, served + 1);
+        const response = fixture.responses[Math.min(served, fixture.responses.length - 1)];
+
+        if (response.networkError) {
+            throw new Error(`Simulated network error: ${response.networkError}`);
+        }
+
+        return {
+            statusCode: response.statusCode ?? 200,
+            headers: response.headers ?? {},
+            body: structuredClone(response.body ?? {}),
+        };
+    }
+
+    /** Lazily index every *.json fixture in the directory by its request key. */
+    _load() {
+        this._fixtures ??= (async () => {
+            const index = new Map();
+            const files = (await readdir(this.fixturesDir)).filter((f) => f.endsWith('.json')).sort();
+
+            for (const file of files) {
+                const fixture = JSON.parse(await readFile(path.join(this.fixturesDir, file), 'utf8'));
+                if (!fixture?.request?.endpoint || !fixture.responses?.length) continue;
+                index.set(requestKey(fixture.request.endpoint, fixture.request.params ?? {}), fixture);
+            }
+
+            return index;
+        })();
+        return this._fixtures;
+    }
+}
+
+// ─── Factory ─────────────────────────────────────────────────────────────────
+
+/**
+ * Build a transport for the given mode.
+ *
+ * @param {{ mode?: string, fixturesDir?: string }} [options]
+ * @returns {HttpTransport | RecordTransport | ReplayTransport}
+ */
+export function createTransport({ mode = 'live', fixturesDir } = {}) {
+    if (!TRANSPORT_MODES.includes(mode)) {
+        throw new Error(`Unknown transport mode "${mode}". Expected one of: ${TRANSPORT_MODES.join(', ')}.`);
+    }
+    if (mode === 'record') return new RecordTransport(fixturesDir);
+    if (mode === 'replay') return new ReplayTransport(fixturesDir);
+    return new HttpTransport();
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/**
+ * Split a request URL into its fixture identity, minus the API key.
+ * @param {string} url
+ */
+function describeRequest(url) {
+    const parsed   = new URL(url);
+    const endpoint = parsed.pathname.split('/').pop();
+    const apiKey   = parsed.searchParams.get('key');
+    const params   = {};
+
+    for (const [name, value] of parsed.searchParams) {
+        if (name !== 'key') params[name] = value;
+    }
+
+    return { key: requestKey(endpoint, params), endpoint, params, apiKey };
+}
+
+/** Stable key: endpoint + params sorted by name, all values as strings. */
+function requestKey(endpoint, params) {
+    const sorted = Object.keys(params).sort().map((k) => [k, String(params[k])]);
+    return `${endpoint}?${JSON.stringify(sorted)}`;
+}
+
+function fixtureFileName(endpoint, key) {
+    return `${endpoint}-${createHash('sha1').update(key).digest('hex').slice(0, 12)}.json`;
+}
+
+function pickHeaders(headers = {}) {
+    const picked = {};
+    for (const name of RECORDED_HEADERS) {
+        if (headers[name] !== undefined) picked[name] = headers[name];
+    }
+    return picked;
+}
+
+/** Remove every occurrence of the API key from a recorded response. */
+function scrub(response, apiKey) {
+    if (!apiKey) return response;
+    return JSON.parse(JSON.stringify(response).split(apiKey).join(SCRUBBED_KEY));
+}
+
+/**
+ * @typedef {{ statusCode: number, headers: Record<string, string>, body: any }} TransportResponse
+ */
@@ -2,42 +2,129 @@
  * YouTube Data API v3 Client
  *
  * Lightweight HTTP-only wrapper. No browser, no proxies.
+ * Requests go through a pluggable transport (see transport.js) so the client
+ * can record fixtures or replay them offline.
  *
  * Quota costs (per call):
  *   channels.list    = 1 unit
  *   playlistItems    = 1 unit
  *   videos.list      = 1 unit
- *   search.list      = 100 units (never used — playlistItems is cheaper)
+ *   search.list      = 100 units (discovery mode only — see discovery.js)
  *
- * Per-channel cost: ~3–5 units depending on video count
- * Daily capacity:   ~2,500 channels on the free 10,000-unit tier
+ * Per-channel cost: ~3–5 units depending on video count (see estimateChannelCost)
+ * Daily capacity:   ~2,500 channels per key on the free 10,000-unit tier
+ *
+ * Accepts a pool of keys and fails over to the next one on quotaExceeded,
+ * tracking usage per key.
  *
  * © 2025 Creator Fusion LLC
  */
 
-import { gotScraping } from 'got-scraping';
+import { HttpTransport } from './transport.js';
+import { quotaDay } from './quota.js';
+import {
+    ApiError,
+    ERROR_CODES,
+    InvalidInputError,
+    KeyForbiddenError,
+    NetworkExhaustedError,
+    QuotaExceededError,
+} from './errors.js';
 
 const API_BASE = 'https://www.googleapis.com/youtube/v3';
 
 /** Retry delays in ms for transient failures */
 const RETRY_DELAYS = [500, 1500];
 
+/** Free-tier daily quota per API key */
+const DAILY_QUOTA = 10_000;
+
+/**
+ * Partial response for video/playlist → owner lookups. Quota cost is the
+ * same, the payload is a fraction, and the cache keys its TTL off it.
+ */
+export const OWNER_FIELDS = 'items/snippet/channelId';
+
+/** Units per search.list call, regardless of how many results it returns */
+export const SEARCH_COST = 100;
+
 export class YouTubeClient {
-    /** @param {string} apiKey */
-    constructor(apiKey) {
-        if (!apiKey || typeof apiKey !== 'string') {
-            throw new Error('YouTube API key is required and must be a string.');
+    /**
+     * @param {string | string[]} apiKeys — one key, or a pool rotated on quotaExceeded
+     * @param {object} [options]
+     * @param {{ send: Function }} [options.transport] — see transport.js; defaults to live HTTP
+     * @param {number[]} [options.retryDelays] — backoff schedule for transient failures
+     * @param {import('./cache.js').ResponseCache | null} [options.cache] — persistent response cache
+     * @param {import('./limiter.js').RateLimiter | null} [options.limiter] — shared request pacing
+     * @param {number} [options.unitsPerChannel] — expected cost per channel, for remaining-capacity estimates
+     * @param {import('./quota.js').QuotaLedger | null} [options.ledger] — cross-run daily usage; call init() to load
+     */
+    constructor(apiKeys, {
+        transport = new HttpTransport(),
+        retryDelays = RETRY_DELAYS,
+        cache = null,
+        limiter = null,
+        unitsPerChannel = 4,
+        ledger = null,
+    } = {}) {
+        const keys = Array.isArray(apiKeys) ? apiKeys : [apiKeys];
+        if (!keys.length || keys.some((k) => !k || typeof k !== 'string' || !k.trim())) {
+            throw new InvalidInputError('YouTube API key is required and must be a string.');
         }
-        this.apiKey = apiKey.trim();
+
+        /** @type {Array<{ key: string, quotaUsed: number, requestCount: number, exhausted: boolean }>} */
+        this.keys = [...new Set(keys.map((k) => k.trim()))].map((key) => ({
+            key,
+            quotaUsed: 0,
+            requestCount: 0,
+            exhausted: false,
+        }));
+        this.keyIndex = 0;
         this.quotaUsed = 0;
         this.requestCount = 0;
         this.errors = [];
+        this.transport = transport;
+        this.retryDelays = retryDelays;
+        this.cache = cache;
+        this.limiter = limiter;
+        this.unitsPerChannel = unitsPerChannel;
+        this.ledger = ledger;
         /** @type {Map<string, Promise<string|null>>} handle → resolution promise cache */
         this._channelIdCache = new Map();
     }
 
     /**
-     * Internal request with quota tracking, retries, and structured errors.
+     * Load today's usage for every key from the quota ledger, so remaining
+     * quota reflects earlier runs. No-op without a ledger.
+     */
+    async init() {
+        if (this.ledger) await this.ledger.load(this.keys.map((k) => k.key));
+    }
+
+    /** The key requests are currently sent with. */
+    get apiKey() {
+        return this.keys[this.keyIndex].key;
+    }
+
+    /**
+     * Mark a key as out of quota and move to the next usable one.
+     * Takes the key that failed rather than assuming the active one — with
+     * concurrent requests another worker may already have rotated.
+     *
+     * @param {{ exhausted: boolean }} keyState
+     * @returns {boolean} false when every key in the pool is exhausted
+     */
+    _rotateKey(keyState) {
+        keyState.exhausted = true;
+        const next = this.keys.findIndex((k) => !k.exhausted);
+        if (next === -1) return false;
+        this.keyIndex = next;
+        return true;
+    }
+
+    /**
+     * Internal request, served from the response cache when fresh.
+     * Stale entries with an ETag are revalidated; a 304 reuses the cached body.
      *
      * @param {string} endpoint
      * @param {Record<string, string | number | undefined>} params
@@ -45,8 +132,37 @@ export class YouTubeClient {
      * @returns {Promise<Record<string, any>>}
      */
     async _request(endpoint, params, quotaCost = 1) {
+        if (!this.cache) {
+            return (await this._send(endpoint, params, quotaCost)).body;
+        }
+
+        const cached = await this.cache.get(endpoint, params, quotaCost);
+        if (cached?.fresh) return cached.body;
+
+        const headers = cached?.etag ? { 'if-none-match': cached.etag } : {};
+        const response = await this._send(endpoint, params, quotaCost, headers);
+
+        if (response.statusCode === 304 && cached) {
+            await this.cache.revalidate(endpoint, params, cached);
+            return cached.body;
+        }
+
+        await this.cache.set(endpoint, params, response.body, response.headers?.etag ?? response.body?.etag ?? null);
+        return response.body;
+    }
+
+    /**
+     * Send a request with quota tracking, retries, and structured errors.
+     * Resolves with the raw transport response for 2xx and 304 statuses.
+     *
+     * @param {string} endpoint
+     * @param {Record<string, string | number | undefined>} params
+     * @param {number} quotaCost
+     * @param {Record<string, string>} [headers]
+     * @returns {Promise<import('./transport.js').TransportResponse>}
+     */
+    async _send(endpoint, params, quotaCost, headers = {}) {
         const url = new URL(`${API_BASE}/${endpoint}`);
-        url.searchParams.set('key', this.apiKey);
 
         for (const [key, value] of Object.entries(params)) {
             if (value !== undefined && value !== null) {
@@ -54,113 +170,140 @@ export class YouTubeClient {
             }
         }
 
-        let lastError = null;
+        let lastStatus = null;
+        let lastMessage = null;
 
-        for (let attempt = 0; attempt <= RETRY_DELAYS.length; attempt++) {
-            try {
-                const response = await gotScraping({
-                    url: url.toString(),
-                    responseType: 'json',
-                    timeout: { request: 20_000 },
-                });
+        for (let attempt = 0; attempt <= this.retryDelays.length; attempt++) {
+            // Set per attempt — the active key changes when the pool fails over
+            url.searchParams.set('key', this.apiKey);
+            const keyState = this.keys[this.keyIndex];
+
+            if (this.limiter) await this.limiter.acquire();
 
-                this.quotaUsed += quotaCost;
-                this.requestCount++;
-                return response.body;
+            let response;
+            try {
+                response = await this.transport.send({ url: url.toString(), headers });
             } catch (error) {
-                lastError = error;
-                const status = error?.response?.statusCode;
-                const body = error?.response?.body;
+                // Network-level failure (timeout, DNS, reset) — retryable unless
+                // the transport says otherwise (e.g. a missing replay fixture)
+                if (error?.retryable === false) throw error;
+                lastStatus = null;
+                lastMessage = error?.message;
+            }
+
+            if (response) {
+                const { statusCode: status, body } = response;
+
+                // 304 Not Modified still counts against quota
+                if ((status >= 200 && status < 300) || status === 304) {
+                    this.quotaUsed += quotaCost;
+                    this.requestCount++;
+                    keyState.quotaUsed += quotaCost;
+                    keyState.requestCount++;
+                    // Counted in memory; the ledger writes to its store in batches
+                    this.ledger?.record(keyState.key, quotaCost);
+                    return response;
+                }
 
                 // Non-retryable errors — fail immediately
                 if (status === 403) {
                     const reason = body?.error?.errors?.[0]?.reason;
                     if (reason === 'quotaExceeded') {
-                        throw new Error(
-                            'YouTube API daily quota exceeded (10,000 units). '
-                            + 'Try again tomorrow or use a different API key.',
+                        // Fail over to the next key; it gets a fresh retry budget
+                        if (this._rotateKey(keyState)) {
+                            attempt = -1;
+                            continue;
+                        }
+                        throw new QuotaExceededError(
+                            this.keys.length > 1
+                                ? `YouTube API daily quota exceeded on all ${this.keys.length} API keys. `
+                                  + 'Try again tomorrow or add more keys.'
+                                : 'YouTube API daily quota exceeded (10,000 units). '
+                                  + 'Try again tomorrow or use a different API key.',
                         );
                     }
                     if (reason === 'forbidden') {
-                        throw new Error(
+                        throw new KeyForbiddenError(
                             'YouTube Data API v3 is not enabled for this key. '
                             + 'Enable it at https://console.cloud.google.com/apis/library/youtube.googleapis.com',
                         );
                     }
-                    throw new Error(`API access denied: ${reason || body?.error?.message || 'unknown reason'}`);
+                    throw new ApiError(
+                        `API access denied: ${reason || body?.error?.message || 'unknown reason'}`,
+                        ERROR_CODES.API_ACCESS_DENIED,
+                        status,
+                    );
                 }
 
                 if (status === 400) {
-                    throw new Error(`Bad request: ${body?.error?.message || 'invalid parameters'}`);
+                    // A malformed or revoked key is a 400, not a 403
+                    if (body?.error?.errors?.[0]?.reason === 'keyInvalid') {
+                        throw new KeyForbiddenError(`API key is invalid: ${body?.error?.message || 'keyInvalid'}`);
+                    }
+                    throw new ApiError(
+                        `Bad request: ${body?.error?.message || 'invalid parameters'}`,
+                        ERROR_CODES.API_BAD_REQUEST,
+                        status,
+                    );
                 }
 
                 if (status === 404) {
-                    throw new Error(`Endpoint not found: ${endpoint}`);
+                    throw new ApiError(`Endpoint not found: ${endpoint}`, ERROR_CODES.API_NOT_FOUND, status);
                 }
 
-                // Retryable: 429 (rate limit), 500, 503
-                if (attempt < RETRY_DELAYS.length) {
-                    await sleep(RETRY_DELAYS[attempt]);
-                    continue;
+                lastStatus = status;
+                lastMessage = body?.error?.message ?? `HTTP ${status}`;
+
+                // Rate limits apply per key, so every concurrent worker backs off
+                if (status === 429 && this.limiter) {
+                    const retryAfter = Number(response.headers?.['retry-after']) * 1000;
+                    this.limiter.backoff(retryAfter > 0 ? retryAfter : (this.retryDelays[attempt] ?? 0));
                 }
             }
+
+            // Retryable: 429 (rate limit), 500, 503, network errors
+            if (attempt < this.retryDelays.length) {
+                await sleep(this.retryDelays[attempt]);
+            }
         }
 
-        throw new Error(
-            `YouTube API request failed after ${RETRY_DELAYS.length + 1} attempts: `
-            + `${lastError?.response?.statusCode || 'network error'} — ${lastError?.message}`,
+        throw new NetworkExhaustedError(
+            `YouTube API request failed after ${this.retryDelays.length + 1} attempts: `
+            + `${lastStatus || 'network error'} — ${lastMessage}`,
+            lastStatus,
         );
     }
 
     /**
-     * Resolve a channel input (URL, @handle, or raw ID) to a channel ID.
-     * Costs 1–2 quota units depending on whether the forHandle fallback is needed.
+     * Resolve a channel input (URL, @handle, raw ID, or a video / playlist
+     * link) to a channel ID.
+     * Costs 0 (channel ID), 1 (video, playlist, /user/ URL), or 1–2 quota
+     * units for handles, depending on whether the forUsername fallback is needed.
      *
      * @param {string} input
      * @returns {Promise<string | null>} Channel ID or null
      */
     async resolveChannelId(input) {
-        if (!input || typeof input !== 'string') return null;
-        const trimmed = input.trim();
-        if (!trimmed || trimmed.length > 300) return null;
-
-        // Reject inputs with characters that can't appear in URLs or handles
-        if (/[<>"{}|\\^`\x00-\x1f]/.test(trimmed)) return null;
-
-        // Already a channel ID
-        if (/^UC[\w-]{22}$/.test(trimmed)) return trimmed;
-
-        // Extract from URL variants
-        const channelIdMatch = trimmed.match(/youtube\.com\/channel\/(UC[\w-]{22})/i);
-        if (channelIdMatch) return channelIdMatch[1];
-
-        // Determine handle to look up
-        let handle = null;
-        const handleMatch = trimmed.match(/youtube\.com\/@([\w.-]+)/i);
-        const customMatch = trimmed.match(/youtube\.com\/c\/([\w.-]+)/i);
-
-        if (handleMatch) {
-            handle = handleMatch[1];
-        } else if (customMatch) {
-            handle = customMatch[1];
-        } else if (trimmed.startsWith('@')) {
-            handle = trimmed.substring(1);
-        } else if (!trimmed.includes('/')) {
-            // Allow dots in direct handle inputs (e.g. "mr.beast") —
-            // YouTube handles can contain dots
-            handle = trimmed;
-        }
-
-        if (!handle || handle.length > 100 || !/^[\w.-]+$/.test(handle)) return null;
+        const parsed = parseChannelInput(input);
+        if (!parsed) return null;
+        if (parsed.kind === 'channelId') return parsed.value;
 
         // Cache the resolution promise to prevent concurrent calls for the
-        // same handle from firing duplicate API requests (important for MCP)
-        const cacheKey = handle.toLowerCase();
+        // same handle from firing duplicate API requests (important for MCP).
+        // Handles and usernames are case-insensitive; video/playlist IDs are not.
+        const caseless = parsed.kind === 'handle' || parsed.kind === 'username';
+        const cacheKey = `${parsed.kind}:${caseless ? parsed.value.toLowerCase() : parsed.value}`;
         if (this._channelIdCache.has(cacheKey)) {
             return this._channelIdCache.get(cacheKey);
         }
 
-        const promise = this._lookupHandle(handle);
+        const lookups = {
+            handle:   () => this._lookupHandle(parsed.value),
+            username: () => this._lookupUsername(parsed.value),
+            video:    () => this._lookupOwner('videos', parsed.value),
+            playlist: () => this._lookupOwner('playlists', parsed.value),
+        };
+        const promise = lookups[parsed.kind]();
         this._channelIdCache.set(cacheKey, promise);
         return promise;
     }
@@ -176,10 +319,30 @@ export class YouTubeClient {
         if (data.items?.length > 0) return data.items[0].id;
 
         // Fallback to forUsername (legacy channels)
-        const legacy = await this._request('channels', { part: 'id', forUsername: handle }, 1);
-        if (legacy.items?.length > 0) return legacy.items[0].id;
+        return this._lookupUsername(handle);
+    }
 
-        return null;
+    /**
+     * Internal: resolve a legacy username (youtube.com/user/…) to a channel ID.
+     * @param {string} username
+     * @returns {Promise<string|null>}
+     */
+    async _lookupUsername(username) {
+        const data = await this._request('channels', { part: 'id', forUsername: username }, 1);
+        return data.items?.[0]?.id ?? null;
+    }
+
+    /**
+     * Internal: find the channel that owns a video or playlist.
+     * Ownership never changes, so the cache keeps these for as long as handles.
+     *
+     * @param {'videos' | 'playlists'} endpoint
+     * @param {string} id
+     * @returns {Promise<string|null>}
+     */
+    async _lookupOwner(endpoint, id) {
+        const data = await this._request(endpoint, { part: 'snippet', id, fields: OWNER_FIELDS }, 1);
+        return data.items?.[0]?.snippet?.channelId ?? null;
     }
 
     /**
@@ -237,7 +400,8 @@ export class YouTubeClient {
 
     /**
      * Fetch full video details in batches of 50.
-     * Includes snippet (title, description, tags) + statistics + contentDetails.
+     * Includes snippet (title, description, tags) + statistics + contentDetails
+     * + status (made-for-kids flag).
      * Cost: 1 unit per 50 videos
      *
      * @param {string[]} videoIds
@@ -250,7 +414,7 @@ export class YouTubeClient {
         for (let i = 0; i < videoIds.length; i += 50) {
             const batch = videoIds.slice(i, i + 50);
             const data = await this._request('videos', {
-                part: 'snippet,statistics,contentDetails',
+                part: 'snippet,statistics,contentDetails,status',
                 id: batch.join(','),
             }, 1);
 
@@ -262,18 +426,228 @@ export class YouTubeClient {
         return results;
     }
 
-    /** @returns {{ quotaUsed: number, requestCount: number, estimatedRemaining: number, estimatedChannelsRemaining: number }} */
+    /**
+     * Search for channels matching a query — one page of up to 50 results.
+     * Cost: 100 units (SEARCH_COST), so callers must budget it.
+     *
+     * @param {string} query
+     * @param {object} [options]
+     * @param {string} [options.regionCode] — ISO 3166-1 alpha-2, e.g. "US"
+     * @param {string} [options.relevanceLanguage] — ISO 639-1, e.g. "en"
+     * @param {string} [options.pageToken]
+     * @param {number} [options.maxResults] — 1–50
+     * @returns {Promise<{ channels: Array<{ channelId: string, title: string }>, nextPageToken: string | null }>}
+     */
+    async searchChannels(query, { regionCode, relevanceLanguage, pageToken, maxResults = 50 } = {}) {
+        const data = await this._request('search', {
+            part: 'snippet',
+            type: 'channel',
+            q: query,
+            maxResults: Math.min(Math.max(maxResults, 1), 50),
+            regionCode,
+            relevanceLanguage,
+            pageToken,
+        }, SEARCH_COST);
+
+        return {
+            channels: (data.items ?? [])
+                .map((item) => ({
+                    channelId: item.id?.channelId ?? item.snippet?.channelId,
+                    title: item.snippet?.channelTitle ?? item.snippet?.title ?? null,
+                }))
+                .filter((c) => c.channelId),
+            nextPageToken: data.nextPageToken ?? null,
+        };
+    }
+
+    /**
+     * Aggregate and per-key quota usage. `quotaUsed` is this run's spend;
+     * `quotaUsedToday` includes earlier runs when a ledger is attached, and
+     * drives the remaining-quota estimates. Keys are masked to their last 4
+     * characters so stats are safe to write into datasets and KV records.
+     *
+     * @returns {{ quotaUsed: number, quotaUsedToday: number, quotaDay: string, requestCount: number, estimatedRemaining: number, estimatedChannelsRemaining: number, activeKey: string, keys: Array<object>, cache: object | null }}
+     */
     getQuotaStats() {
-        const remaining = Math.max(0, 10_000 - this.quotaUsed);
+        const keys = this.keys.map((k) => {
+            const usedToday = this.ledger ? this.ledger.usedToday(k.key) : k.quotaUsed;
+            return {
+                key: maskKey(k.key),
+                quotaUsed: k.quotaUsed,
+                quotaUsedToday: usedToday,
+                requestCount: k.requestCount,
+                exhausted: k.exhausted,
+                estimatedRemaining: k.exhausted ? 0 : Math.max(0, DAILY_QUOTA - usedToday),
+            };
+        });
+        const remaining = keys.reduce((s, k) => s + k.estimatedRemaining, 0);
+
         return {
             quotaUsed: this.quotaUsed,
+            quotaUsedToday: keys.reduce((s, k) => s + k.quotaUsedToday, 0),
+            quotaDay: quotaDay(),
             requestCount: this.requestCount,
             estimatedRemaining: remaining,
-            estimatedChannelsRemaining: Math.floor(remaining / 4),
+            estimatedChannelsRemaining: Math.floor(remaining / Math.max(this.unitsPerChannel, 1)),
+            activeKey: maskKey(this.apiKey),
+            keys,
+            cache: this.cache?.getStats() ?? null,
         };
     }
 }
 
+// ─── Input parsing & cost estimation ─────────────────────────────────────────
+
+/**
+ * How a channel input was written — reported in results so users can see
+ * what each input was resolved from.
+ *
+ * @typedef {'channelId' | 'channelUrl' | 'handle' | 'handleUrl' | 'customUrl' | 'userUrl'
+ *   | 'videoUrl' | 'shortLink' | 'shortsUrl' | 'playlistUrl'} InputForm
+ */
+
+/**
+ * Classify a channel input without any API calls.
+ *
+ * Video links (watch?v=, youtu.be/, /shorts/, /live/, /embed/) and playlist
+ * links resolve through their owner. Uploads playlists (UU…) map straight to
+ * their channel ID, since the two IDs share a suffix.
+ *
+ * @param {string} input — URL, @handle, bare handle, channel ID, or video / playlist link
+ * @returns {{ kind: 'channelId' | 'handle' | 'username' | 'video' | 'playlist', value: string, form: InputForm } | null} null when unusable
+ */
+export function parseChannelInput(input) {
+    if (!input || typeof input !== 'string') return null;
+    const trimmed = input.trim();
+    if (!trimmed || trimmed.length > 300) return null;
+
+    // Reject inputs with characters that can't appear in URLs or handles
+    if (/[<>"{}|\\^`\x00-\x1f]/.test(trimmed)) return null;
+
+    // Already a channel ID
+    if (/^UC[\w-]{22}$/.test(trimmed)) return { kind: 'channelId', value: trimmed, form: 'channelId' };
+
+    // Extract from URL variants
+    const channelIdMatch = trimmed.match(/youtube\.com\/channel\/(UC[\w-]{22})/i);
+    if (channelIdMatch) return { kind: 'channelId', value: channelIdMatch[1], form: 'channelUrl' };
+
+    // Video links — a watch URL wins over any list= it also carries
+    const videoMatch = matchFirst(trimmed, [
+        [/youtube\.com\/watch\?(?:[^#]*&)?v=([\w-]{11})(?![\w-])/i, 'videoUrl'],
+        [/youtube\.com\/(?:live|embed|v)\/([\w-]{11})(?![\w-])/i,    'videoUrl'],
+        [/youtube\.com\/shorts\/([\w-]{11})(?![\w-])/i,              'shortsUrl'],
+        [/youtu\.be\/([\w-]{11})(?![\w-])/i,                          'shortLink'],
+    ]);
+    if (videoMatch) return { kind: 'video', ...videoMatch };
+
+    const playlistMatch = trimmed.match(/youtube\.com\/playlist\?(?:[^#]*&)?list=([\w-]{10,64})/i);
+    if (playlistMatch) {
+        const listId = playlistMatch[1];
+        // An uploads playlist is the channel ID with UU in place of UC
+        if (/^UU[\w-]{22}$/.test(listId)) return { kind: 'channelId', value: `UC${listId.slice(2)}`, form: 'playlistUrl' };
+        return { kind: 'playlist', value: listId, form: 'playlistUrl' };
+    }
+
+    const userMatch = trimmed.match(/youtube\.com\/user\/([\w.-]+)/i);
+    if (userMatch) {
+        return userMatch[1].length <= 100 ? { kind: 'username', value: userMatch[1], form: 'userUrl' } : null;
+    }
+
+    // Determine handle to look up
+    let handle = null;
+    let form   = 'handle';
+    const handleMatch = trimmed.match(/youtube\.com\/@([\w.-]+)/i);
+    const customMatch = trimmed.match(/youtube\.com\/c\/([\w.-]+)/i);
+
+    if (handleMatch) {
+        handle = handleMatch[1];
+        form   = 'handleUrl';
+    } else if (customMatch) {
+        handle = customMatch[1];
+        form   = 'customUrl';
+    } else if (trimmed.startsWith('@')) {
+        handle = trimmed.substring(1);
+    } else if (!trimmed.includes('/')) {
+        // Allow dots in direct handle inputs (e.g. "mr.beast") —
+        // YouTube handles can contain dots
+        handle = trimmed;
+    }
+
+    if (!handle || handle.length > 100 || !/^[\w.-]+$/.test(handle)) return null;
+    return { kind: 'handle', value: handle, form };
+}
+
+/**
+ * Quota cost of analyzing one channel, before any request is made.
+ *
+ *   resolution   0 (channel ID, uploads playlist) · 1 (video, playlist, /user/ URL)
+ *                · 1 expected / 2 worst case (handle → forUsername fallback)
+ *   channel      1
+ *   uploads      1 per 50 videos
+ *   video stats  1 per 50 videos
+ *
+ * Cache hits make the real cost lower, never higher.
+ *
+ * @param {string} channelInput
+ * @param {number} videosPerChannel
+ * @returns {{ expected: number, max: number }}
+ */
+export function estimateChannelCost(channelInput, videosPerChannel) {
+    const parsed = parseChannelInput(channelInput);
+    // Unparseable inputs fail before any request is sent
+    if (!parsed) return { expected: 0, max: 0 };
+
+    const pages = Math.ceil(videosPerChannel / 50);
+    const fetch = 1 + pages + pages;
+
+    if (parsed.kind === 'channelId') return { expected: fetch, max: fetch };
+    if (parsed.kind === 'handle')    return { expected: fetch + 1, max: fetch + 2 };
+    return { expected: fetch + 1, max: fetch + 1 };
+}
+
+/**
+ * Pre-flight estimate for a whole batch.
+ *
+ * @param {string[]} channels
+ * @param {number} videosPerChannel
+ * @returns {{ expectedUnits: number, maxUnits: number, avgUnitsPerChannel: number }}
+ */
+export function estimateQuotaCost(channels, videosPerChannel) {
+    let expectedUnits = 0;
+    let maxUnits = 0;
+    for (const channelInput of channels) {
+        const cost = estimateChannelCost(channelInput, videosPerChannel);
+        expectedUnits += cost.expected;
+        maxUnits += cost.max;
+    }
+    return {
+        expectedUnits,
+        maxUnits,
+        avgUnitsPerChannel: channels.length ? Math.round((expectedUnits / channels.length) * 100) / 100 : 0,
+    };
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/**
+ * First pattern that matches, with the form it identifies.
+ * @param {string} input
+ * @param {Array<[RegExp, string]>} patterns
+ * @returns {{ value: string, form: string } | null}
+ */
+function matchFirst(input, patterns) {
+    for (const [pattern, form] of patterns) {
+        const match = input.match(pattern);
+        if (match) return { value: match[1], form };
+    }
+    return null;
+}
+
+/** @param {string} key */
+function maskKey(key) {
+    return `…${key.slice(-4)}`;
+}
+
 /** @param {number} ms */
 function sleep(ms) {
     return new Promise((resolve) => setTimeout(resolve, ms));